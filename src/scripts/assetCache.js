@@ -0,0 +1,136 @@
+import { disposeAsset, shareAsset } from './dispose';
+
+/**
+ * Assets shared by every scene's Loader, keyed by url, so that going back to a room
+ * or into another room that uses the same models and textures doesn't download and
+ * parse them again.
+ *
+ * Loaders acquire an asset for their scene and release it when the scene is disposed.
+ * Assets nothing holds on to anymore stay around until evictUnusedAssets() is called,
+ * which the router does once the next room has loaded, so that anything the old and
+ * the new room have in common is kept.
+ */
+const assets = new Map();
+
+// Cube textures are loaded from a list of urls
+function keyOf(url) {
+  return Array.isArray(url) ? url.join('|') : url;
+}
+
+/**
+ * Gets an asset from the cache, loading it if nothing has yet, and holds on to it
+ * until releaseAsset() is called with the same url
+ * @param {string|string[]} url
+ * @param {Function} load starts loading the asset and returns a promise with it
+ * @returns {Promise} the shared asset, use copyAsset() before changing it
+ */
+export function acquireAsset(url, load) {
+  const key = keyOf(url);
+  let entry = assets.get(key);
+  if (!entry) {
+    entry = { refCount: 0, promise: null, asset: null };
+    assets.set(key, entry);
+  }
+  if (!entry.promise) {
+    entry.promise = load().then(
+      (asset) => {
+        shareAsset(asset);
+        entry.asset = asset;
+        return asset;
+      },
+      (err) => {
+        // Let the next acquire try again
+        entry.promise = null;
+        throw err;
+      }
+    );
+  }
+  entry.refCount += 1;
+  return entry.promise;
+}
+
+/**
+ * Lets go of an asset that was acquired with acquireAsset()
+ * @param {string|string[]} url
+ */
+export function releaseAsset(url) {
+  const entry = assets.get(keyOf(url));
+  if (entry && entry.refCount > 0) {
+    entry.refCount -= 1;
+  }
+}
+
+/**
+ * Frees every asset that no scene holds on to anymore
+ */
+export function evictUnusedAssets() {
+  for (const [key, entry] of assets) {
+    if (entry.refCount === 0) {
+      assets.delete(key);
+      if (entry.asset) {
+        disposeAsset(entry.asset, true);
+      }
+    }
+  }
+}
+
+/**
+ * @param {string|string[]} url
+ * @returns {number} how many loaders hold on to the asset, 0 if it isn't cached
+ */
+export function getAssetRefCount(url) {
+  const entry = assets.get(keyOf(url));
+  return entry ? entry.refCount : 0;
+}
+
+/**
+ * @param {string|string[]} url
+ * @returns {boolean} whether the asset has finished loading, like after being prefetched
+ */
+export function isAssetLoaded(url) {
+  const entry = assets.get(keyOf(url));
+  return Boolean(entry && entry.asset);
+}
+
+function cloneMaterials(object) {
+  if (Array.isArray(object.material)) {
+    object.material = object.material.map(material => material.clone());
+  } else if (object.material) {
+    object.material = object.material.clone();
+  }
+}
+
+/**
+ * Makes a copy of a shared asset that a scene can change without affecting other scenes.
+ * Textures and objects are cloned, which shares their images and geometries with the
+ * original, and objects get their own materials so they can be recoloured.
+ * @param {*} asset
+ * @returns {*} the copy, or the asset itself if it isn't something that can be copied
+ */
+export function copyAsset(asset) {
+  if (!asset) {
+    return asset;
+  }
+  if (asset.isTexture) {
+    const texture = asset.clone();
+    if (texture.image) {
+      texture.needsUpdate = true;
+    }
+    return texture;
+  }
+  if (asset.isObject3D) {
+    const object = asset.clone();
+    object.traverse(cloneMaterials);
+    return object;
+  }
+  if (asset.scene && asset.scenes) {
+    // A gltf, whose scene is one of its scenes
+    const scenes = asset.scenes.map(copyAsset);
+    const index = asset.scenes.indexOf(asset.scene);
+    return Object.assign({}, asset, {
+      scenes,
+      scene: index === -1 ? copyAsset(asset.scene) : scenes[index]
+    });
+  }
+  return asset;
+}
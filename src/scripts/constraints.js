@@ -0,0 +1,158 @@
+import { Vector3, Quaternion, Matrix4 } from 'three';
+
+/**
+ * Limits on where things can be dragged, for the `constraints` of a DragInteraction handler:
+ *
+ *   mirror[DragInteraction] = {
+ *     constraints: [lockToPlane('y'), clampToBox(floor)]
+ *   };
+ *
+ * Each matrix an object is dragged to goes through its constraints in order, before the
+ * handler's drag() gets it or the object is moved to it. Constraints work in the space of
+ * the dragged object's parent, so a slider's handle can be locked to the x axis of the slider,
+ * wherever the slider is and however it's turned.
+ *
+ * A constraint is a function `(matrix, { start, space })` that changes the matrix in place,
+ * where `start` is the matrix when the drag started and `space` is the parent's world matrix.
+ */
+
+const axes = {
+  x: new Vector3(1, 0, 0),
+  y: new Vector3(0, 1, 0),
+  z: new Vector3(0, 0, 1)
+};
+
+/**
+ * @param {string|THREE.Vector3} axis 'x', 'y', 'z' or a direction
+ * @returns {THREE.Vector3} the axis as a unit vector
+ */
+function toDirection(axis) {
+  return typeof axis === 'string' ? axes[axis].clone() : axis.clone().normalize();
+}
+
+// Changes where a matrix is, without changing how it's turned or scaled
+function movePosition(matrix, move) {
+  const position = new Vector3().setFromMatrixPosition(matrix);
+  move(position);
+  matrix.setPosition(position);
+}
+
+/**
+ * Only moves along a line through where the drag started
+ * @param {string|THREE.Vector3} axis 'x', 'y', 'z' or the direction of the line
+ * @returns {Function}
+ */
+export function lockToAxis(axis) {
+  const direction = toDirection(axis);
+  return (matrix, { start }) => {
+    const origin = new Vector3().setFromMatrixPosition(start);
+    movePosition(matrix, position => position.sub(origin).projectOnVector(direction)
+      .add(origin));
+  };
+}
+
+/**
+ * Only moves across a plane through where the drag started, like along the floor
+ * @param {string|THREE.Vector3} normal 'x', 'y', 'z' or the direction the plane faces
+ * @returns {Function}
+ */
+export function lockToPlane(normal) {
+  const direction = toDirection(normal);
+  return (matrix, { start }) => {
+    const origin = new Vector3().setFromMatrixPosition(start);
+    movePosition(matrix, position => position.sub(origin).projectOnPlane(direction)
+      .add(origin));
+  };
+}
+
+/**
+ * Keeps the position inside a box, which can go on forever along some axes
+ * @param {THREE.Box3} box
+ * @returns {Function}
+ */
+export function clampToBox(box) {
+  return (matrix) => {
+    movePosition(matrix, position => box.clampPoint(position, position));
+  };
+}
+
+/**
+ * Moves to the nearest point on a grid
+ * @param {number|THREE.Vector3} size how far apart the grid's points are, along each axis
+ * @param {THREE.Vector3} origin a point on the grid
+ * @returns {Function}
+ */
+export function snapToGrid(size, origin = new Vector3()) {
+  const step = typeof size === 'number' ? new Vector3(size, size, size) : size;
+  return (matrix) => {
+    movePosition(matrix, position => position.sub(origin).divide(step)
+      .round()
+      .multiply(step)
+      .add(origin));
+  };
+}
+
+/**
+ * Moves onto the nearest of some points, when it's dragged close enough to one
+ * @param {THREE.Object3D[]|Function} points objects marking the points, or a function that
+ * returns them. An array is looked at again each time, so it can change.
+ * @param {Object} options
+ * @param {number} options.threshold how close is close enough
+ * @param {boolean} options.align to also be turned and scaled like the point
+ * @param {Function} options.onSnap called with the point when it's snapped onto one
+ * @returns {Function}
+ */
+export function snapToPoints(points, { threshold = 0.5, align = false, onSnap = () => {} } = {}) {
+  // Only a new snap is worth telling anyone about, not staying on the same point
+  let snappedTo = null;
+  return (matrix, { space }) => {
+    const toLocal = new Matrix4().getInverse(space);
+    const position = new Vector3().setFromMatrixPosition(matrix);
+    let nearest = null;
+    let nearestPoint = null;
+    let nearestDistance = threshold;
+    for (const point of typeof points === 'function' ? points() : points) {
+      const pointMatrix = toLocal.clone().multiply(point.matrixWorld);
+      const distance = position.distanceTo(new Vector3().setFromMatrixPosition(pointMatrix));
+      if (distance < nearestDistance) {
+        nearest = pointMatrix;
+        nearestDistance = distance;
+        nearestPoint = point;
+      }
+    }
+    if (nearestPoint && nearestPoint !== snappedTo) {
+      onSnap(nearestPoint);
+    }
+    snappedTo = nearestPoint;
+    if (nearest && align) {
+      matrix.copy(nearest);
+    } else if (nearest) {
+      matrix.copyPosition(nearest);
+    }
+  };
+}
+
+/**
+ * Only turns about an axis from how it was turned when the drag started, so it can be kept
+ * upright, say. Where it's moved to isn't changed.
+ * @param {string|THREE.Vector3} axis 'x', 'y', 'z' or a direction
+ * @returns {Function}
+ */
+export function rotateOnlyAbout(axis) {
+  const direction = toDirection(axis);
+  return (matrix, { start }) => {
+    const position = new Vector3();
+    const rotation = new Quaternion();
+    const scale = new Vector3();
+    matrix.decompose(position, rotation, scale);
+    const startRotation = new Quaternion();
+    start.decompose(new Vector3(), startRotation, new Vector3());
+
+    // Keeps the part of the turn since the start that's about the axis, see "swing twist
+    // decomposition"
+    const turn = rotation.multiply(startRotation.clone().inverse());
+    const twistAxis = new Vector3(turn.x, turn.y, turn.z).projectOnVector(direction);
+    const twist = new Quaternion(twistAxis.x, twistAxis.y, twistAxis.z, turn.w).normalize();
+    matrix.compose(position, twist.multiply(startRotation), scale);
+  };
+}
@@ -2,6 +2,7 @@
 import THREE from '../three';
 import { camera } from '../renderer/camera';
 import { Direction, tryFullScreen } from './control-utils';
+import { addMouseInputListeners } from './mouse-input';
 /* eslint-enable */
 
 const Key = {
@@ -53,6 +54,7 @@ export function createCrosshair() {
   geometry.vertices.push(new THREE.Vector3(-x, 0, 0));
 
   crosshair = new THREE.Line(geometry, material);
+  crosshair.raycast = () => []; // Disable raycast intersections
 
   // Center it
   const crosshairPercentX = 50;
@@ -180,6 +182,7 @@ export function addMouseKeyboardEventListeners() {
   document.addEventListener('webkitpointerlockchange', () => { pointerLockChanged(); }, false);
   document.addEventListener('keydown', (event) => { onKeyDown(event); }, false);
   document.addEventListener('keyup', (event) => { onKeyUp(event); }, false);
+  addMouseInputListeners();
 
   canvas.addEventListener('click', () => {
     document.body.requestPointerLock = document.body.requestPointerLock
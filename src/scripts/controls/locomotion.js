@@ -0,0 +1,165 @@
+import { Vector3, Matrix4 } from 'three';
+import { XR } from '../xrController';
+
+/**
+ * Moving around with the thumbsticks of VR controllers: the left stick walks and the right
+ * stick turns. A controller that isn't held in either hand walks.
+ *
+ * The user is moved by moving their play area, the tracked space around them, through the
+ * reference space's offset. The scene keeps them in its bounds every frame, see
+ * XrScene._clampInBounds().
+ */
+export const locomotion = {
+  // Meters per second with the stick pushed all the way
+  speed: 3,
+  // Whether forwards is the way the user's 'head' or 'hand' points
+  relativeTo: 'head',
+  // 'snap' to turn in steps, 'smooth' to turn continuously or 'off'
+  turning: 'snap',
+  // Radians per step when snap turning
+  snapAngle: Math.PI / 6,
+  // Radians per second with the stick pushed all the way when turning smoothly
+  turnSpeed: Math.PI / 2,
+  // How far the stick has to be pushed before anything happens, from 0 to 1
+  deadzone: 0.25
+};
+
+const up = new Vector3(0, 1, 0);
+
+// Input sources that have snap turned, until their stick goes back to the middle
+const snapped = new WeakSet();
+
+/**
+ * Where the play area is in the scene: its position is the middle of the play area on the
+ * floor and its rotation is the way it faces. That's the inverse of the reference space's
+ * offset.
+ * @returns {Matrix4}
+ */
+export function getPlayAreaMatrix() {
+  return new Matrix4().getInverse(XR.getOffsetMatrix());
+}
+
+/**
+ * @param {Matrix4} matrix see getPlayAreaMatrix()
+ */
+export function setPlayAreaMatrix(matrix) {
+  XR.setOffsetMatrix(new Matrix4().getInverse(matrix));
+}
+
+/**
+ * Moves the middle of the play area to a point, without turning the user around
+ * @param {Vector3} point
+ */
+export function teleport(point) {
+  setPlayAreaMatrix(getPlayAreaMatrix().setPosition(point));
+}
+
+/**
+ * @param {Gamepad} gamepad
+ * @returns {Vector3} how far the thumbstick is pushed right in x and backwards in z, with the
+ * deadzone left out
+ */
+function readStick(gamepad) {
+  const { axes = [] } = gamepad;
+  // The 'xr-standard' mapping puts the thumbstick after the touchpad
+  const [x = 0, y = 0] = axes.length >= 4 ? axes.slice(2, 4) : axes;
+  const stick = new Vector3(x, 0, y);
+  const length = Math.min(stick.length(), 1);
+  if (length < locomotion.deadzone) {
+    return new Vector3();
+  }
+  // Starts from nothing at the edge of the deadzone, instead of jumping
+  return stick.setLength((length - locomotion.deadzone) / (1 - locomotion.deadzone));
+}
+
+/**
+ * @param {Matrix4} matrix a pose in the scene
+ * @returns {Vector3} the way it faces along the floor
+ */
+function flatForward(matrix) {
+  const forward = new Vector3(0, 0, -1).transformDirection(matrix)
+    .projectOnPlane(up);
+  return forward.lengthSq() > 0 ? forward.normalize() : new Vector3(0, 0, -1);
+}
+
+/**
+ * @param {Vector3} stick from readStick()
+ * @param {Matrix4} facing the pose forwards is relative to
+ * @param {number} delta seconds since the last frame
+ * @returns {Vector3} how far to walk
+ */
+function walk(stick, facing, delta) {
+  const forward = flatForward(facing);
+  const right = new Vector3().crossVectors(forward, up);
+  return right.multiplyScalar(stick.x)
+    .addScaledVector(forward, -stick.z)
+    .multiplyScalar(locomotion.speed * delta);
+}
+
+/**
+ * @param {XRInputSource} inputSource
+ * @param {Vector3} stick from readStick()
+ * @param {number} delta seconds since the last frame
+ * @returns {number} how far to turn, in radians
+ */
+function turn(inputSource, stick, delta) {
+  if (locomotion.turning === 'smooth') {
+    return -stick.x * locomotion.turnSpeed * delta;
+  }
+  if (locomotion.turning !== 'snap' || Math.abs(stick.x) < 0.5) {
+    snapped.delete(inputSource);
+    return 0;
+  }
+  if (snapped.has(inputSource)) {
+    return 0;
+  }
+  snapped.add(inputSource);
+  return -Math.sign(stick.x) * locomotion.snapAngle;
+}
+
+/**
+ * Moves the user with the thumbsticks of the session's controllers, called every frame
+ * @param {XRFrame} frame
+ * @param {number} delta seconds since the last frame
+ */
+export function updateLocomotion(frame, delta) {
+  if (XR.mode !== 'immersive-vr') {
+    return;
+  }
+  const viewerPose = frame.getViewerPose(XR.refSpace);
+  if (!viewerPose) {
+    return;
+  }
+  const head = XR.getPoseMatrix(viewerPose.transform);
+
+  const moved = new Vector3();
+  let turned = 0;
+  for (const inputSource of XR.session.inputSources) {
+    const { gamepad, handedness } = inputSource;
+    if (gamepad) {
+      const stick = readStick(gamepad);
+      if (handedness === 'right') {
+        turned += turn(inputSource, stick, delta);
+      } else if (stick.lengthSq() > 0) {
+        const handPose = inputSource.targetRaySpace
+          && frame.getPose(inputSource.targetRaySpace, XR.refSpace);
+        const facing = locomotion.relativeTo === 'hand' && handPose
+          ? XR.getPoseMatrix(handPose.transform)
+          : head;
+        moved.add(walk(stick, facing, delta));
+      }
+    }
+  }
+  if (moved.lengthSq() === 0 && turned === 0) {
+    return;
+  }
+
+  // Turns about where the user stands, so they don't swing around the play area
+  const standing = new Vector3().setFromMatrixPosition(head);
+  const playArea = new Matrix4().makeTranslation(moved.x, moved.y, moved.z)
+    .multiply(new Matrix4().makeTranslation(standing.x, standing.y, standing.z))
+    .multiply(new Matrix4().makeRotationY(turned))
+    .multiply(new Matrix4().makeTranslation(-standing.x, -standing.y, -standing.z))
+    .multiply(getPlayAreaMatrix());
+  setPlayAreaMatrix(playArea);
+}
@@ -0,0 +1,57 @@
+import { Matrix4 } from 'three';
+import { camera } from '../renderer/camera';
+import { controls } from './keyboard-controls';
+import {
+  addVirtualInputSource,
+  virtualSelectStart,
+  virtualSelectEnd
+} from '../interactions';
+
+/**
+ * Input source for desktop browsers without WebXR. While the pointer is locked the
+ * ray is cast from the camera through the crosshair, and the left mouse button is
+ * used as the select button, so the same interactions work as with an XR controller.
+ */
+export const mouseInputSource = {
+  handedness: 'none',
+  targetRayMode: 'screen',
+  profiles: [],
+  getPointerMatrix() {
+    if (!controls || !controls.enabled) {
+      return null;
+    }
+    return new Matrix4().copy(camera.matrixWorld);
+  }
+};
+
+/**
+ * Called after the mousedown event is fired.
+ * Starts a selection (and possibly a drag) on whatever is under the crosshair.
+ * @param {MouseEvent} event
+ */
+export function handleMouseDown(event) {
+  if (event.button === 0) {
+    virtualSelectStart(mouseInputSource);
+  }
+}
+
+/**
+ * Called after the mouseup event is fired.
+ * Ends the selection and any drag started by handleMouseDown.
+ * @param {MouseEvent} event
+ */
+export function handleMouseUp(event) {
+  if (event.button === 0) {
+    virtualSelectEnd(mouseInputSource);
+  }
+}
+
+/**
+ * Registers the mouse as an input source for the interactions and adds the
+ * mouse button event listeners.
+ */
+export function addMouseInputListeners() {
+  addVirtualInputSource(mouseInputSource);
+  document.addEventListener('mousedown', handleMouseDown, false);
+  document.addEventListener('mouseup', handleMouseUp, false);
+}
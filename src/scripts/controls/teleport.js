@@ -0,0 +1,300 @@
+import {
+  Vector3, Matrix4, Raycaster, Geometry, Line, LineBasicMaterial, Mesh, RingBufferGeometry,
+  MeshBasicMaterial
+} from 'three';
+import {
+  HoverInteraction, SelectInteraction, DragInteraction, addInteractions
+} from '../interactions';
+import { getPlayAreaMatrix, teleport } from './locomotion';
+import { fadeIn } from '../transition';
+
+/**
+ * Teleporting by pointing a controller at the floor: an arc curves down from the controller,
+ * with a ring where it lands, and letting go of the select button moves the user there.
+ *
+ * The arc is shown while a controller points at the floor, as a preview, and while the select
+ * button is held. Every controller has an arc of its own, see getPointer(). The button can be pressed while pointing at anything that can't be selected
+ * for something else, like a wall, and since the arc curves down it can land further
+ * away than the straight ray could reach.
+ *
+ * Scenes say what can be landed on, like their floor, with addSurface(). The arc is green
+ * when it lands somewhere the user can go and red when it doesn't, which is when it hits
+ * anything else, like a wall, lands on something too steep to stand on, too far away or
+ * outside of the scene's bounds.
+ */
+export const teleportSettings = {
+  // How far the user can go at once, along the floor. The arc is thrown just hard enough to
+  // get this far over flat ground.
+  maxDistance: 20,
+  gravity: 9.8,
+  // How many straight lines the arc is drawn with
+  segments: 30,
+  // The steepest slope that can be landed on, in radians
+  maxSlope: Math.PI / 4,
+  // How long the view takes to fade back in after a teleport, in ms
+  fadeDuration: 150,
+  validColor: 0x22dd55,
+  invalidColor: 0xdd2222
+};
+
+const up = new Vector3(0, 1, 0);
+
+function createArc() {
+  const geometry = new Geometry();
+  for (let i = 0; i <= teleportSettings.segments; i++) {
+    geometry.vertices.push(new Vector3());
+  }
+  const arc = new Line(geometry, new LineBasicMaterial({ color: teleportSettings.validColor }));
+  arc.name = 'Teleport Arc';
+  arc.visible = false;
+  // The arc has to be recomputed every frame, so it can't be culled by its first bounds
+  arc.frustumCulled = false;
+  arc.raycast = () => []; // Disable raycast intersections
+  return arc;
+}
+
+function createReticle() {
+  const geometry = new RingBufferGeometry(0.3, 0.4, 32);
+  geometry.rotateX(-Math.PI / 2);
+  const reticle = new Mesh(geometry, new MeshBasicMaterial({ color: teleportSettings.validColor }));
+  reticle.name = 'Teleport Reticle';
+  reticle.visible = false;
+  reticle.raycast = () => []; // Disable raycast intersections
+  return reticle;
+}
+
+/**
+ * @param {THREE.Object3D} object
+ * @returns {boolean} whether selecting the object does something else, like opening a door
+ */
+function isSelectable(object) {
+  for (let current = object; current; current = current.parent) {
+    if (current[SelectInteraction]) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {Object} intersection
+ * @param {THREE.Vector3} direction the way the arc was going when it hit
+ * @returns {THREE.Vector3} the way the face that was hit faces, towards the arc
+ */
+function faceNormal({ object, face }, direction) {
+  const normal = face.normal.clone().transformDirection(object.matrixWorld);
+  // Floors are often planes that are seen from their back
+  return normal.dot(direction) > 0 ? normal.negate() : normal;
+}
+
+export default class Teleporter {
+  surfaces = new Set();
+
+  // Input source -> its arc and what it's aiming at, see getPointer()
+  pointers = new Map();
+
+  raycaster = new Raycaster();
+
+  /**
+   * @param {XrScene} xrScene the scene to teleport around, whose bounds are kept to
+   * @param {Object} options
+   * @param {number} options.maxDistance see teleportSettings
+   * @param {Function} options.enabled returns false while the surfaces can't be teleported to,
+   * like when they're being selected for something else
+   */
+  constructor(xrScene, { maxDistance = teleportSettings.maxDistance, enabled = () => true } = {}) {
+    this.xrScene = xrScene;
+    this.maxDistance = maxDistance;
+    this.enabled = enabled;
+
+    // On the scene, so whatever is pointed at bubbles up to here unless it's dragged itself.
+    // Each input source aims by itself, so two controllers can both hold the select button.
+    addInteractions(xrScene.scene, {
+      [DragInteraction]: {
+        perInputSource: true,
+        // The arc is what's dragged, so the pointer is passed to drag() as it is
+        start: ({ object }, pointerMatrix, inputSource) => {
+          const pointer = this.getPointer(inputSource);
+          pointer.aiming = this.isSurface(object) || !isSelectable(object);
+          if (pointer.aiming) {
+            this.aim(inputSource, pointerMatrix);
+          }
+          return { object: pointer.arc, transformMatrix: new Matrix4(), matrixAutoUpdate: true };
+        },
+        drag: (pointerMatrix, { inputSource }) => {
+          if (this.getPointer(inputSource).aiming) {
+            this.aim(inputSource, pointerMatrix);
+          }
+        },
+        end: (inputSource) => {
+          const pointer = this.getPointer(inputSource);
+          if (pointer.aiming && pointer.target) {
+            teleport(pointer.target);
+            fadeIn(teleportSettings.fadeDuration);
+          }
+          pointer.aiming = false;
+          this.hide(inputSource);
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {Object} inputSource
+   * @returns {{arc: THREE.Line, reticle: THREE.Mesh, target: THREE.Vector3, aiming: boolean}}
+   * the input source's arc and the ring where it lands, where that is while it can be
+   * teleported to, or null, and whether the select button is being held to teleport there,
+   * rather than the arc being a preview
+   */
+  getPointer(inputSource) {
+    if (!this.pointers.has(inputSource)) {
+      const arc = createArc();
+      const reticle = createReticle();
+      this.xrScene.scene.add(arc, reticle);
+      this.pointers.set(inputSource, {
+        arc, reticle, target: null, aiming: false
+      });
+    }
+    return this.pointers.get(inputSource);
+  }
+
+  /**
+   * Lets the user teleport onto an object, and anything in it
+   * @param {THREE.Object3D} surface
+   * @returns {THREE.Object3D} surface
+   */
+  addSurface(surface) {
+    this.surfaces.add(surface);
+    return addInteractions(surface, {
+      [HoverInteraction]: {
+        hover: (intersection, pointerMatrix, inputSource) => {
+          if (!this.getPointer(inputSource).aiming) {
+            this.aim(inputSource, pointerMatrix);
+          }
+        },
+        end: (inputSource) => {
+          if (!this.getPointer(inputSource).aiming) {
+            this.hide(inputSource);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * @param {THREE.Object3D} object
+   * @returns {boolean} whether the object is one of the surfaces, or in one
+   */
+  isSurface(object) {
+    for (let current = object; current; current = current.parent) {
+      if (this.surfaces.has(current)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Follows the arc from a pointer until it hits something
+   * @param {THREE.Matrix4} pointerMatrix
+   * @returns {{points: THREE.Vector3[], intersection: Object, direction: THREE.Vector3}} the
+   * points the arc is drawn through, and what it hit while going in which direction
+   */
+  castArc(pointerMatrix) {
+    const { gravity, segments } = teleportSettings;
+    // Thrown at 45 degrees, that goes maxDistance and comes back down to where it started in
+    // less than flightTime, the rest of which is for falling to floors below the controller
+    const speed = Math.sqrt(gravity * this.maxDistance);
+    const flightTime = 2 * speed / gravity;
+    const origin = new Vector3().setFromMatrixPosition(pointerMatrix);
+    const velocity = new Vector3(0, 0, -1).transformDirection(pointerMatrix)
+      .multiplyScalar(speed);
+    const pointAt = time => origin.clone()
+      .addScaledVector(velocity, time)
+      .addScaledVector(up, -gravity * time * time / 2);
+
+    const { scene } = this.xrScene;
+    const points = [origin];
+    for (let i = 1; i <= segments; i++) {
+      const from = points[i - 1];
+      const to = pointAt(flightTime * i / segments);
+      const direction = to.clone().sub(from);
+      this.raycaster.set(from, direction.clone().normalize());
+      this.raycaster.far = direction.length();
+      const [intersection] = this.raycaster.intersectObjects(scene.children, true);
+      if (intersection) {
+        points.push(intersection.point);
+        return { points, intersection, direction };
+      }
+      points.push(to);
+    }
+    return { points, intersection: null, direction: null };
+  }
+
+  /**
+   * @param {Object} intersection where the arc hit, from castArc()
+   * @param {THREE.Vector3} direction
+   * @param {THREE.Vector3} origin where the arc starts
+   * @returns {THREE.Vector3} where the play area would go, or null if it can't go there
+   */
+  findTarget(intersection, direction, origin) {
+    if (!intersection || !this.isSurface(intersection.object)) {
+      return null;
+    }
+    if (faceNormal(intersection, direction).angleTo(up) > teleportSettings.maxSlope) {
+      return null;
+    }
+    const { point } = intersection;
+    if (new Vector3(point.x - origin.x, 0, point.z - origin.z).length() > this.maxDistance) {
+      return null;
+    }
+    // Rooms put their floor wherever they like under the user, so only x and z change
+    const { y } = new Vector3().setFromMatrixPosition(getPlayAreaMatrix());
+    const target = new Vector3(point.x, y, point.z);
+    const { bounds } = this.xrScene;
+    if (bounds.length > 0 && !bounds.some(bound => bound.containsPoint(target))) {
+      return null;
+    }
+    return target;
+  }
+
+  /**
+   * Shows where an input source would teleport the user to
+   * @param {Object} inputSource
+   * @param {THREE.Matrix4} pointerMatrix
+   */
+  aim(inputSource, pointerMatrix) {
+    // Scenes sitting on a table in AR are moved around by moving the table
+    if (this.xrScene.tabletop || !this.enabled()) {
+      this.hide(inputSource);
+      return;
+    }
+    const pointer = this.getPointer(inputSource);
+    const { arc, reticle } = pointer;
+    const { points, intersection, direction } = this.castArc(pointerMatrix);
+    pointer.target = this.findTarget(intersection, direction, points[0]);
+
+    const { vertices } = arc.geometry;
+    vertices.forEach((vertex, i) => vertex.copy(points[Math.min(i, points.length - 1)]));
+    arc.geometry.verticesNeedUpdate = true;
+    const color = pointer.target ? teleportSettings.validColor : teleportSettings.invalidColor;
+    arc.material.color.set(color);
+    arc.visible = true;
+
+    reticle.visible = Boolean(pointer.target);
+    if (pointer.target) {
+      reticle.position.copy(intersection.point).addScaledVector(up, 0.01);
+      reticle.updateMatrixWorld();
+    }
+  }
+
+  /**
+   * @param {Object} inputSource whose arc to hide
+   */
+  hide(inputSource) {
+    const pointer = this.getPointer(inputSource);
+    pointer.target = null;
+    pointer.arc.visible = false;
+    pointer.reticle.visible = false;
+  }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { Direction, createFullScreenButton } from './control-utils';
 import { XR } from '../xrController';
+import { addTouchInputListeners } from './touch-input';
 
 /* eslint-disable prefer-const */
 
@@ -162,6 +163,7 @@ export function showTouchControls() {
     joystick.addEventListener('touchmove', (ev) => { handleTouchMove(ev); });
     joystick.addEventListener('touchend', (ev) => { handleTouchEnd(ev); });
   }
+  addTouchInputListeners();
   touchscreen.enabled = true;
 }
 
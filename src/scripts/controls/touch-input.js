@@ -0,0 +1,159 @@
+import { Matrix4, Vector3 } from 'three';
+import { camera } from '../renderer/camera';
+import {
+  addVirtualInputSource,
+  virtualSelectStart,
+  virtualSelectEnd
+} from '../interactions';
+
+// How long a touch has to be held in place before it starts a drag
+const LONG_PRESS_MS = 500;
+// How far (in px) a touch can move before it no longer counts as a tap or long press
+const TAP_MOVE_THRESHOLD = 10;
+
+const touchState = {
+  touchId: null,
+  startX: 0,
+  startY: 0,
+  x: 0,
+  y: 0,
+  pressed: false,
+  dragging: false,
+  longPressTimer: null
+};
+
+/**
+ * Builds a pointer matrix that starts at the camera and points through the
+ * given screen coordinates.
+ * @param {number} x
+ * @param {number} y
+ */
+export function screenToPointerMatrix(x, y) {
+  const origin = new Vector3().setFromMatrixPosition(camera.matrixWorld);
+  const target = new Vector3(
+    (x / window.innerWidth) * 2 - 1,
+    -(y / window.innerHeight) * 2 + 1,
+    0.5
+  ).unproject(camera);
+
+  const up = new Vector3(0, 1, 0).transformDirection(camera.matrixWorld);
+  const pointerMatrix = new Matrix4().lookAt(origin, target, up);
+  pointerMatrix.setPosition(origin);
+  return pointerMatrix;
+}
+
+/**
+ * Input source for magic window sessions. The ray is cast from the camera through
+ * the point on the screen that is being touched, but only while a touch is pressed.
+ */
+export const touchInputSource = {
+  handedness: 'none',
+  targetRayMode: 'screen',
+  profiles: [],
+  getPointerMatrix() {
+    if (!touchState.pressed) {
+      return null;
+    }
+    return screenToPointerMatrix(touchState.x, touchState.y);
+  }
+};
+
+function clearLongPress() {
+  if (touchState.longPressTimer) {
+    clearTimeout(touchState.longPressTimer);
+    touchState.longPressTimer = null;
+  }
+}
+
+function findTouch(touchList) {
+  for (let i = 0; i < touchList.length; i++) {
+    if (touchList[i].identifier === touchState.touchId) {
+      return touchList[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Called after the touchstart event is fired.
+ * Only touches on the scene itself are used, so the joystick and buttons keep working.
+ * Holding the touch in place starts a drag.
+ * @param {TouchEvent} ev
+ */
+export function handleTouchStart(ev) {
+  if (touchState.touchId !== null || !(ev.target instanceof HTMLCanvasElement)) {
+    return;
+  }
+  const touch = ev.changedTouches[0];
+  touchState.touchId = touch.identifier;
+  touchState.startX = touch.clientX;
+  touchState.startY = touch.clientY;
+  touchState.x = touch.clientX;
+  touchState.y = touch.clientY;
+  touchState.longPressTimer = setTimeout(() => {
+    touchState.longPressTimer = null;
+    touchState.pressed = true;
+    touchState.dragging = true;
+    virtualSelectStart(touchInputSource);
+  }, LONG_PRESS_MS);
+}
+
+/**
+ * Called after the touchmove event is fired.
+ * Moves the ray while dragging, otherwise cancels the tap / long press once the
+ * touch has moved too far.
+ * @param {TouchEvent} ev
+ */
+export function handleTouchMove(ev) {
+  const touch = findTouch(ev.changedTouches);
+  if (!touch) {
+    return;
+  }
+  touchState.x = touch.clientX;
+  touchState.y = touch.clientY;
+
+  if (!touchState.dragging) {
+    const deltaX = touchState.x - touchState.startX;
+    const deltaY = touchState.y - touchState.startY;
+    if (Math.sqrt(deltaX * deltaX + deltaY * deltaY) > TAP_MOVE_THRESHOLD) {
+      clearLongPress();
+    }
+  }
+}
+
+/**
+ * Called when the touchend or touchcancel event is fired.
+ * Ends a drag, or turns a short touch that didn't move into a tap.
+ * @param {TouchEvent} ev
+ */
+export function handleTouchEnd(ev) {
+  if (!findTouch(ev.changedTouches)) {
+    return;
+  }
+
+  if (touchState.dragging) {
+    virtualSelectEnd(touchInputSource);
+  } else if (touchState.longPressTimer && ev.type === 'touchend') {
+    // Still waiting on the long press, so this was a tap
+    touchState.pressed = true;
+    virtualSelectStart(touchInputSource);
+    virtualSelectEnd(touchInputSource);
+  }
+
+  clearLongPress();
+  touchState.touchId = null;
+  touchState.pressed = false;
+  touchState.dragging = false;
+}
+
+/**
+ * Registers touches on the scene as an input source for the interactions and
+ * adds the touch event listeners.
+ */
+export function addTouchInputListeners() {
+  addVirtualInputSource(touchInputSource);
+  document.addEventListener('touchstart', handleTouchStart, false);
+  document.addEventListener('touchmove', handleTouchMove, false);
+  document.addEventListener('touchend', handleTouchEnd, false);
+  document.addEventListener('touchcancel', handleTouchEnd, false);
+}
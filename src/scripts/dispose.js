@@ -0,0 +1,107 @@
+/**
+ * Helpers for freeing the GPU resources (geometries, materials and textures) of
+ * objects and loaded assets once nothing is going to render them anymore.
+ *
+ * The resources of the assets in the asset cache are shared by every copy scenes make of
+ * them, see copyAsset(), so they're left alone unless `includeShared` is passed. The cache
+ * frees them itself once no scene holds on to the asset.
+ */
+
+// Geometries, materials and textures that belong to the asset cache, see shareAsset()
+const sharedResources = new WeakSet();
+
+function disposeResource(resource, includeShared) {
+  if (includeShared || !sharedResources.has(resource)) {
+    resource.dispose();
+  }
+}
+
+/**
+ * @param {THREE.Material} material
+ * @returns {THREE.Texture[]} the textures it uses, including those in a ShaderMaterial's uniforms
+ */
+function texturesOf(material) {
+  const uniforms = Object.values(material.uniforms || {}).map(uniform => uniform.value);
+  return [...Object.values(material), ...uniforms].filter(value => value && value.isTexture);
+}
+
+function materialsOf(object) {
+  if (!object.material) {
+    return [];
+  }
+  return Array.isArray(object.material) ? object.material : [object.material];
+}
+
+/**
+ * @param {*} asset a gltf, object or texture
+ * @returns {THREE.Object3D} the object the asset is made of, or null for a texture
+ */
+function rootOf(asset) {
+  if (asset.isObject3D) {
+    return asset;
+  }
+  return asset.scene && asset.scene.isObject3D ? asset.scene : null;
+}
+
+/**
+ * Frees a material and any textures it uses, including those in a ShaderMaterial's uniforms
+ * @param {THREE.Material} material
+ * @param {boolean} includeShared to also free what the asset cache shares
+ */
+export function disposeMaterial(material, includeShared = false) {
+  texturesOf(material).forEach(texture => disposeResource(texture, includeShared));
+  disposeResource(material, includeShared);
+}
+
+/**
+ * Frees the GPU resources of a single object, not its children
+ * @param {THREE.Object3D} object
+ * @param {boolean} includeShared to also free what the asset cache shares
+ */
+export function disposeObject(object, includeShared = false) {
+  if (object.geometry) {
+    disposeResource(object.geometry, includeShared);
+  }
+  materialsOf(object).forEach(material => disposeMaterial(material, includeShared));
+}
+
+/**
+ * Frees an asset from a loader, which isn't always part of the scene graph
+ * @param {*} asset a gltf, object or texture
+ * @param {boolean} includeShared to also free what the asset cache shares
+ */
+export function disposeAsset(asset, includeShared = false) {
+  if (asset.isTexture) {
+    disposeResource(asset, includeShared);
+    return;
+  }
+  const root = rootOf(asset);
+  if (root) {
+    root.traverse(object => disposeObject(object, includeShared));
+  }
+}
+
+/**
+ * Marks the resources of an asset in the asset cache as shared, so that disposing the scenes
+ * that use copies of it leaves them for the next scene
+ * @param {*} asset a gltf, object or texture
+ */
+export function shareAsset(asset) {
+  if (asset.isTexture) {
+    sharedResources.add(asset);
+    return;
+  }
+  const root = rootOf(asset);
+  if (!root) {
+    return;
+  }
+  root.traverse((object) => {
+    if (object.geometry) {
+      sharedResources.add(object.geometry);
+    }
+    for (const material of materialsOf(object)) {
+      sharedResources.add(material);
+      texturesOf(material).forEach(texture => sharedResources.add(texture));
+    }
+  });
+}
@@ -1,3 +1,5 @@
 import 'babel-polyfill';
 import './xrController';
 import './links';
+import './memoryStats';
+import './offline';
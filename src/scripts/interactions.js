@@ -3,34 +3,119 @@ import {
   Vector3, Matrix4
 } from 'three';
 import { getCurrentScene } from './currentScene';
+import { defaultTwoHanded, startManipulation, manipulate } from './manipulation';
 import { XR } from './xrController';
-import Controller from './scenes/controllers';
+import Controller, { HapticPulses } from './scenes/controllers';
 
-// TODO: Split Interactions into indevidual interfaces:
-// - HoverInteraction
-// - DragInteraction
-// - SelectInteraction
-// Make different symbols for each so that instead of checking if an object has
-// interactions and then checking if it has the specific function, then we could
-// just check for the one symbol.
+/**
+ * Objects are made interactive with handlers for each kind of interaction, put under these
+ * symbols so that they don't get confused with things on the three Object:
+ *
+ * - HoverInteraction: `start(intersection, pointerMatrix, inputSource)` when an input source
+ *   starts pointing at the object, `hover(intersection, pointerMatrix, inputSource)` every
+ *   frame while it does and `end(inputSource)` when it stops.
+ * - SelectInteraction: `start(intersection)` when the select button is pressed on the object,
+ *   `end()` when it's released and then `select(intersection)`. The intersection is null if
+ *   the input source has been moved off of the object by then.
+ * - DragInteraction: `start(intersection, pointerMatrix, inputSource)` when the select button
+ *   is pressed on the object, `drag(matrix, { twoHanded, inputSource })` every frame while
+ *   it's held and `end(inputSource)` when it's released. start() can return
+ *   `{ object, transformMatrix, matrixAutoUpdate }` to choose what's dragged and how it
+ *   follows the pointer, see followPointer(). Without drag() the object's matrix is set to
+ *   follow the pointer. When a second input source takes hold of the object, both move it
+ *   together and `twoHanded` is true, see manipulation.js for the handler's `twoHanded`
+ *   option. With the handler's `perInputSource` option every input source gets a drag of its
+ *   own instead, like the teleport arcs do. Where it can be dragged to can be limited with
+ *   the handler's `constraints`, see constraints.js.
+ *
+ * Every handler is optional. An object can have several handlers for the same kind of
+ * interaction, see addInteractions().
+ *
+ * Interactions bubble: an input source interacts with the nearest object it points at, and
+ * if that object doesn't handle a kind of interaction, its parent gets it, and so on. That
+ * way a door can be opened by pointing at any of the meshes it's made of.
+ *
+ * Controllers buzz when they start hovering something, or select or grab it. Scenes can buzz
+ * them too, with pulseControllers().
+ */
+export const HoverInteraction = Symbol('Hover Interaction');
+export const SelectInteraction = Symbol('Select Interaction');
+export const DragInteraction = Symbol('Drag Interaction');
 
-// Put Interaction Callbacks under a special symbol
-// so that we don't get confused with things on the three Object
-export const Interactions = Symbol('Symbol Interactions');
+const kinds = [HoverInteraction, SelectInteraction, DragInteraction];
+
+/**
+ * @param {THREE.Object3D} object
+ * @param {Symbol} kind
+ * @returns {Object[]} the object's handlers for a kind of interaction
+ */
+function getHandlers(object, kind) {
+  const handlers = object[kind];
+  if (!handlers) {
+    return [];
+  }
+  return Array.isArray(handlers) ? handlers : [handlers];
+}
+
+/**
+ * Adds behaviours to an object, next to the ones it already has
+ * ```js
+ * addInteractions(pendulum, yellowOnHover(pendulum), dragWithSnapping(pendulum), {
+ *   [SelectInteraction]: { start() { ... } }
+ * });
+ * ```
+ * @param {THREE.Object3D} object
+ * @param {...Object} behaviours each with handlers under any of the interaction symbols
+ * @returns {THREE.Object3D} object
+ */
+export function addInteractions(object, ...behaviours) {
+  for (const behaviour of behaviours) {
+    for (const kind of kinds) {
+      if (behaviour[kind]) {
+        object[kind] = [...getHandlers(object, kind), behaviour[kind]];
+      }
+    }
+  }
+  return object;
+}
+
+/**
+ * Bubbles an interaction up from the object that was pointed at
+ * @param {THREE.Object3D} object
+ * @param {Symbol} kind
+ * @returns {THREE.Object3D} the nearest of the object and its ancestors that handles the kind
+ * of interaction, or null
+ */
+function findTarget(object, kind) {
+  for (let current = object; current; current = current.parent) {
+    if (getHandlers(current, kind).length > 0) {
+      return current;
+    }
+  }
+  return null;
+}
+
+// Calls a method of every handler that has it, and returns what they return
+function callHandlers(object, kind, method, ...args) {
+  return getHandlers(object, kind)
+    .filter(handler => handler[method])
+    .map(handler => handler[method](...args));
+}
 
 // Everything needs to be a map.  If there was a single hoveredObject or selectedObject, then we wouldn't be able to have more than a single input source.
 // This maps input sources -> controllers
 const controllers = new Map();
 const hoveredObjects = new Map();
 const selectedObjects = new Map();
-// Each input source can only be dragging one thing at a time, so:
-// dragAndDrop is a map from inputSource -> {offset, transformMatrix, matrixAutoUpdate}
+// Each input source can only be dragging one thing at a time, but a thing can be dragged by
+// two input sources at once, so:
+// dragAndDrop is a map from inputSource -> the drag it's part of, see startDrag()
 const dragAndDrop = new Map();
 
 let inputSources = new Set();
 // Maintain a list of input sources
 const handleInputSourcesChange = ({ session }) => {
-  const newSources = new Set(session.getInputSources());
+  const newSources = new Set(session.inputSources);
   for (const old of inputSources.values()) {
     if (!newSources.has(old)) {
       const controller = controllers.get(old);
@@ -46,9 +131,9 @@ function createRay(inputSource, xrFrame) {
   if (inputSource.targetRaySpace) {
     const rayPose = xrFrame.getPose(inputSource.targetRaySpace, XR.refSpace);
 
+    // The target ray points down the -Z axis of its pose, just like a camera
     if (rayPose) {
-      /* global XRRay:true */
-      return new XRRay(rayPose.transform);
+      return XR.getPoseMatrix(rayPose.transform);
     }
   }
   return null;
@@ -57,81 +142,176 @@ function createRay(inputSource, xrFrame) {
 // Higher order function to reduce code duplication in the XR event handlers
 function handlerCommon(func) {
   return function ({ frame, inputSource }) {
-    const ray = createRay(inputSource, frame);
-    if (ray && ray.matrix) {
-      func(raycast(ray)[0], inputSource, new Matrix4().fromArray(ray.matrix));
+    const pointerMatrix = createRay(inputSource, frame);
+    if (pointerMatrix) {
+      func(raycast(pointerMatrix)[0], inputSource, pointerMatrix);
     }
   };
 }
-const handleSelectStart = handlerCommon((intersection, inputSource, pointerMatrix) => {
+/**
+ * The default for what's dragged: the object that handles the drag, which keeps the point it
+ * was grabbed by under the pointer
+ * @returns {{object, transformMatrix, matrixAutoUpdate}}
+ */
+function followPointer(target, pointerMatrix) {
+  const pointerInverse = new Matrix4().getInverse(pointerMatrix, true);
+  const transformMatrix = new Matrix4().multiplyMatrices(pointerInverse, target.matrixWorld);
+  return {
+    object: target,
+    transformMatrix,
+    matrixAutoUpdate: target.matrixAutoUpdate
+  };
+}
+
+// The world matrix of the space an object's matrix is in
+function spaceOf(object) {
+  return object.parent ? object.parent.matrixWorld : new Matrix4();
+}
+
+// Where the input sources dragging something hold it, in world space
+function grabPoints(drag) {
+  return [...drag.hands.values()]
+    .map(({ grabPoint, pointerMatrix }) => grabPoint.clone().applyMatrix4(pointerMatrix));
+}
+
+function startDrag(target, intersection, inputSource, pointerMatrix) {
+  const hand = {
+    // Where the input source holds what it drags, relative to the pointer
+    grabPoint: intersection.point.clone()
+      .applyMatrix4(new Matrix4().getInverse(pointerMatrix, true)),
+    pointerMatrix
+  };
+
+  const handlers = getHandlers(target, DragInteraction);
+  const perInputSource = handlers.some(handler => handler.perInputSource);
+  const drag = !perInputSource
+    && [...dragAndDrop.values()].find(other => other.target === target);
+  if (drag) {
+    // Taking hold of something that another input source is already dragging
+    if (drag.twoHanded && drag.hands.size === 1) {
+      drag.hands.set(inputSource, hand);
+      drag.manipulation = startManipulation(
+        grabPoints(drag), drag.object.matrixWorld, drag.twoHanded
+      );
+      dragAndDrop.set(inputSource, drag);
+    }
+    return;
+  }
+
+  const data = callHandlers(
+    target, DragInteraction, 'start', intersection, pointerMatrix, inputSource
+  ).find(Boolean) || followPointer(target, pointerMatrix);
+  const options = handlers.find(handler => 'twoHanded' in handler);
+  data.object.matrixAutoUpdate = false;
+  dragAndDrop.set(inputSource, {
+    ...data,
+    target,
+    constraints: [].concat(...handlers.map(handler => handler.constraints || [])),
+    // Where the drag started, in the space the constraints work in
+    start: new Matrix4().getInverse(spaceOf(data.object))
+      .multiply(new Matrix4().multiplyMatrices(pointerMatrix, data.transformMatrix)),
+    // The input sources dragging, up to two
+    hands: new Map([[inputSource, hand]]),
+    twoHanded: options ? options.twoHanded : defaultTwoHanded,
+    // Set while two input sources drag
+    manipulation: null
+  });
+}
+
+// Moves what's being dragged as far as its constraints let it, or lets the handlers move it
+function moveDragged(drag, matrix) {
+  const space = spaceOf(drag.object);
+  const local = new Matrix4().getInverse(space)
+    .multiply(matrix);
+  drag.constraints.forEach(constrain => constrain(local, { start: drag.start, space }));
+
+  const twoHanded = Boolean(drag.manipulation);
+  // The input source that took hold of it first
+  const [inputSource] = drag.hands.keys();
+  const constrained = new Matrix4().multiplyMatrices(space, local);
+  const options = { twoHanded, inputSource };
+  if (callHandlers(drag.target, DragInteraction, 'drag', constrained, options).length === 0) {
+    drag.object.matrix = local;
+    drag.object.updateMatrixWorld(true);
+  }
+}
+
+function selectStart(intersection, inputSource, pointerMatrix) {
   if (intersection) {
-    const interactions = intersection.object[Interactions];
-    if (interactions) {
-      // Handle select_start
-      if (interactions.select_start) {
-        console.log('Calling select_start');
-        interactions.select_start(intersection);
-      }
-  
-      // If there are any drag interactions then handle dragging
-      if (interactions.drag_start || interactions.drag_end || interactions.drag) {
-        let data;
-        if (interactions.drag_start) {
-          console.log('Calling drag_start');
-          data = interactions.drag_start(intersection, pointerMatrix);
-        } else {
-          console.log('Using default drag_start implementation');
-          // This is the default implementation for drag_start
-          const pointerInverse = new Matrix4().getInverse(pointerMatrix, true);
-          const target = new Matrix4().copy(intersection.object.matrixWorld);
-          const transformMatrix = new Matrix4().multiplyMatrices(pointerInverse, target);
-          data = {
-            object: intersection.object,
-            transformMatrix,
-            matrixAutoUpdate: intersection.object.matrixAutoUpdate
-          };
-        }
-        intersection.object.matrixAutoUpdate = false;
-        dragAndDrop.set(inputSource, data);
-      }
+    const selected = findTarget(intersection.object, SelectInteraction);
+    if (selected) {
+      callHandlers(selected, SelectInteraction, 'start', intersection);
+    }
+
+    const dragged = findTarget(intersection.object, DragInteraction);
+    if (dragged) {
+      startDrag(dragged, intersection, inputSource, pointerMatrix);
+    }
+
+    if (selected || dragged) {
+      pulse(inputSource, HapticPulses.select);
     }
-    selectedObjects.set(inputSource, intersection.object);
+
+    // Whatever is pointed at keeps being hovered until the select button is released
+    selectedObjects.set(inputSource, selected || intersection.object);
   }
-});
-const handleSelectEnd = handlerCommon((intersection, inputSource) => {
+}
+function selectEnd(intersection, inputSource) {
   // Handle the end of dragging
-  const data = dragAndDrop.get(inputSource);
-  if (data) {
-    const dragend = data.object[Interactions].drag_end;
-    data.object.matrixAutoUpdate = data.matrixAutoUpdate;
+  const drag = dragAndDrop.get(inputSource);
+  if (drag) {
     dragAndDrop.delete(inputSource);
-    if (dragend) {
-      console.log('Calling drag_end');
-      dragend();
-    } else { console.log('Using default drag_end implementation'); }
+    drag.hands.delete(inputSource);
+    if (drag.hands.size > 0) {
+      // The other input source carries on by itself, from wherever the object is now
+      const [other] = drag.hands.values();
+      drag.manipulation = null;
+      drag.transformMatrix = new Matrix4().getInverse(other.pointerMatrix, true)
+        .multiply(drag.object.matrixWorld);
+    } else {
+      drag.object.matrixAutoUpdate = drag.matrixAutoUpdate;
+      callHandlers(drag.target, DragInteraction, 'end', inputSource);
+    }
   }
 
   const selectedObject = selectedObjects.get(inputSource);
   if (selectedObject) {
-    const interactions = selectedObject[Interactions];
-    if (interactions) {
-      // Handle the end of selection
-      if (interactions.select_end) {
-        console.log('Calling select_end');
-        interactions.select_end();
-      } else { console.log('Using default select_end implementation'); }
-      // Handle select
-      if (interactions.select) {
-        console.log('Calling select');
-        interactions.select(
-          // If you start selecting an object and then move off of that object, then the intersection will be on another object.  In this case, pass null to the select callback.
-          (intersection.object === selectedObject) ? intersection : null
-        );
-      } else { console.log('Using default select implementation'); }
-    }
     selectedObjects.delete(inputSource);
+    callHandlers(selectedObject, SelectInteraction, 'end');
+    // If you start selecting an object and then move off of that object, then the
+    // intersection will be on another object. In this case, pass null to select().
+    const stillPointedAt = intersection
+      && findTarget(intersection.object, SelectInteraction) === selectedObject;
+    callHandlers(selectedObject, SelectInteraction, 'select', stillPointedAt ? intersection : null);
   }
-});
+}
+const handleSelectStart = handlerCommon(selectStart);
+const handleSelectEnd = handlerCommon(selectEnd);
+
+/**
+ * Input sources that don't come from an XR session, such as the desktop mouse.
+ * Instead of a targetRaySpace they implement getPointerMatrix(), which returns the
+ * pointer's Matrix4 for the current frame, or null while the pointer isn't active.
+ */
+const virtualInputSources = new Set();
+
+export function addVirtualInputSource(inputSource) {
+  virtualInputSources.add(inputSource);
+}
+
+// Fires select_start (and drag_start) for a virtual input source
+export function virtualSelectStart(inputSource) {
+  const pointerMatrix = inputSource.getPointerMatrix();
+  if (pointerMatrix) {
+    selectStart(raycast(pointerMatrix)[0], inputSource, pointerMatrix);
+  }
+}
+
+// Fires drag_end, select_end and select for a virtual input source
+export function virtualSelectEnd(inputSource) {
+  const pointerMatrix = inputSource.getPointerMatrix();
+  selectEnd(pointerMatrix ? raycast(pointerMatrix)[0] : null, inputSource);
+}
 
 // Called when a session is created:
 export function setupInteractions() {
@@ -145,28 +325,19 @@ export function setupInteractions() {
 
 // Only have one Raycaster
 const raycaster = new Raycaster();
-function raycast(xrRay) {
-  if (!xrRay.matrix)
-    return;
+function raycast(pointerMatrix) {
   const { scene } = getCurrentScene();
 
-  const trMatrix = new Matrix4().fromArray(xrRay.matrix);
-
   // Transformed ray matrix from the current scene matrix world
-  // Actually, with originOffset, I don't think this is neccessary:
-  const rMatrix = new Matrix4().multiplyMatrices(scene.matrixWorld, trMatrix);
+  // Actually, with the offset reference space, I don't think this is neccessary:
+  const rMatrix = new Matrix4().multiplyMatrices(scene.matrixWorld, pointerMatrix);
 
   raycaster.set(
     new Vector3().setFromMatrixPosition(rMatrix),
     new Vector3(0, 0, -1).transformDirection(rMatrix)
       .normalize()
   );
-  const intersections = raycaster.intersectObjects(scene.children, true);
-  // for (const intersection of intersections) {
-  //   intersection.point.applyMatrix4(scene.matrixWorld);
-  // }
-  if (intersections) return intersections;
-  return [];
+  return raycaster.intersectObjects(scene.children, true);
 }
 
 export function bindControllers(scene) {
@@ -179,56 +350,64 @@ export function unbindControllers() {
     controller.unbind();
   }
 }
-function updateInputSource(inputSource, ray, frame) {
+// Buzzes the input source's controller, if it has one
+function pulse(inputSource, haptics) {
+  const controller = controllers.get(inputSource);
+  if (controller) {
+    controller.pulse(haptics);
+  }
+}
+
+/**
+ * Buzzes the controllers for something that happened in a scene, like a ball hitting the floor
+ * @param {Object} haptics like HapticPulses.bump, see scenes/controllers
+ * @param {THREE.Object3D} dragged to only buzz the controllers that are dragging this
+ */
+export function pulseControllers(haptics, dragged = null) {
+  for (const inputSource of controllers.keys()) {
+    const drag = dragAndDrop.get(inputSource);
+    if (!dragged || (drag && (drag.target === dragged || drag.object === dragged))) {
+      pulse(inputSource, haptics);
+    }
+  }
+}
+
+// End the hover of whatever the input source was last hovering
+function endHover(inputSource) {
+  const lastHovered = hoveredObjects.get(inputSource);
+  if (lastHovered) {
+    hoveredObjects.delete(inputSource);
+    callHandlers(lastHovered, HoverInteraction, 'end', inputSource);
+  }
+}
+function updateInputSource(inputSource, pointerMatrix, frame) {
   if (!controllers.has(inputSource)) {
     controllers.set(inputSource, new Controller(inputSource));
   }
   const controller = controllers.get(inputSource);
-  // Handle Drag and Drop
-  if (dragAndDrop.has(inputSource)) {
-    const { object, transformMatrix } = dragAndDrop.get(inputSource);
-    const newMatrix = new Matrix4().multiplyMatrices(new Matrix4().fromArray(ray.matrix), transformMatrix);
-    if (object[Interactions].drag) {
-      // console.log('Calling drag');
-      object[Interactions].drag(newMatrix);
-    } else {
-      // console.log('Using default drag implementation');
-      object.matrix = newMatrix;
-      object.updateMatrixWorld(true);
+  // Handle Drag and Drop, things held with two input sources are moved once both are updated
+  const drag = dragAndDrop.get(inputSource);
+  if (drag) {
+    drag.hands.get(inputSource).pointerMatrix = pointerMatrix;
+    if (!drag.manipulation) {
+      moveDragged(drag, new Matrix4().multiplyMatrices(pointerMatrix, drag.transformMatrix));
     }
   }
-  const lastHovered = hoveredObjects.get(inputSource);
-  const intersections = raycast(ray);
-  if (!selectedObjects.get(inputSource)) {
-    for (const intersection of intersections) {
-      if (intersection.object.name === 'controller') {
-        continue;
-      }
-      const interactions = intersection.object[Interactions];
-      if (lastHovered !== intersection.object) {
-        // End the hover of the previous object
-        if (lastHovered && lastHovered[Interactions] && lastHovered[Interactions].hover_end) {
-          console.log('Calling hover_end');
-          lastHovered[Interactions].hover_end();
-        } else { console.log('Using default hover_end implementation'); }
-
-        // Hover the new Object
-        if (interactions && interactions.hover_start) {
-          console.log('Calling hover_start');
-          interactions.hover_start(intersection);
-        } else { console.log('Using default hover_start implementation'); }
-
-        // Mark the object as the one hovered by this input source
-        hoveredObjects.set(inputSource, intersection.object);
+  const intersections = raycast(pointerMatrix);
+  const intersection = intersections.find(({ object }) => object.name !== 'controller');
+  if (intersection && !selectedObjects.get(inputSource)) {
+    const hovered = findTarget(intersection.object, HoverInteraction);
+    if (hovered !== (hoveredObjects.get(inputSource) || null)) {
+      endHover(inputSource);
+      if (hovered) {
+        hoveredObjects.set(inputSource, hovered);
+        pulse(inputSource, HapticPulses.hover);
+        callHandlers(hovered, HoverInteraction, 'start', intersection, pointerMatrix, inputSource);
       }
-
-      // Call the hover method for every frame as lon as the same object is hovered
-      if (interactions && interactions.hover) {
-        // console.log('Calling hover');
-        interactions.hover(intersection);
-      }
-      // else console.log('Using default hover implementation');
-      break;
+    }
+    // Call hover() every frame as long as the same object is hovered
+    if (hovered) {
+      callHandlers(hovered, HoverInteraction, 'hover', intersection, pointerMatrix, inputSource);
     }
   }
 
@@ -237,47 +416,45 @@ function updateInputSource(inputSource, ray, frame) {
 
   // Handle if there are no objects to be intersected with
   if (intersections.length === 0) {
-    if (lastHovered) {
-      if (lastHovered[Interactions] && lastHovered[Interactions].hover_end) {
-        lastHovered[Interactions].hover_end();
-      }
-      hoveredObjects.delete(inputSource);
-    }
+    endHover(inputSource);
   }
 }
-// Called every frame.
+// Called every frame.  Virtual input sources are updated even when there is no XRFrame.
 export function handleInteractions(timestamp, frame) {
   if (frame) {
-    if (inputSources.size > 0) {
-      for (const inputSource of inputSources.values()) {
-        const ray = createRay(inputSource, frame);
-        updateInputSource(inputSource, ray, frame);
+    for (const inputSource of inputSources.values()) {
+      const pointerMatrix = createRay(inputSource, frame);
+      if (pointerMatrix) {
+        updateInputSource(inputSource, pointerMatrix, frame);
       }
     }
   }
+  for (const inputSource of virtualInputSources.values()) {
+    const pointerMatrix = inputSource.getPointerMatrix();
+    if (pointerMatrix) {
+      updateInputSource(inputSource, pointerMatrix, frame);
+    } else {
+      // The pointer isn't active (pointer unlocked, finger lifted) so it can't hover anything
+      endHover(inputSource);
+    }
+  }
+  for (const drag of new Set(dragAndDrop.values())) {
+    if (drag.manipulation) {
+      moveDragged(drag, manipulate(drag.manipulation, grabPoints(drag)));
+    }
+  }
 }
 
 // Called when the session ends:
 export function closeInteractions(session) {
-  function cleanupHelper(map, interactions) {
-    for (const [inputSource, object] of map.entries()) {
-      if (object) {
-        if (object[Interactions]) {
-          for (const interaction of interactions) {
-            if (object[Interactions][interaction]) {
-              console.log(`Calling ${interaction}`);
-              object[Interactions][interaction]();
-            }
-          }
-        }
-      }
-      map.delete(inputSource);
-    }
+  // Make sure that we end any drags, selections and hovers like we would have if the person
+  // hadn't exited their session
+  for (const inputSource of new Set([...dragAndDrop.keys(), ...selectedObjects.keys()])) {
+    selectEnd(null, inputSource);
+  }
+  for (const inputSource of [...hoveredObjects.keys()]) {
+    endHover(inputSource);
   }
-  // Make sure that we call hover_end, select_end, and select on any objects that we would have if the person hadn't exited their session
-  cleanupHelper(hoveredObjects, ['hover_end']);
-  cleanupHelper(selectedObjects, ['select_end', 'select']);
-  cleanupHelper(dragAndDrop, ['drag_end']);
 
   console.log('Closing interactions');
   // console.trace();
@@ -1,9 +1,18 @@
 import { navigate } from './router';
 
-for (const el of document.links) {
-  el.addEventListener('click', (e) => {
-    e.preventDefault(); // Stop the browser from navigating to the link's location.
-    e.stopPropagation();
-    navigate((new URL(el.href)).pathname);
-  });
-}
+// Listen on the document so that links added later (like the welcome page's room links) work too
+document.addEventListener('click', (e) => {
+  const el = e.target.closest('a');
+  if (!el || el.origin !== window.location.origin) {
+    return;
+  }
+  // Leave opening links in a new tab or window, or downloading them, to the browser
+  if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey || el.target) {
+    return;
+  }
+  e.preventDefault(); // Stop the browser from navigating to the link's location.
+  e.stopPropagation();
+  // Keep the query, which has the room's state in links to a room that was set up
+  const { pathname, search } = new URL(el.href);
+  navigate(pathname + search);
+});
@@ -1,87 +1,346 @@
 import { ObjectLoader, TextureLoader, CubeTextureLoader } from 'three';
 import THREE from './three';
+import {
+  acquireAsset, releaseAsset, copyAsset, isAssetLoaded
+} from './assetCache';
+import { loadGltf } from './loaders/gltf';
+import { loadKtx2Texture, loadKtx2CubeTexture } from './loaders/ktx2';
 
 const objectLoader = new ObjectLoader();
-const gltfLoader = new THREE.GLTFLoader();
 const objLoader = new THREE.OBJLoader();
 const textureLoader = new TextureLoader();
 const cubeTextureLoader= new CubeTextureLoader();
 
+// How long a download that reports its progress can go without making any before the
+// attempt is given up on
+const LOAD_TIMEOUT_MS = 30000;
+// How many more times a failed asset is tried
+const MAX_RETRIES = 2;
+// How long to wait before the first retry, doubled for every retry after it
+const RETRY_DELAY_MS = 1000;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isKtx2(url) {
+  return /\.ktx2$/i.test(Array.isArray(url) ? url[0] : url);
+}
+
+/**
+ * Makes a load function that loads the fallback url instead when the first load fails,
+ * e.g. a JPG when a KTX2 texture can't be transcoded
+ * @param {Function} load
+ * @param {Function} fallbackLoad
+ * @param {string|string[]} fallbackUrl the load function is returned as is without one
+ * @returns {Function} called like THREE.Loader.load(url, onLoad, onProgress, onError)
+ */
+function withFallback(load, fallbackLoad, fallbackUrl) {
+  if (!fallbackUrl) {
+    return load;
+  }
+  return (url, onLoad, onProgress, onError) => load(url, onLoad, onProgress, (err) => {
+    console.warn(`Loading ${fallbackUrl} instead of ${url} : ${err}`);
+    fallbackLoad(fallbackUrl, onLoad, onProgress, onError);
+  });
+}
+
+/**
+ * The error waitForCache() rejects with when an asset still fails after all its retries
+ */
+export class AssetLoadError extends Error {
+  /**
+   * @param {string} id the id the asset was added to the queue with
+   * @param {string|string[]} url
+   * @param {*} reason the error from the last attempt
+   */
+  constructor(id, url, reason) {
+    super(`Couldn't load ${id} from ${url} : ${(reason && reason.message) || reason}`);
+    this.name = 'AssetLoadError';
+    this.id = id;
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+/**
+ * The error for a manifest entry that can't be loaded, or an asset id that isn't in the cache
+ */
+export class AssetManifestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssetManifestError';
+  }
+}
+
+// The method of Loader that queues each type of manifest entry
+const MANIFEST_TYPES = {
+  gltf: 'addGltfToQueue',
+  texture: 'addTextureToQueue',
+  cubeTexture: 'addCubeTextureToQueue',
+  object: 'addObjectToQueue',
+  obj: 'addOBJToQueue'
+};
+
+function urlKey(type, url) {
+  return `${type} ${Array.isArray(url) ? url.join('|') : url}`;
+}
+
+/**
+ * @param {Object[]} manifest like a scene's static `assets`, see Loader.addManifest()
+ * @returns {string[]} every url the manifest can load, fallbacks included, so they can be
+ * saved for offline use
+ */
+export function getManifestUrls(manifest) {
+  const urls = [];
+  for (const { url, options = {} } of manifest) {
+    urls.push(...[].concat(url, options.fallback || []));
+  }
+  return [...new Set(urls)];
+}
+
 export class Loader {
   _queue = [];
 
   cache = {};
 
+  // One entry per asset added to the queue, see getProgress()
+  items = [];
+
+  // Called with getProgress() whenever an asset makes progress, finishes or fails
+  onProgress = null;
+
+  timeout = LOAD_TIMEOUT_MS;
+
+  retries = MAX_RETRIES;
+
+  retryDelay = RETRY_DELAY_MS;
+
+  // Urls acquired from the asset cache, let go of in release()
+  _acquired = [];
+
+  // The manifest entries that have been queued, by id, see addManifest()
+  _manifest = new Map();
+
   /**
-   * add gltf to the queue, and return a promise with the gltf
+   * Loads an asset with any three.js style loader and adds it to the queue.
+   * Assets are shared with every other Loader through the asset cache, so an url that
+   * is already loaded isn't fetched again, and this loader's cache gets its own copy.
+   * Once an attempt reports progress, it is given up on if it then makes none for `timeout`
+   * ms before its download is complete. Loaders that don't report progress, like three's
+   * image loaders, are left to the browser's own timeouts. Failed attempts are retried
+   * `retries` times with a growing delay between them.
    *
-   * @param {string} url
-   * @param {string} id unique id to access the gltf from the cache
-   * @returns {Promise<THREE.GLTF>}
+   * @param {Function} load called like THREE.Loader.load(url, onLoad, onProgress, onError),
+   * it can return the request, like FileLoader does, so an attempt that is given up on is
+   * aborted
+   * @param {string|string[]} url
+   * @param {string} id unique id to access the asset from the cache
+   * @returns {Promise} resolves with the asset, or rejects with an AssetLoadError
    */
-  addGltfToQueue = (url, id) => {
-    const promise = new Promise((resolve, reject) => {
-      gltfLoader.load(
-        url,
-        (gltf) => { // onSuccess
-          this.cache[id] = gltf;
-          resolve(gltf);
-        },
-        () => {}, // onProgress
-        err => reject(err) // onError
-      );
-    });
+  addToQueue(load, url, id) {
+    const item = {
+      id,
+      url,
+      loadedBytes: 0,
+      totalBytes: 0,
+      done: false,
+      error: null
+    };
+    this.items.push(item);
+
+    this._acquired.push(url);
+    const promise = acquireAsset(url, () => this._loadWithRetries(load, url, id, item)).then(
+      (asset) => {
+        const copy = copyAsset(asset);
+        this.cache[id] = copy;
+        item.done = true;
+        item.loadedBytes = item.totalBytes;
+        this._reportProgress();
+        return copy;
+      },
+      (err) => {
+        item.error = err;
+        this._reportProgress();
+        throw err;
+      }
+    );
     this._queue.push(promise);
 
     return promise;
   }
 
   /**
-   * add texture to the queue, and return a promise with the texture
-   *
-   * @param {string} url
-   * @param {string} id unique id to access the texture from the cache
-   * @returns {Promise<THREE.Texture>}
+   * Lets go of every asset this loader got from the asset cache, called when its scene is disposed
+   */
+  release() {
+    this._acquired.forEach(releaseAsset);
+    this._acquired = [];
+  }
+
+  /**
+   * @returns {boolean} whether every asset in the queue has already been loaded, by this or
+   * another loader, so waitForCache() resolves without downloading anything
    */
-  addTextureToQueue = (url, id) => {
-    const promise = new Promise((resolve, reject) => {
-      textureLoader.load(
+  isLoaded() {
+    return this._acquired.every(isAssetLoaded);
+  }
+
+  _loadWithRetries(load, url, id, item) {
+    const attempt = () => new Promise((resolve, reject) => {
+      let timer;
+      // Set once the attempt is given up on, so whatever it reports afterwards is ignored
+      let abandoned = false;
+      let request = null;
+      const giveUp = () => {
+        abandoned = true;
+        if (request && request.abort) {
+          request.abort();
+        }
+        reject(new Error(`No progress for ${this.timeout}ms`));
+      };
+
+      request = load(
         url,
-        (texture) => { // onSuccess
-          this.cache[id] = texture;
-          resolve(texture);
+        (asset) => { // onSuccess
+          clearTimeout(timer);
+          if (!abandoned) {
+            resolve(asset);
+          }
         },
-        () => {}, // onProgress
-        err => reject(err) // onError
+        (event) => { // onProgress
+          if (abandoned) {
+            return;
+          }
+          clearTimeout(timer);
+          const complete = event && event.lengthComputable && event.loaded >= event.total;
+          // What's left once it's downloaded is decoding, or loading a fallback
+          if (!complete) {
+            timer = setTimeout(giveUp, this.timeout);
+          }
+          if (event && event.lengthComputable) {
+            item.loadedBytes = event.loaded;
+            item.totalBytes = event.total;
+            this._reportProgress();
+          }
+        },
+        (err) => { // onError
+          clearTimeout(timer);
+          if (!abandoned) {
+            reject(err);
+          }
+        }
       );
     });
-    this._queue.push(promise);
 
-    return promise;
+    const tryLoad = retry => attempt().catch((err) => {
+      if (retry >= this.retries) {
+        throw new AssetLoadError(id, url, err);
+      }
+      console.warn(`Retrying ${id} after error : ${err}`);
+      item.loadedBytes = 0;
+      return delay(this.retryDelay * (2 ** retry)).then(() => tryLoad(retry + 1));
+    });
+
+    return tryLoad(0);
   }
 
   /**
-   * add texture to the queue, and return a promise with the texture
+   * add gltf to the queue, and return a promise with the gltf.
+   * Draco and meshopt compressed files are decoded, see loaders/gltf.js.
+   *
+   * @param {string} url
+   * @param {string} id unique id to access the gltf from the cache
+   * @param {string} fallbackUrl uncompressed file to load if the url can't be decoded
+   * @returns {Promise<THREE.GLTF>}
+   */
+  addGltfToQueue = (url, id, fallbackUrl) => this.addToQueue(
+    withFallback(loadGltf, loadGltf, fallbackUrl), url, id
+  );
+
+  /**
+   * add texture to the queue, and return a promise with the texture.
+   * KTX2 textures are transcoded for the GPU, see loaders/ktx2.js.
    *
    * @param {string} url
    * @param {string} id unique id to access the texture from the cache
+   * @param {string} fallbackUrl JPG or PNG to load if a KTX2 texture can't be transcoded
+   * @returns {Promise<THREE.Texture>}
+   */
+  addTextureToQueue = (url, id, fallbackUrl) => {
+    const load = textureLoader.load.bind(textureLoader);
+    return this.addToQueue(
+      isKtx2(url) ? withFallback(loadKtx2Texture, load, fallbackUrl) : load, url, id
+    );
+  };
+
+  /**
+   * add texture to the queue, and return a promise with the texture
+   *
+   * @param {string[]} urls
+   * @param {string} id unique id to access the texture from the cache
+   * @param {string[]} fallbackUrls JPGs or PNGs to load if KTX2 textures can't be transcoded
    * @returns {Promise<THREE.CubeTexture>}
    */
-  addCubeTextureToQueue = (urls, id) => {
-    const promise = new Promise((resolve, reject) => {
-      cubeTextureLoader.load(
-        urls,
-        (texture) => { // onSuccess
-          this.cache[id] = texture;
-          resolve(texture);
-        },
-        () => {}, // onProgress
-        err => reject(err) // onError
-      );
-    });
-    this._queue.push(promise);
+  addCubeTextureToQueue = (urls, id, fallbackUrls) => {
+    const load = cubeTextureLoader.load.bind(cubeTextureLoader);
+    return this.addToQueue(
+      isKtx2(urls) ? withFallback(loadKtx2CubeTexture, load, fallbackUrls) : load, urls, id
+    );
+  };
 
-    return promise;
+  /**
+   * Queues every asset in a manifest, like the one scenes declare in their static `assets`.
+   * An entry that is the same as one already queued is skipped, and entries with the same
+   * url and type under different ids are only loaded once.
+   *
+   * @param {Object[]} manifest
+   * @param {string} manifest[].id unique id to access the asset from the cache
+   * @param {string|string[]} manifest[].url an array of urls for cube textures
+   * @param {string} manifest[].type 'gltf', 'texture', 'cubeTexture', 'object' or 'obj'
+   * @param {Object} manifest[].options `fallback` is the url to load if a compressed asset
+   * can't be decoded
+   * @returns {Promise<Object>} the same as waitForCache()
+   */
+  addManifest(manifest) {
+    // Check every entry first, so that a bad manifest doesn't leave half of it loading
+    const keys = new Map([...this._manifest].map(([id, { key }]) => [id, key]));
+    for (const entry of manifest) {
+      const { id, url, type } = entry;
+      if (!id || !url) {
+        throw new AssetManifestError(`Manifest entries need an id and a url : ${JSON.stringify(entry)}`);
+      }
+      if (!MANIFEST_TYPES[type]) {
+        throw new AssetManifestError(
+          `Unknown type "${type}" for asset "${id}", expected one of ${Object.keys(MANIFEST_TYPES).join(', ')}`
+        );
+      }
+      const key = urlKey(type, url);
+      if (keys.has(id) && keys.get(id) !== key) {
+        throw new AssetManifestError(`The id "${id}" is used for more than one asset`);
+      }
+      keys.set(id, key);
+    }
+
+    for (const {
+      id, url, type, options = {}
+    } of manifest) {
+      if (!this._manifest.has(id)) {
+        const key = urlKey(type, url);
+        const sameAsset = [...this._manifest.values()].find(other => other.key === key);
+        let promise;
+        if (sameAsset) {
+          promise = this.depend(sameAsset.promise.then((asset) => {
+            this.cache[id] = asset;
+            return asset;
+          }));
+        } else {
+          promise = this[MANIFEST_TYPES[type]](url, id, options.fallback);
+        }
+        this._manifest.set(id, { key, promise });
+      }
+    }
+    return this.waitForCache();
   }
 
   // This is to have one loader wait until another loader / task has finished before it finishes itself
@@ -97,22 +356,7 @@ export class Loader {
    * @param {string} id unique id to access the object from the cache
    * @returns {Promise<THREE.Object3D>}
    */
-  addObjectToQueue = (url, id) => {
-    const promise = new Promise((resolve, reject) => {
-      objectLoader.load(
-        url,
-        (object) => { // onSuccess
-          this.cache[id] = object;
-          resolve(object);
-        },
-        () => {}, // onProgress
-        err => reject(err) // onError
-      );
-    });
-    this._queue.push(promise);
-
-    return promise;
-  }
+  addObjectToQueue = (url, id) => this.addToQueue(objectLoader.load.bind(objectLoader), url, id);
 
   /**
    * add object to the queue, and return a promise with the object
@@ -121,28 +365,61 @@ export class Loader {
    * @param {string} id unique id to access the object from the cache
    * @returns {Promise<THREE.Object3D>}
    */
-  addOBJToQueue = (url, id) => {
-    const promise = new Promise((resolve, reject) => {
-      objLoader.load(
-        url,
-        (object) => { // onSuccess
-          this.cache[id] = object;
-          resolve(object);
-        },
-        () => {}, // onProgress
-        err => reject(err) // onError
-      );
-    });
-    this._queue.push(promise);
+  addOBJToQueue = (url, id) => this.addToQueue(objLoader.load.bind(objLoader), url, id);
 
-    return promise;
+  /**
+   * Aggregate progress of every asset in the queue. Bytes are only known for assets
+   * whose server sends their size, so `fraction` is the average progress of each asset.
+   * @returns {{loadedItems: number, totalItems: number, loadedBytes: number,
+   *   totalBytes: number, fraction: number}}
+   */
+  getProgress() {
+    const totalItems = this.items.length;
+    let loadedItems = 0;
+    let loadedBytes = 0;
+    let totalBytes = 0;
+    let fractions = 0;
+    for (const item of this.items) {
+      loadedBytes += item.loadedBytes;
+      totalBytes += item.totalBytes;
+      if (item.done) {
+        loadedItems += 1;
+        fractions += 1;
+      } else if (item.totalBytes) {
+        fractions += item.loadedBytes / item.totalBytes;
+      }
+    }
+    return {
+      loadedItems,
+      totalItems,
+      loadedBytes,
+      totalBytes,
+      fraction: totalItems ? fractions / totalItems : 1
+    };
+  }
+
+  _reportProgress() {
+    if (this.onProgress) {
+      this.onProgress(this.getProgress());
+    }
   }
 
   /**
    * waits for all assets, returns promise with cache object as value.
+   * Rejects with an AssetLoadError if any asset fails to load.
    */
   async waitForCache() {
     await Promise.all(this._queue);
-    return this.cache;
+    // Asking for an asset that was never queued is a mistake, so say so instead of returning undefined
+    return new Proxy(this.cache, {
+      get(cache, id) {
+        if (typeof id === 'string' && !(id in cache) && id !== 'then' && id !== 'toJSON') {
+          throw new AssetManifestError(
+            `There is no asset with the id "${id}", the loaded assets are : ${Object.keys(cache).join(', ')}`
+          );
+        }
+        return cache[id];
+      }
+    });
   }
 }
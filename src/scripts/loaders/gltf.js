@@ -0,0 +1,199 @@
+import MeshoptDecoder from 'meshoptimizer/meshopt_decoder';
+import THREE from '../three';
+
+/**
+ * Loads glTF and GLB files, including ones whose geometry is compressed with Draco
+ * (KHR_draco_mesh_compression) or meshoptimizer (EXT_meshopt_compression).
+ * The decoders are only fetched the first time a file needs them.
+ */
+
+const DRACO = 'KHR_draco_mesh_compression';
+const MESHOPT = 'EXT_meshopt_compression';
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const GLB_HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+const JSON_CHUNK = 0x4E4F534A;
+const BIN_CHUNK = 0x004E4942;
+
+const gltfLoader = new THREE.GLTFLoader();
+gltfLoader.setDRACOLoader(new THREE.DRACOLoader());
+
+let dracoDecoder = null;
+
+/**
+ * Fetches the Draco decoder, which THREE.DRACOLoader finds on window
+ * @returns {Promise}
+ */
+function loadDracoDecoder() {
+  if (!dracoDecoder) {
+    // The asm.js build, so that there isn't a separate .wasm file to serve
+    dracoDecoder = import('three/examples/js/libs/draco/gltf/draco_decoder').then((module) => {
+      window.DracoDecoderModule = module.default || module;
+    }, (err) => {
+      // Let the next file try again
+      dracoDecoder = null;
+      throw err;
+    });
+  }
+  return dracoDecoder;
+}
+
+function align4(length) {
+  return Math.ceil(length / 4) * 4;
+}
+
+/**
+ * Splits a glTF or GLB file into its json and binary chunk
+ * @param {ArrayBuffer} data
+ * @returns {{json: Object, bin: Uint8Array}} bin is null for .gltf files
+ */
+function readGltf(data) {
+  const view = new DataView(data);
+  if (data.byteLength < GLB_HEADER_LENGTH || view.getUint32(0, true) !== GLB_MAGIC) {
+    return { json: JSON.parse(THREE.LoaderUtils.decodeText(new Uint8Array(data))), bin: null };
+  }
+
+  let json = null;
+  let bin = null;
+  let offset = GLB_HEADER_LENGTH;
+  while (offset < view.getUint32(8, true)) {
+    const length = view.getUint32(offset, true);
+    const type = view.getUint32(offset + 4, true);
+    const chunk = new Uint8Array(data, offset + CHUNK_HEADER_LENGTH, length);
+    if (type === JSON_CHUNK) {
+      json = JSON.parse(THREE.LoaderUtils.decodeText(chunk));
+    } else if (type === BIN_CHUNK) {
+      bin = chunk;
+    }
+    offset += CHUNK_HEADER_LENGTH + length;
+  }
+  return { json, bin };
+}
+
+/**
+ * Packs json and binary data into a GLB file
+ * @param {Object} json
+ * @param {Uint8Array} bin
+ * @returns {ArrayBuffer}
+ */
+export function writeGlb(json, bin) {
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = align4(jsonBytes.byteLength);
+  const binLength = bin ? align4(bin.byteLength) : 0;
+  const byteLength = GLB_HEADER_LENGTH + CHUNK_HEADER_LENGTH + jsonLength
+    + (bin ? CHUNK_HEADER_LENGTH + binLength : 0);
+
+  const data = new ArrayBuffer(byteLength);
+  const view = new DataView(data);
+  const bytes = new Uint8Array(data);
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, byteLength, true);
+
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, JSON_CHUNK, true);
+  bytes.fill(0x20, 20, 20 + jsonLength); // json is padded with spaces
+  bytes.set(jsonBytes, 20);
+
+  if (bin) {
+    const binOffset = 20 + jsonLength;
+    view.setUint32(binOffset, binLength, true);
+    view.setUint32(binOffset + 4, BIN_CHUNK, true);
+    bytes.set(bin, binOffset + CHUNK_HEADER_LENGTH);
+  }
+  return data;
+}
+
+function removeExtension(json, name) {
+  for (const list of ['extensionsUsed', 'extensionsRequired']) {
+    if (json[list]) {
+      json[list] = json[list].filter(extension => extension !== name);
+    }
+  }
+}
+
+/**
+ * three r101's GLTFLoader doesn't know EXT_meshopt_compression, so the compressed buffer
+ * views are decoded here and added to the end of the GLB's binary chunk instead
+ * @param {Object} json
+ * @param {Uint8Array} bin
+ * @returns {ArrayBuffer} the GLB without any meshopt compression
+ */
+function decodeMeshopt(json, bin) {
+  if (!bin) {
+    throw new Error('meshopt compression is only supported in .glb files');
+  }
+
+  const decoded = [];
+  let byteLength = align4(bin.byteLength);
+  for (const bufferView of json.bufferViews) {
+    const extension = bufferView.extensions && bufferView.extensions[MESHOPT];
+    if (extension) {
+      if (extension.buffer !== 0) {
+        throw new Error('meshopt compressed data has to be in the .glb file');
+      }
+      const source = bin.subarray(extension.byteOffset || 0, (extension.byteOffset || 0) + extension.byteLength);
+      const target = new Uint8Array(extension.count * extension.byteStride);
+      MeshoptDecoder.decodeGltfBuffer(
+        target, extension.count, extension.byteStride, source, extension.mode, extension.filter || 'NONE'
+      );
+      decoded.push({ bufferView, target, byteOffset: byteLength });
+      byteLength = align4(byteLength + target.byteLength);
+    }
+  }
+
+  const decodedBin = new Uint8Array(byteLength);
+  decodedBin.set(bin);
+  for (const { bufferView, target, byteOffset } of decoded) {
+    decodedBin.set(target, byteOffset);
+    bufferView.buffer = 0;
+    bufferView.byteOffset = byteOffset;
+    bufferView.byteLength = target.byteLength;
+    delete bufferView.extensions[MESHOPT];
+  }
+  json.buffers[0].byteLength = byteLength;
+  removeExtension(json, MESHOPT);
+  return writeGlb(json, decodedBin);
+}
+
+/**
+ * Gets the decoders a file needs ready
+ * @param {ArrayBuffer} data a glTF or GLB file
+ * @returns {Promise<ArrayBuffer>} the file, ready for THREE.GLTFLoader
+ */
+async function prepareGltf(data) {
+  const { json, bin } = readGltf(data);
+  const extensions = json.extensionsUsed || [];
+  if (extensions.includes(DRACO)) {
+    await loadDracoDecoder();
+  }
+  if (extensions.includes(MESHOPT)) {
+    if (!MeshoptDecoder.supported) {
+      throw new Error('meshopt decoding needs WebAssembly');
+    }
+    await MeshoptDecoder.ready;
+    return decodeMeshopt(json, bin);
+  }
+  return data;
+}
+
+/**
+ * Loads a glTF or GLB file, called like THREE.GLTFLoader.load()
+ * @param {string} url
+ * @param {Function} onLoad called with the gltf
+ * @param {Function} onProgress
+ * @param {Function} onError
+ * @returns {XMLHttpRequest} the download, so it can be aborted
+ */
+export function loadGltf(url, onLoad, onProgress, onError) {
+  const fileLoader = new THREE.FileLoader();
+  fileLoader.setResponseType('arraybuffer');
+  return fileLoader.load(url, (data) => {
+    prepareGltf(data)
+      .then(prepared => gltfLoader.parse(
+        prepared, THREE.LoaderUtils.extractUrlBase(url), onLoad, onError
+      ))
+      .catch(onError);
+  }, onProgress, onError);
+}
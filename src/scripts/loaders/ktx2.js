@@ -0,0 +1,282 @@
+import {
+  FileLoader, CompressedTexture, CubeTexture, LinearFilter, LinearMipMapLinearFilter,
+  RGBA_ASTC_4x4_Format, RGB_S3TC_DXT1_Format, RGBA_S3TC_DXT5_Format, RGB_ETC1_Format,
+  RGB_PVRTC_4BPPV1_Format, RGBA_PVRTC_4BPPV1_Format
+} from 'three';
+import { renderer } from '../renderer';
+
+/**
+ * Loads KTX2 textures with Basis Universal supercompression, transcoding them to
+ * whichever compressed format the GPU supports. Textures stay compressed on the GPU,
+ * so they take a fraction of the memory a JPG or PNG would.
+ *
+ * three r101 doesn't come with a Basis transcoder, so the one from three r137 is used, which
+ * package.json installs as `three-r137`. Its code is bundled into a chunk of its own, and
+ * Parcel copies its wasm for the `#basis-transcoder-wasm` link in index.html. Both are only
+ * fetched the first time a KTX2 texture is loaded. Loading fails if the transcoder can't be
+ * started or the GPU doesn't support any of the formats, so that the Loader can fall back
+ * to a JPG or PNG.
+ */
+
+// The transcoder's target formats that three r101 can upload, see transcoder_texture_format in basisu
+const TranscoderFormat = {
+  ETC1: 0,
+  BC1: 2,
+  BC3: 3,
+  PVRTC1_4_RGB: 8,
+  PVRTC1_4_RGBA: 9,
+  ASTC_4x4: 10
+};
+
+// In order of preference, the first one the GPU supports is used
+const FORMAT_OPTIONS = [
+  {
+    extension: 'WEBGL_compressed_texture_astc',
+    transcoderFormat: [TranscoderFormat.ASTC_4x4, TranscoderFormat.ASTC_4x4],
+    format: [RGBA_ASTC_4x4_Format, RGBA_ASTC_4x4_Format]
+  },
+  {
+    extension: 'WEBGL_compressed_texture_s3tc',
+    transcoderFormat: [TranscoderFormat.BC1, TranscoderFormat.BC3],
+    format: [RGB_S3TC_DXT1_Format, RGBA_S3TC_DXT5_Format]
+  },
+  {
+    extension: 'WEBGL_compressed_texture_etc1',
+    transcoderFormat: [TranscoderFormat.ETC1],
+    format: [RGB_ETC1_Format]
+  },
+  {
+    extension: 'WEBGL_compressed_texture_pvrtc',
+    transcoderFormat: [TranscoderFormat.PVRTC1_4_RGB, TranscoderFormat.PVRTC1_4_RGBA],
+    format: [RGB_PVRTC_4BPPV1_Format, RGBA_PVRTC_4BPPV1_Format],
+    needsPowerOfTwo: true
+  }
+];
+
+let transcoder = null;
+
+// A cube texture that three r101 uploads from its faces' mipmaps, like a CompressedTexture
+class CompressedCubeTexture extends CubeTexture {
+  isCompressedTexture = true;
+}
+
+/**
+ * Fetches the transcoder's code without starting it, so that it's saved for offline use
+ * @returns {Promise<Function>} the emscripten module factory
+ */
+export function loadTranscoderCode() {
+  return import('~/node_modules/three-r137/examples/js/libs/basis/basis_transcoder')
+    .then(factory => factory.default || factory);
+}
+
+/**
+ * @returns {string} where Parcel put the transcoder's wasm
+ */
+export function getTranscoderWasmUrl() {
+  return document.getElementById('basis-transcoder-wasm').href;
+}
+
+/**
+ * Compiles the transcoder's wasm while it downloads, for emscripten's instantiateWasm()
+ * @param {Object} imports
+ * @returns {Promise<WebAssembly.WebAssemblyInstantiatedSource>}
+ */
+function instantiateTranscoderWasm(imports) {
+  const url = getTranscoderWasmUrl();
+  return window.fetch(url).then((response) => {
+    if (!response.ok) {
+      throw new Error(`Couldn't fetch ${url} : ${response.status}`);
+    }
+    // Servers that don't send it as application/wasm can't be compiled from while streaming
+    const copy = response.clone();
+    const streamed = WebAssembly.instantiateStreaming
+      ? WebAssembly.instantiateStreaming(response, imports)
+      : Promise.reject();
+    return streamed.catch(
+      () => copy.arrayBuffer().then(bytes => WebAssembly.instantiate(bytes, imports))
+    );
+  });
+}
+
+function loadArrayBuffer(url, onProgress) {
+  const fileLoader = new FileLoader();
+  fileLoader.setResponseType('arraybuffer');
+  return new Promise((resolve, reject) => fileLoader.load(url, resolve, onProgress, reject));
+}
+
+/**
+ * Starts the Basis transcoder the first time it's needed
+ * @returns {Promise<Object>} the transcoder's emscripten module
+ */
+function loadTranscoder() {
+  if (!transcoder) {
+    transcoder = (typeof WebAssembly === 'object'
+      ? Promise.resolve()
+      : Promise.reject(new Error('The Basis transcoder needs WebAssembly')))
+      .then(loadTranscoderCode)
+      .then(BASIS => new Promise((resolve, reject) => {
+        const module = {
+          instantiateWasm: (imports, onInstantiated) => {
+            instantiateTranscoderWasm(imports)
+              .then(({ instance, module: wasmModule }) => onInstantiated(instance, wasmModule))
+              .catch(reject);
+            return {};
+          },
+          onRuntimeInitialized: () => resolve(module)
+        };
+        BASIS(module);
+      }))
+      .then((module) => {
+        module.initializeBasis();
+        return module;
+      })
+      .catch((err) => {
+        // Let the next texture try again
+        transcoder = null;
+        throw err;
+      });
+  }
+  return transcoder;
+}
+
+function isPowerOfTwo(value) {
+  return (value & (value - 1)) === 0; // eslint-disable-line no-bitwise
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} hasAlpha
+ * @returns {{transcoderFormat: number, format: number}} what to transcode to, or null if
+ * the GPU doesn't support any of the formats
+ */
+export function getCompressedFormat(width, height, hasAlpha) {
+  const { extensions } = renderer;
+  const alpha = hasAlpha ? 1 : 0;
+  for (const option of FORMAT_OPTIONS) {
+    const fits = !option.needsPowerOfTwo
+      || (width === height && isPowerOfTwo(width));
+    if (alpha < option.format.length && fits && extensions && extensions.get(option.extension)) {
+      return { transcoderFormat: option.transcoderFormat[alpha], format: option.format[alpha] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Transcodes every face and mip level of a KTX2 file
+ * @param {Object} basis the transcoder module
+ * @param {ArrayBuffer} data
+ * @returns {{width: number, height: number, format: number, faces: Object[][]}} faces holds
+ * each face's mipmaps, in the form three's CompressedTexture takes them
+ */
+function transcode(basis, data) {
+  const ktx2File = new basis.KTX2File(new Uint8Array(data));
+  try {
+    if (!ktx2File.isValid()) {
+      throw new Error('Not a valid KTX2 file');
+    }
+    const width = ktx2File.getWidth();
+    const height = ktx2File.getHeight();
+    const compressed = getCompressedFormat(width, height, ktx2File.getHasAlpha());
+    if (!compressed) {
+      throw new Error('The GPU doesn\'t support any compressed texture formats');
+    }
+    if (!ktx2File.startTranscoding()) {
+      throw new Error('Couldn\'t start transcoding');
+    }
+
+    const faces = [];
+    for (let face = 0; face < ktx2File.getFaces(); face++) {
+      const mipmaps = [];
+      for (let level = 0; level < ktx2File.getLevels(); level++) {
+        const { origWidth, origHeight } = ktx2File.getImageLevelInfo(level, 0, face);
+        const mipmap = new Uint8Array(ktx2File.getImageTranscodedSizeInBytes(
+          level, 0, face, compressed.transcoderFormat
+        ));
+        if (!ktx2File.transcodeImage(mipmap, level, 0, face, compressed.transcoderFormat, 0, -1, -1)) {
+          throw new Error(`Couldn't transcode mip level ${level}`);
+        }
+        mipmaps.push({ data: mipmap, width: origWidth, height: origHeight });
+      }
+      faces.push(mipmaps);
+    }
+    return {
+      width, height, format: compressed.format, faces
+    };
+  } finally {
+    ktx2File.close();
+    ktx2File.delete();
+  }
+}
+
+function setUpTexture(texture, format, levels) {
+  texture.format = format;
+  texture.minFilter = levels > 1 ? LinearMipMapLinearFilter : LinearFilter;
+  texture.magFilter = LinearFilter;
+  texture.generateMipmaps = false;
+  texture.flipY = false;
+  texture.needsUpdate = true;
+  return texture;
+}
+
+function loadKtx2Files(urls, onProgress) {
+  const { extensions } = renderer;
+  if (!extensions || !FORMAT_OPTIONS.some(option => extensions.get(option.extension))) {
+    // Don't bother fetching the transcoder
+    return Promise.reject(new Error('The GPU doesn\'t support any compressed texture formats'));
+  }
+  // The files are reported as one download, which is only complete once they all are
+  const progress = urls.map(() => ({ lengthComputable: false, loaded: 0, total: 0 }));
+  const reportProgress = i => (event) => {
+    progress[i] = event;
+    if (onProgress) {
+      onProgress({
+        lengthComputable: progress.every(file => file.lengthComputable),
+        loaded: progress.reduce((sum, file) => sum + file.loaded, 0),
+        total: progress.reduce((sum, file) => sum + file.total, 0)
+      });
+    }
+  };
+  return Promise.all([
+    loadTranscoder(),
+    ...urls.map((url, i) => loadArrayBuffer(url, reportProgress(i)))
+  ]).then(([basis, ...files]) => files.map(data => transcode(basis, data)));
+}
+
+/**
+ * Loads a KTX2 texture, called like THREE.TextureLoader.load().
+ * KTX2 textures aren't flipped when they're uploaded, so they should be encoded upside down.
+ * @param {string} url
+ * @param {Function} onLoad called with a THREE.CompressedTexture
+ * @param {Function} onProgress
+ * @param {Function} onError
+ */
+export function loadKtx2Texture(url, onLoad, onProgress, onError) {
+  loadKtx2Files([url], onProgress)
+    .then(([{
+      width, height, format, faces: [mipmaps]
+    }]) => {
+      onLoad(setUpTexture(new CompressedTexture(mipmaps, width, height), format, mipmaps.length));
+    })
+    .catch(onError);
+}
+
+/**
+ * Loads a cube texture from six KTX2 files, one per face in the same order as
+ * THREE.CubeTextureLoader, called like THREE.CubeTextureLoader.load()
+ * @param {string[]} urls
+ * @param {Function} onLoad called with a THREE.CubeTexture
+ * @param {Function} onProgress
+ * @param {Function} onError
+ */
+export function loadKtx2CubeTexture(urls, onLoad, onProgress, onError) {
+  loadKtx2Files(urls, onProgress)
+    .then((faces) => {
+      const texture = new CompressedCubeTexture(faces.map(({ width, height, faces: [mipmaps] }) => ({
+        width, height, mipmaps
+      })));
+      onLoad(setUpTexture(texture, faces[0].format, faces[0].faces[0].length));
+    })
+    .catch(onError);
+}
@@ -0,0 +1,105 @@
+import { Vector3, Quaternion, Matrix4 } from 'three';
+
+/**
+ * Moving, turning and scaling an object that's held with both hands. The object follows the
+ * point halfway between the hands, turns as the line between them turns, and grows or
+ * shrinks as they're moved apart or together.
+ *
+ * What an object allows is set by the `twoHanded` option of its DragInteraction:
+ * - `false` to only be dragged by one hand at a time
+ * - `rotate`: `true` to turn any way, `'x'`, `'y'` or `'z'` to only turn about that axis
+ *   or `false` to not turn at all
+ * - `scale`: `true` to scale, `{ min, max }` to keep the object's scale between them,
+ *   or `false` to not scale at all
+ */
+export const defaultTwoHanded = { rotate: true, scale: false };
+
+const axes = {
+  x: new Vector3(1, 0, 0),
+  y: new Vector3(0, 1, 0),
+  z: new Vector3(0, 0, 1)
+};
+
+/**
+ * @param {THREE.Vector3} from
+ * @param {THREE.Vector3} to
+ * @param {boolean|string} rotate see defaultTwoHanded
+ * @returns {THREE.Quaternion} the turn from one direction to the other that's allowed
+ */
+function turnBetween(from, to, rotate) {
+  if (!rotate) {
+    return new Quaternion();
+  }
+  if (rotate === true) {
+    return new Quaternion().setFromUnitVectors(from.clone().normalize(), to.clone().normalize());
+  }
+  // Only the parts of the directions across the axis turn about it
+  const axis = axes[rotate];
+  const flatFrom = from.clone().projectOnPlane(axis);
+  const flatTo = to.clone().projectOnPlane(axis);
+  if (flatFrom.lengthSq() === 0 || flatTo.lengthSq() === 0) {
+    return new Quaternion();
+  }
+  const angle = Math.atan2(
+    new Vector3().crossVectors(flatFrom, flatTo)
+      .dot(axis),
+    flatFrom.dot(flatTo)
+  );
+  return new Quaternion().setFromAxisAngle(axis, angle);
+}
+
+/**
+ * @param {number} factor how much further apart the hands are than when they took hold
+ * @param {THREE.Matrix4} matrix the object's matrix when they took hold
+ * @param {boolean|Object} scale see defaultTwoHanded
+ * @returns {number} how much the object is scaled by
+ */
+function scaleBy(factor, matrix, scale) {
+  if (!scale || !Number.isFinite(factor) || factor <= 0) {
+    return 1;
+  }
+  const { min = 0, max = Infinity } = scale === true ? {} : scale;
+  const current = new Vector3().setFromMatrixScale(matrix).x;
+  return Math.min(Math.max(current * factor, min), max) / current;
+}
+
+/**
+ * Remembers where the hands and the object are when the second hand takes hold
+ * @param {THREE.Vector3[]} points where the two hands hold the object, in world space
+ * @param {THREE.Matrix4} matrix the object's world matrix
+ * @param {Object} options see defaultTwoHanded
+ * @returns {Object} for manipulate()
+ */
+export function startManipulation([first, second], matrix, options) {
+  return {
+    midpoint: first.clone().add(second)
+      .multiplyScalar(0.5),
+    direction: second.clone().sub(first),
+    matrix: matrix.clone(),
+    options: { ...defaultTwoHanded, ...options }
+  };
+}
+
+/**
+ * @param {Object} start from startManipulation()
+ * @param {THREE.Vector3[]} points where the two hands hold the object now
+ * @returns {THREE.Matrix4} the object's new world matrix
+ */
+export function manipulate(start, [first, second]) {
+  const midpoint = first.clone().add(second)
+    .multiplyScalar(0.5);
+  const direction = second.clone().sub(first);
+  const turn = turnBetween(start.direction, direction, start.options.rotate);
+  const scale = scaleBy(
+    direction.length() / start.direction.length(), start.matrix, start.options.scale
+  );
+
+  // Turns and scales the object about the point between the hands, then moves it with them
+  return new Matrix4().makeTranslation(midpoint.x, midpoint.y, midpoint.z)
+    .multiply(new Matrix4().makeRotationFromQuaternion(turn))
+    .multiply(new Matrix4().makeScale(scale, scale, scale))
+    .multiply(new Matrix4().makeTranslation(
+      -start.midpoint.x, -start.midpoint.y, -start.midpoint.z
+    ))
+    .multiply(start.matrix);
+}
@@ -0,0 +1,48 @@
+import { renderer } from './renderer';
+
+/**
+ * How many geometries and textures are on the GPU right now. After leaving a room
+ * these should go back to what they were before the room was entered.
+ * @returns {{geometries: number, textures: number}}
+ */
+export function getMemoryStats() {
+  const { geometries, textures } = renderer.info.memory;
+  return { geometries, textures };
+}
+
+// The interval updating the shown stats, see showMemoryStats()
+let intervalId = null;
+
+/**
+ * Stops updating the memory stats and takes them off the page
+ */
+export function hideMemoryStats() {
+  clearInterval(intervalId);
+  intervalId = null;
+  const element = document.getElementById('memory-stats');
+  if (element) {
+    element.remove();
+  }
+}
+
+/**
+ * Shows the memory stats in the corner of the page, updated every second
+ */
+export function showMemoryStats() {
+  hideMemoryStats();
+  const element = document.createElement('div');
+  element.id = 'memory-stats';
+  document.body.appendChild(element);
+
+  const update = () => {
+    const { geometries, textures } = getMemoryStats();
+    element.textContent = `Geometries: ${geometries} Textures: ${textures}`;
+  };
+  update();
+  intervalId = setInterval(update, 1000);
+}
+
+// Add ?debug to the url to see the stats
+if (new URLSearchParams(window.location.search).has('debug')) {
+  showMemoryStats();
+}
@@ -0,0 +1,112 @@
+import { getSceneEntries, loadSceneClass } from './scenes';
+import { setOfflineStatus } from './welcome';
+import { OFFLINE_CACHE } from './offlineCache';
+import { getManifestUrls } from './loader';
+import { loadTranscoderCode } from './loaders/ktx2';
+import controllerGlb from '../assets/controller/controller.glb';
+
+// Assets every room uses, besides the ones in its static `assets` manifest
+const SHARED_ASSETS = [controllerGlb];
+
+/**
+ * Urls of the page itself and every script and stylesheet it has loaded so far,
+ * which includes the code of any room that has been loaded
+ * @returns {string[]}
+ */
+function getAppShell() {
+  const urls = ['/', ...SHARED_ASSETS];
+  for (const script of document.querySelectorAll('script[src]')) {
+    urls.push(script.src);
+  }
+  // Prefetched files, like the KTX2 transcoder's wasm, are only fetched once they're needed
+  const links = document.querySelectorAll(
+    'link[rel="stylesheet"], link[rel="manifest"], link[rel="prefetch"]'
+  );
+  for (const link of links) {
+    urls.push(link.href);
+  }
+  if (window.performance && window.performance.getEntriesByType) {
+    for (const { name } of window.performance.getEntriesByType('resource')) {
+      const url = new URL(name);
+      if (url.origin === window.location.origin && /\.(js|css)$/.test(url.pathname)) {
+        urls.push(name);
+      }
+    }
+  }
+  for (const entry of getSceneEntries()) {
+    if (entry.thumbnail) {
+      urls.push(entry.thumbnail);
+    }
+  }
+  return [...new Set(urls)];
+}
+
+/**
+ * Saves every url that isn't already in the cache
+ * @param {Cache} cache
+ * @param {string[]} urls
+ * @returns {Promise<boolean>} whether all of them are in the cache now
+ */
+async function cacheUrls(cache, urls) {
+  const cached = await Promise.all(urls.map(async (url) => {
+    if (await cache.match(url)) {
+      return true;
+    }
+    try {
+      await cache.add(url);
+      return true;
+    } catch (err) {
+      console.warn(`Couldn't save ${url} for offline use : ${err}`);
+      return false;
+    }
+  }));
+  return cached.every(Boolean);
+}
+
+/**
+ * Saves the app and the assets of every room to Cache Storage, where the service worker
+ * serves them from, and shows which rooms are available offline on the welcome page.
+ * @returns {Promise<Object<string, boolean>>} whether each room's path is available offline
+ */
+export async function precacheScenes() {
+  const cache = await window.caches.open(OFFLINE_CACHE);
+  const entries = getSceneEntries();
+  entries.forEach(entry => setOfflineStatus(entry.path, 'saving'));
+
+  // Rooms' code is only fetched when it's needed, so fetch all of it now to save it
+  // along with the rest of the app, and to read their manifests
+  const sceneClasses = await Promise.all(
+    entries.map(entry => loadSceneClass(entry.path).catch(() => null))
+  );
+  // The same goes for the KTX2 transcoder's code, rooms fall back to their JPGs and PNGs without it
+  await loadTranscoderCode().catch(() => null);
+  const shellCached = await cacheUrls(cache, getAppShell());
+
+  const available = {};
+  await Promise.all(entries.map(async (entry, i) => {
+    const SceneClass = sceneClasses[i];
+    const assetsCached = SceneClass && await cacheUrls(cache, getManifestUrls(SceneClass.assets));
+    available[entry.path] = Boolean(shellCached && assetsCached);
+    setOfflineStatus(entry.path, available[entry.path] ? 'available' : 'unavailable');
+  }));
+  return available;
+}
+
+/**
+ * Installs the service worker, then saves everything it needs to run offline
+ * @returns {Promise} resolves once everything has been saved, or straight away if the
+ * browser doesn't support service workers
+ */
+export async function enableOffline() {
+  if (!('serviceWorker' in navigator) || !window.caches) {
+    return;
+  }
+  await navigator.serviceWorker.register('./sw.js');
+  await navigator.serviceWorker.ready;
+  await precacheScenes();
+}
+
+// Wait for the page so saving everything doesn't slow down the first room
+window.addEventListener('load', () => {
+  enableOffline().catch(err => console.warn(`Couldn't make the app available offline : ${err}`));
+});
@@ -0,0 +1,3 @@
+// The Cache Storage cache shared by the page and the service worker.
+// Change the version to throw away everything saved by an older version of the app.
+export const OFFLINE_CACHE = 'webxr-physics-v1';
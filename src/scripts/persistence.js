@@ -0,0 +1,119 @@
+/**
+ * Keeps each room's state from XrScene.serializeState() in localStorage, by the room's path,
+ * so that rooms are the way they were left after the page is reloaded.
+ * Every saved state is stored with the version of the scene's state it was saved with,
+ * so a scene whose state changes shape can migrate states saved by older versions,
+ * see XrScene.migrateState().
+ *
+ * When localStorage can't be used (like in some private browsing modes), states are
+ * only kept until the page is closed.
+ */
+
+const STORAGE_PREFIX = 'webxr-physics:room:';
+
+// Stands in for localStorage when it can't be used
+const memoryStorage = new Map();
+
+function getStorage() {
+  try {
+    const storage = window.localStorage;
+    return storage || null;
+  } catch (err) {
+    // Accessing localStorage throws when it's disabled
+    return null;
+  }
+}
+
+function readItem(key) {
+  const storage = getStorage();
+  if (storage) {
+    try {
+      return storage.getItem(key);
+    } catch (err) {
+      return null;
+    }
+  }
+  return memoryStorage.has(key) ? memoryStorage.get(key) : null;
+}
+
+function writeItem(key, value) {
+  const storage = getStorage();
+  if (storage) {
+    try {
+      if (value === null) {
+        storage.removeItem(key);
+      } else {
+        storage.setItem(key, value);
+      }
+      return;
+    } catch (err) {
+      // Like when the storage is full, the state is kept in memory instead
+      console.warn(`Couldn't save ${key} : ${err}`);
+    }
+  }
+  if (value === null) {
+    memoryStorage.delete(key);
+  } else {
+    memoryStorage.set(key, value);
+  }
+}
+
+/**
+ * @param {string} path the room's path, like /pendulums
+ * @returns {{version: number, state: Object<string, string>}} what was saved for the room,
+ * or null if nothing was or it can't be read
+ */
+export function loadRoomState(path) {
+  const item = readItem(STORAGE_PREFIX + path);
+  if (!item) {
+    return null;
+  }
+  try {
+    const { version, state } = JSON.parse(item);
+    if (typeof version !== 'number' || !state || typeof state !== 'object') {
+      return null;
+    }
+    return { version, state };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} path the room's path
+ * @param {Object<string, string>} state from the room's serializeState(), nothing is kept
+ * for a room whose state is empty
+ * @param {number} version the room's XrScene.stateVersion
+ */
+export function saveRoomState(path, state, version) {
+  const empty = !state || !Object.keys(state).length;
+  writeItem(STORAGE_PREFIX + path, empty ? null : JSON.stringify({ version, state }));
+}
+
+/**
+ * Forgets what was saved for a room, so it starts the way it does on a first visit
+ * @param {string} path the room's path
+ */
+export function clearRoomState(path) {
+  writeItem(STORAGE_PREFIX + path, null);
+}
+
+/**
+ * Forgets what was saved for every room
+ */
+export function clearRoomStates() {
+  memoryStorage.clear();
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+  try {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      keys.push(storage.key(i));
+    }
+    keys.filter(key => key.startsWith(STORAGE_PREFIX)).forEach(key => storage.removeItem(key));
+  } catch (err) {
+    console.warn(`Couldn't clear the saved rooms : ${err}`);
+  }
+}
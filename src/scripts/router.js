@@ -1,86 +1,339 @@
-import HomeScene from './scenes/home';
 import { renderer } from './renderer';
 import { camera, resetCamera } from './renderer/camera';
-import PlanetsScene from './scenes/planets';
-import KinematicsScene from './scenes/kinematics';
-import PendulumScene from './scenes/pendulums';
-import LaserScene from './scenes/laser';
+import { getSceneEntry, loadSceneClass } from './scenes';
 import {
-  showWelcome, hideWelcome, showLoading, hideLoading
+  showWelcome, hideWelcome, showLoading, hideLoading, updateLoadingProgress, showLoadingError,
+  describeLoadingError
 } from './welcome';
 import { getCurrentScene, setCurrentScene } from './currentScene';
+import { setARButtonEnabled } from './xrController';
+import { evictUnusedAssets } from './assetCache';
+import { Loader } from './loader';
+import LobbyScene from './scenes/lobby';
+import { loadRoomState, saveRoomState, clearRoomState } from './persistence';
+import {
+  coverScene, uncoverScene, showTransitionLoading, hideTransitionLoading, updateTransitionProgress
+} from './transition';
+
+// The path of the current room, to save its state under
+let currentPath = null;
+
+// Incremented on every navigation so a slow one can tell it has been replaced
+let navigationCount = 0;
+
+// The loaders holding on to prefetched rooms' assets, and promises for the rooms' classes,
+// by path
+const prefetched = new Map();
+
+// Assets to prefetch in the background, loaded one at a time whenever the browser is idle
+let backgroundTasks = [];
+let backgroundRunning = false;
+
+function whenIdle() {
+  return new Promise((resolve) => {
+    if (window.requestIdleCallback) {
+      window.requestIdleCallback(resolve);
+    } else {
+      setTimeout(resolve, 0);
+    }
+  });
+}
+
+function runBackgroundTasks() {
+  if (backgroundRunning || !backgroundTasks.length) {
+    return;
+  }
+  backgroundRunning = true;
+  whenIdle()
+    // Taken off the list only now, in case another room was put in front of it meanwhile
+    .then(() => backgroundTasks.length && backgroundTasks.shift().load())
+    .catch(() => {
+      // The room shows the error when it's navigated to
+    })
+    .then(() => {
+      backgroundRunning = false;
+      runBackgroundTasks();
+    });
+}
 
 /**
- * @type {XrScene}
+ * Starts loading a room's code and the assets in its manifest before it's navigated to,
+ * so they're ready by the time it's created. They're held on to until the next room has loaded.
+ *
+ * In the background, assets are loaded one at a time when the browser is idle instead of
+ * all at once, with the most recently prefetched room first. This is for rooms that
+ * might be visited next, like the ones behind the doors of the home room.
+ * @param {string} pathname
+ * @param {Object} options
+ * @param {boolean} options.background
+ * @returns {Promise} resolves once everything has loaded, or in the background once the
+ * room's assets are waiting to be loaded
  */
-const SavedStates = {};
-
-const Routes = {
-  get '/home'() {
-    return new HomeScene(renderer, camera);
-  },
-  get '/planets'() {
-    return new PlanetsScene(renderer, camera);
-  },
-  get '/kinematics'() {
-    return new KinematicsScene(renderer, camera);
-  },
-  get '/lasers'() {
-    return new LaserScene(renderer, camera);
-  },
-  get '/pendulums'() {
-    return new PendulumScene(renderer, camera);
+export function prefetchScene(pathname, { background = false } = {}) {
+  const path = getSceneEntry(pathname) ? pathname : '/home';
+  if (!prefetched.has(path)) {
+    prefetched.set(path, { loader: new Loader(), sceneClass: loadSceneClass(path) });
   }
-};
+  const prefetch = prefetched.get(path);
+  const { loader } = prefetch;
+  // Unless the prefetch has been let go of since, when nothing would release what it loads
+  const isHeld = () => prefetched.get(path) === prefetch;
+  return prefetch.sceneClass.then((SceneClass) => {
+    backgroundTasks = backgroundTasks.filter(task => task.path !== path);
+    if (!background) {
+      return isHeld() && loader.addManifest(SceneClass.assets);
+    }
+    backgroundTasks.unshift(...SceneClass.assets.map(entry => ({
+      path,
+      load: () => isHeld() && loader.addManifest([entry])
+    })));
+    runBackgroundTasks();
+    return null;
+  }).then(() => {});
+}
+
+// Lets go of prefetched assets right away, so evictUnusedAssets() can free them. The current
+// room holds on to any it uses.
+function releasePrefetched() {
+  for (const { loader } of prefetched.values()) {
+    loader.release();
+  }
+  prefetched.clear();
+}
+
+/**
+ * Shows the error screen for a room that couldn't be loaded, unless somewhere else
+ * has been navigated to since. The page's error screen can't be seen from inside a headset,
+ * so the lobby is put up in the room's place with the same choices.
+ * @param {Error} err
+ * @param {string} pathname the room that failed
+ * @param {number} navigation the navigation that was loading it
+ */
+function onLoadingError(err, pathname, navigation) {
+  console.error(`Error loading ${pathname} : ${err}`);
+  if (navigation !== navigationCount) {
+    return;
+  }
+  const onRetry = () => navigateToScene(pathname);
+  const onHome = () => navigate('/home');
+  hideTransitionLoading();
+  showLoadingError(err, onRetry, onHome);
+
+  const failed = getCurrentScene();
+  if (failed && !failed.disposed) {
+    failed.dispose();
+  }
+  const lobby = new LobbyScene(renderer, camera);
+  lobby.showLoadingError(describeLoadingError(err), { onRetry, onHome });
+  setCurrentScene(lobby);
+  // Leaving the lobby saves its state where it usually does, not over the room's
+  currentPath = '/';
+  setARButtonEnabled(lobby.supportsAR);
+  uncoverScene();
+  lobby.startAnimation();
+}
+
+// The query parameter links carry the stateVersion of the room's state in, when it isn't 1
+const VERSION_PARAM = 'v';
+
+/**
+ * @param {Function} SceneClass
+ * @returns {Object<string, string>} the state a link to the room was shared with, from
+ * the query string, migrated to the scene's current stateVersion, or null to ignore it
+ */
+function getUrlState(SceneClass) {
+  const state = {};
+  new URLSearchParams(window.location.search).forEach((value, key) => {
+    state[key] = value;
+  });
+  // Links from before rooms had a stateVersion don't say, they're version 1
+  const version = Number(state[VERSION_PARAM] || 1);
+  delete state[VERSION_PARAM];
+  return SceneClass.migrateState(state, version);
+}
+
+/**
+ * @param {Function} SceneClass
+ * @param {string} pathname
+ * @returns {Object<string, string>} the state the room was left in, migrated to the scene's
+ * current stateVersion, or null if there isn't one
+ */
+function getSavedState(SceneClass, pathname) {
+  const saved = loadRoomState(pathname);
+  if (!saved) {
+    return null;
+  }
+  return SceneClass.migrateState(saved.state, saved.version);
+}
+
+/**
+ * Saves the current room's state, to restore it when the room is visited again
+ * @param {XrScene} scene the current room
+ * @returns {Object<string, string>} the state
+ */
+function saveState(scene) {
+  const state = scene.serializeState();
+  saveRoomState(currentPath, state, scene.constructor.stateVersion);
+  return state;
+}
+
+/**
+ * Puts the current room's state in the query string, without adding to the browser history
+ * @param {Object<string, string>} state
+ * @param {number} version the room's stateVersion
+ */
+function updateUrl(state, version) {
+  const params = new URLSearchParams(state);
+  if (params.toString() && version !== 1) {
+    params.set(VERSION_PARAM, version);
+  }
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+  if (url !== `${window.location.pathname}${window.location.search}`) {
+    window.history.replaceState({}, document.title, window.location.origin + url);
+  }
+}
 
 /**
  * update currently displayed scene based on the pathname
  * @param {string} pathname
+ * @param {Object} options
+ * @param {boolean} options.reset start the room fresh instead of the way it was left
  */
-async function navigateToScene(pathname, oldPath) {
+async function navigateToScene(pathname, { reset = false } = {}) {
+  navigationCount += 1;
+  const navigation = navigationCount;
+
+  // Rooms that were only prefetched in case they'd be visited aren't needed now
+  backgroundTasks = [];
+
   let currentScene = getCurrentScene();
-  if (currentScene) {
-    currentScene.isActive = false;
-    // Save the state from the previous scene
-    SavedStates[oldPath] = currentScene.state;
-    currentScene.removeEventListeners();
+  // The scene is already disposed if another navigation is still loading the next room
+  if (currentScene && !currentScene.disposed) {
+    // The room keeps rendering until it has faded out
+    await coverScene();
+    if (navigation !== navigationCount) {
+      return;
+    }
+    if (reset) {
+      clearRoomState(currentPath);
+    } else if (currentScene.frame) {
+      // Unless it was left before it started, when it hasn't been restored yet
+      saveState(currentScene);
+    }
+    currentScene.dispose();
+  } else {
+    coverScene();
   }
 
   resetCamera();
 
-  if (pathname === '/') {
+  // The welcome page is shown at /, which is a lobby to pick a room from inside a headset
+  const lobby = pathname === '/';
+  let SceneClass = LobbyScene;
+  if (lobby) {
     showWelcome();
+    showTransitionLoading('');
   } else {
     hideWelcome();
-    setCurrentScene((pathname in Routes) ? Routes[pathname] : Routes['/home']);
-    currentScene = getCurrentScene();
-    if (pathname in SavedStates) {
-      // Reapply any state that was saved previously.
-      currentScene.state = Object.assign(currentScene.state, SavedStates[pathname]);
+    const path = getSceneEntry(pathname) ? pathname : '/home';
+
+    // Fetch the room's code the first time it's visited, and its assets along with it
+    showLoading();
+    showTransitionLoading(getSceneEntry(path).title);
+    prefetchScene(path).catch(() => {});
+    try {
+      SceneClass = await loadSceneClass(path);
+    } catch (err) {
+      onLoadingError(err, pathname, navigation);
+      return;
+    }
+    if (navigation !== navigationCount) {
+      // Somewhere else was navigated to while this room was loading
+      return;
     }
+    hideLoading();
+  }
+
+  try {
+    setCurrentScene(new SceneClass(renderer, camera));
+  } catch (err) {
+    // Like a manifest entry that can't be loaded
+    onLoadingError(err, pathname, navigation);
+    return;
+  }
+  currentScene = getCurrentScene();
+  currentPath = pathname;
+  setARButtonEnabled(currentScene.supportsAR);
+  // A shared link's state, or else whatever the room looked like when it was last left
+  let state = null;
+  if (!reset) {
+    state = window.location.search
+      ? getUrlState(SceneClass)
+      : getSavedState(SceneClass, pathname);
+  }
 
-    // only show loading screen if there's things in the queue
-    if (currentScene.loader._queue.length) {
-      showLoading();
-      const cache = await currentScene.loader.waitForCache();
+  // only show loading screen if there's things in the queue that haven't been prefetched
+  const { loader } = currentScene;
+  if (loader._queue.length) {
+    if (!loader.isLoaded()) {
+      if (!lobby) {
+        showLoading();
+      }
+      loader.onProgress = (progress) => {
+        updateLoadingProgress(progress);
+        updateTransitionProgress(progress);
+      };
+      loader.onProgress(loader.getProgress());
+    }
+    let cache;
+    try {
+      cache = await loader.waitForCache();
+    } catch (err) {
+      onLoadingError(err, pathname, navigation);
+      return;
+    }
+    if (navigation !== navigationCount) {
+      return;
+    }
+    try {
       currentScene.onAssetsLoaded(cache);
+    } catch (err) {
+      // Like an asset id that isn't in the scene's manifest
+      onLoadingError(err, pathname, navigation);
+      return;
+    }
+    if (state) {
+      try {
+        currentScene.restoreState(state);
+      } catch (err) {
+        // A saved state shouldn't keep the room from opening, it starts fresh instead
+        console.warn(`Couldn't restore ${pathname} : ${err}`);
+        clearRoomState(pathname);
+      }
+    }
+    if (!lobby) {
       hideLoading();
     }
-
-    currentScene.startAnimation();
   }
+
+  // Only now, so anything the previous room shared with this one wasn't downloaded again
+  releasePrefetched();
+  evictUnusedAssets();
+  uncoverScene();
+  currentScene.startAnimation();
+  updateUrl(saveState(currentScene), SceneClass.stateVersion);
 }
 
 /**
  * add to browser history and display new scene
- * @param {string} newPath
+ * @param {string} newPath can have a query string with the room's state, like /pendulums?surface=Mars
  */
 export function navigate(newPath) {
-  const oldPath = window.location.pathname;
   window.history.pushState({}, newPath, window.location.origin + newPath);
 
   // this is an async function but we don't care when it finishes
-  navigateToScene(newPath, oldPath);
+  navigateToScene(window.location.pathname);
 }
 
 function onChangeRoom(event) {
@@ -88,8 +341,30 @@ function onChangeRoom(event) {
   navigate(event.detail.newPath);
 }
 
+function onSceneStateChange(event) {
+  const { scene } = event.detail;
+  // Rooms that are still loading or have been left don't get a say
+  if (scene === getCurrentScene() && scene.frame && !scene.disposed) {
+    updateUrl(saveState(scene), scene.constructor.stateVersion);
+  }
+}
+
+function onResetRoom(event) {
+  const { scene } = event.detail;
+  if (scene === getCurrentScene() && !scene.disposed) {
+    navigateToScene(currentPath, { reset: true });
+  }
+}
+
+function onPrefetchRoom(event) {
+  prefetchScene(event.detail.path, { background: true }).catch(() => {});
+}
+
 
 window.addEventListener('changeRoom', onChangeRoom, true);
+window.addEventListener('prefetchRoom', onPrefetchRoom, true);
+window.addEventListener('sceneStateChange', onSceneStateChange, true);
+window.addEventListener('resetRoom', onResetRoom, true);
 
 window.onpopstate = () => {
   // this is an async function but we don't care when it finishes
@@ -13,11 +13,30 @@ import { XR } from '../../xrController';
 
 const controllerMeshLoader = new Loader();
 let meshCache;
-export async function loadControllerMeshes() {
-  controllerMeshLoader.addGltfToQueue(controllerGlb, 'controller');
-  meshCache = await controllerMeshLoader.waitForCache();
+let meshesLoaded = null;
+// The controller meshes are shared by every scene, so they're only loaded once
+export function loadControllerMeshes() {
+  if (!meshesLoaded) {
+    controllerMeshLoader.addGltfToQueue(controllerGlb, 'controller');
+    meshesLoaded = controllerMeshLoader.waitForCache().then((cache) => {
+      meshCache = cache;
+    }, (err) => {
+      meshesLoaded = null;
+      throw err;
+    });
+  }
+  return meshesLoaded;
 }
 
+// How strongly, from 0 to 1, and for how many milliseconds controllers buzz for different things
+export const HapticPulses = {
+  hover: { intensity: 0.1, duration: 15 },
+  select: { intensity: 0.4, duration: 30 },
+  snap: { intensity: 0.6, duration: 40 },
+  bump: { intensity: 0.8, duration: 60 },
+  success: { intensity: 1, duration: 150 }
+};
+
 /**
  * The purpose of this class is to hold onto references
  * to XR controller and laser meshes for updating
@@ -105,7 +124,25 @@ export default class Controller {
     this.controller.name = 'controller';
     this.allDescendants(this.controller);
     this.controller.raycast = () => []; // Disable raycast intersections
-    console.log(this.controller);
+  }
+
+  /**
+   * Buzzes the controller, if it can
+   * @param {Object} pulse like HapticPulses.select
+   * @param {number} pulse.intensity from 0 to 1
+   * @param {number} pulse.duration in milliseconds
+   * @returns {boolean} whether the controller has anything to buzz with
+   */
+  pulse({ intensity = 0.5, duration = 50 } = {}) {
+    const { gamepad } = this.inputSource;
+    const [actuator] = (gamepad && gamepad.hapticActuators) || [];
+    if (!actuator || !actuator.pulse) {
+      return false;
+    }
+    // Pulses the actuator can't play are rejected, which there's nothing to be done about
+    Promise.resolve(actuator.pulse(Math.min(Math.max(intensity, 0), 1), duration))
+      .catch(() => {});
+    return true;
   }
 
   /**
@@ -123,7 +160,7 @@ export default class Controller {
 
       if (gripPose) {
         // Get the grip transform matrix
-        this.controller.matrix.fromArray(gripPose.transform.matrix);
+        this.controller.matrix.copy(XR.getPoseMatrix(gripPose.transform));
         this.controller.updateMatrixWorld(true);
       } else {
         // TODO: hide the controller while WebXR doesn't know where it is.
@@ -133,19 +170,16 @@ export default class Controller {
 
     if (this.inputSource.targetRaySpace) {
       const rayPose = xrFrame.getPose(this.inputSource.targetRaySpace, XR.refSpace);
-      /* global XRRay */
-      const ray = new XRRay(rayPose.transform);
       if (rayPose) {
+        // The target ray starts at the pose's position and points down its -Z axis
+        const rayMatrix = XR.getPoseMatrix(rayPose.transform);
         // If there was an intersection, get the intersection length else default laser to 100
         const rayLength = intersection ? intersection.distance : 100;
-        const origin = new Vector3(
-          ray.origin.x, ray.origin.y, ray.origin.z
-        );
-        const destination = new Vector3(
-          ray.direction.x,
-          ray.direction.y,
-          ray.direction.z
-        ).multiplyScalar(rayLength).add(origin);
+        const origin = new Vector3().setFromMatrixPosition(rayMatrix);
+        const destination = new Vector3(0, 0, -1)
+          .transformDirection(rayMatrix)
+          .multiplyScalar(rayLength)
+          .add(origin);
 
         // If we have a laser then render it in
         if (this.laser) {
@@ -4,9 +4,10 @@ import wallTxUrl from '../../assets/textures/laser-room/wall/wall.jpg';
 import floorTxUrl from '../../assets/textures/laser-room/floor/floor_diff.jpg';
 import XrScene from './xr-scene';
 import TriggerMesh from '../trigger';
-import { Interactions } from '../interactions';
+import { HoverInteraction, SelectInteraction } from '../interactions';
 import { createTextPlane } from './planets/text';
-import { XR } from '../xrController';
+import Teleporter from '../controls/teleport';
+import { getSceneEntries } from './index';
 
 const settings = {
   global: {
@@ -25,6 +26,12 @@ const settings = {
 };
 
 export default class HomeScene extends XrScene {
+  static assets = [
+    { id: 'home-wall', url: wallTxUrl, type: 'texture' },
+    { id: 'home-floor', url: floorTxUrl, type: 'texture' },
+    { id: 'home-door', url: doorUrl, type: 'gltf' }
+  ];
+
   /**
    *
    * @param {THREE.Renderer} renderer
@@ -33,10 +40,6 @@ export default class HomeScene extends XrScene {
   constructor(renderer, camera) {
     super(renderer, camera);
 
-    this.loader.addTextureToQueue(wallTxUrl, 'home-wall');
-    this.loader.addTextureToQueue(floorTxUrl, 'home-floor');
-    this.loader.addGltfToQueue(doorUrl, 'home-door');
-
     // Basic lighting
     if (settings.global.lights.ambient) {
       const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
@@ -57,93 +60,79 @@ export default class HomeScene extends XrScene {
     this._addEventListener(window, 'mousedown', this.onClick);
   }
 
+  /**
+   * Adds a door for every room in the scene registry. Doors go around the walls
+   * in registration order, sharing a wall once every wall has one.
+   * @param {Object} cache
+   */
   addDoors(cache) {
     const doorScene = cache['home-door'];
-    let door = doorScene.scene.getObjectByName('Door_Frame').clone();
+    const door = doorScene.scene.getObjectByName('Door_Frame').clone();
     door.scale.set(2.5, 2.5, 2.5);
-    const doorMat = new THREE.MeshPhongMaterial({color: 0x7c5c3a});
-    const doorFrameMat = new THREE.MeshPhongMaterial({color: 0x543d25});
+    const doorMat = new THREE.MeshPhongMaterial({ color: 0x7c5c3a });
+    const doorFrameMat = new THREE.MeshPhongMaterial({ color: 0x543d25 });
     door.children[0].material = doorMat;
     door.material = doorFrameMat;
-    
-    let fallingDoor = door.clone();
-    fallingDoor.rotateY(Math.PI / 2);
-    fallingDoor.position.set(
-      -12,
-      -8,
-      0
-    );
-
-    let fallingLabel = createTextPlane('KINEMATICS', 'white', 'black');
-    fallingLabel.position.set(0, 5, -0.01);
-    fallingLabel.scale.set(0.3, 0.3, 0.3);
-    fallingLabel.rotateY(Math.PI);
-    fallingDoor.add(fallingLabel);
-
-    let planetsDoor = door.clone();
-    planetsDoor.rotateY(-Math.PI / 2);
-    planetsDoor.position.set(
-      12,
-      -8,
-      0
-    );
-
-    let planetsLabel = createTextPlane('PLANETS', 'white', 'black');
-    planetsLabel.position.set(0, 5, -0.01);
-    planetsLabel.scale.set(0.3, 0.3, 0.3);
-    planetsLabel.rotateY(Math.PI);
-    planetsDoor.add(planetsLabel);
-
-    let pendulumsDoor = door.clone();
-    pendulumsDoor.position.set(
-      0,
-      -8,
-      -12
-    );
-
-    let pendulumsLabel = createTextPlane('PENDULUMS', 'white', 'black');
-    pendulumsLabel.position.set(0, 5, -0.01);
-    pendulumsLabel.scale.set(0.3, 0.3, 0.3);
-    pendulumsLabel.rotateY(Math.PI);
-    pendulumsDoor.add(pendulumsLabel);
-
-    let lasersDoor = door.clone();
-    lasersDoor.rotateY(Math.PI);
-    lasersDoor.position.set(
-      0,
-      -8,
-      12
-    );
-
-    let lasersLabel = createTextPlane('LASERS', 'white', 'black');
-    lasersLabel.position.set(0, 5, -0.01);
-    lasersLabel.scale.set(0.3, 0.3, 0.3);
-    lasersLabel.rotateY(Math.PI);
-    lasersDoor.add(lasersLabel);
-
-    this.addDoorInteraction(fallingDoor, '/kinematics');
-    this.addDoorInteraction(planetsDoor, '/planets');
-    this.addDoorInteraction(pendulumsDoor, '/pendulums');
-    this.addDoorInteraction(lasersDoor, '/lasers');
-
-    this.scene.add(fallingDoor, planetsDoor, pendulumsDoor, lasersDoor);
+
+    // The middle of each wall and which way a door there has to face to open into the room
+    const walls = [
+      { position: new THREE.Vector3(12, -8, 0), rotation: -Math.PI / 2 },
+      { position: new THREE.Vector3(-12, -8, 0), rotation: Math.PI / 2 },
+      { position: new THREE.Vector3(0, -8, -12), rotation: 0 },
+      { position: new THREE.Vector3(0, -8, 12), rotation: Math.PI }
+    ];
+
+    const entries = getSceneEntries().filter(entry => entry.door);
+    const doorsPerWall = Math.ceil(entries.length / walls.length);
+    const spacing = Math.min(this.length, this.width) / (doorsPerWall + 1);
+
+    entries.forEach((entry, i) => {
+      const wall = walls[i % walls.length];
+      const slot = Math.floor(i / walls.length);
+
+      const sceneDoor = door.clone();
+      sceneDoor.children[0].material = doorMat.clone();
+      sceneDoor.name = `${entry.label} Door`;
+      sceneDoor.userData.path = entry.path;
+      sceneDoor.rotateY(wall.rotation);
+
+      // Spread the doors that share a wall along it
+      const alongWall = new THREE.Vector3(1, 0, 0)
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), wall.rotation);
+      sceneDoor.position.copy(wall.position)
+        .addScaledVector(alongWall, (slot + 1) * spacing - (doorsPerWall + 1) * spacing / 2);
+
+      const label = createTextPlane(entry.label.toUpperCase(), 'white', 'black');
+      label.position.set(0, 5, -0.01);
+      label.scale.set(0.3, 0.3, 0.3);
+      label.rotateY(Math.PI);
+      sceneDoor.add(label);
+
+      this.addDoorInteraction(sceneDoor, entry.path);
+      this.scene.add(sceneDoor);
+    });
   }
 
+  // Pointing at the frame, the door or its label all bubble up to the door
   addDoorInteraction(door, path) {
-    door.children[0][Interactions] = {
+    door[HoverInteraction] = {
+      start: () => {
+        this.prefetchRoom(path);
+      },
       hover() {
         door.children[0].material.color.set('tan');
       },
-      hover_end() {
+      end() {
         door.children[0].material.color.set(0x7c5c3a);
-      },
+      }
+    };
+    door[SelectInteraction] = {
       select() {
-        console.log(path);
         const newPath = path;
         const event = new CustomEvent('changeRoom', { detail: { newPath } });
         window.dispatchEvent(event);
       }
-    }
+    };
   }
 
   initRoom(cache) {
@@ -184,16 +173,9 @@ export default class HomeScene extends XrScene {
     floor.functions.addMirror = this._addMirrors;
     floor.functions.displayMirrorOutline = this.displayMirrorOutline;
     floor.functions.noMirrorOutline = this.noMirrorOutline;
-    floor[Interactions] = {
-      select_start({ point }) {
-        const offsetMatrix = XR.getOffsetMatrix();
-        point.y = 0;
-        point.multiplyScalar(-1);
-        offsetMatrix.setPosition(point);
-        XR.setOffsetMatrix(offsetMatrix); 
-      }
-    };
     this.scene.add(this.room);
+    this.teleporter = new Teleporter(this);
+    this.teleporter.addSurface(floor);
 
     this.addDoors(cache);
 
@@ -205,6 +187,13 @@ export default class HomeScene extends XrScene {
     super.onAssetsLoaded(cache);
     
     this.initRoom(cache);
+
+    // Every room is reached through the home room, so load them while nothing else is happening.
+    // The last one asked for loads first, so go backwards to load them in the order of the doors.
+    getSceneEntries()
+      .filter(entry => entry.door)
+      .reverse()
+      .forEach(entry => this.prefetchRoom(entry.path));
     return cache;
   }
 
@@ -0,0 +1,50 @@
+import { registerScene } from './registry';
+import planetsThumbnail from '../../assets/planets/earthmap.jpg';
+import kinematicsThumbnail from '../../assets/textures/Skybox/sky_pz.png';
+import floorTexture from '../../assets/textures/laser-room/floor/floor_diff.jpg';
+
+export {
+  getSceneEntry, getSceneEntries, loadSceneClass, registerScene
+} from './registry';
+
+// The home room is where every other room's door is, so it doesn't get one
+registerScene({
+  path: '/home',
+  title: 'Home',
+  load: () => import('./home'),
+  door: false
+});
+
+registerScene({
+  path: '/planets',
+  title: 'Planetary Diorama',
+  label: 'Planets',
+  description: 'View the motion of our solar system in 3d.',
+  thumbnail: planetsThumbnail,
+  load: () => import('./planets')
+});
+
+registerScene({
+  path: '/kinematics',
+  title: 'Kinematic Sandbox',
+  label: 'Kinematics',
+  description: 'Understand how local gravity affects objects and manipulate physics.',
+  thumbnail: kinematicsThumbnail,
+  load: () => import('./kinematics')
+});
+
+registerScene({
+  path: '/pendulums',
+  title: 'Pendulums',
+  description: 'See how pendulums are affected by a different local gravity.',
+  load: () => import('./pendulums')
+});
+
+registerScene({
+  path: '/lasers',
+  title: 'Laser Reflections',
+  label: 'Lasers',
+  description: 'Use mirrors to reflect a laser beam and see how it can bounce off of them.',
+  thumbnail: floorTexture,
+  load: () => import('./laser')
+});
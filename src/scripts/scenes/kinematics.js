@@ -14,11 +14,16 @@ import nGround from '../../assets/textures/groundNormal.png';
 
 import oDoor from '../../assets/door.glb';
 
-import { XR } from '../xrController';
+import Teleporter from '../controls/teleport';
 
 import TriggerMesh from '../trigger';
-import { Interactions } from '../interactions';
+import {
+  HoverInteraction, SelectInteraction, DragInteraction, pulseControllers
+} from '../interactions';
+import { HapticPulses } from './controllers';
 import { createTextPlane } from './planets/text';
+import { Button, Panel, Slider } from '../widgets';
+import { Text } from '../text';
 
 import { updateCamera } from '../renderer/camera';
 
@@ -28,8 +33,28 @@ import sky_nz from '../../assets/textures/Skybox/sky_nz.png';
 import sky_px from '../../assets/textures/Skybox/sky_px.png'; 
 import sky_py from '../../assets/textures/Skybox/sky_py.png'; 
 import sky_pz from '../../assets/textures/Skybox/sky_pz.png';
+import ktx2_nx from '../../assets/textures/Skybox/sky_nx.ktx2';
+import ktx2_ny from '../../assets/textures/Skybox/sky_ny.ktx2';
+import ktx2_nz from '../../assets/textures/Skybox/sky_nz.ktx2';
+import ktx2_px from '../../assets/textures/Skybox/sky_px.ktx2';
+import ktx2_py from '../../assets/textures/Skybox/sky_py.ktx2';
+import ktx2_pz from '../../assets/textures/Skybox/sky_pz.ktx2';
 
 export default class KinematicsScene extends XrScene {
+  static assets = [
+    {
+      id: 'skybox',
+      url: [ktx2_nx, ktx2_px, ktx2_py, ktx2_ny, ktx2_nz, ktx2_pz],
+      type: 'cubeTexture',
+      options: { fallback: [sky_nx, sky_px, sky_py, sky_ny, sky_nz, sky_pz] }
+    },
+    { id: 'table', url: table, type: 'obj' },
+    { id: 'tTable', url: tTable, type: 'texture' },
+    { id: 'nTable', url: nTable, type: 'texture' },
+    { id: 'ground', url: nGround, type: 'texture' },
+    { id: 'door', url: oDoor, type: 'gltf' }
+  ];
+
   /**
   *
   * @param {THREE.Renderer} renderer
@@ -46,9 +71,6 @@ export default class KinematicsScene extends XrScene {
 
     this._initMenu();
 
-    //Assets
-    this._loadAssets();
-
     // Objects
     this.bodies = [];
     this.meshes = [];
@@ -79,53 +101,29 @@ export default class KinematicsScene extends XrScene {
   }
 
   _initGuide() {
-    const guide = createTextPlane(
-    `
-    KINEMATICS SANDBOX
-    ------------------
-
-    In this experience, you can spawn in spheres and cubes to toss around the scene.
-    
-    Spheres and Cubes are spawned by pointing the cursor at the respective shape
-    on the table and clicking. The object will spawn from the tube above the table.
-
-    Pick up and throw objects by pointing the cursor at them and holding the select button down
-    then releasing when you wish to let go of the object.
-
-    Drag the gravity slider to the left and right to change the magnitude of gravity in the scene.
-
-    Change the direction of gravity by selecting and dragging the white directional arrow to the
-    right of the table.
-    `, 'white');
+    const guide = new Text([
+      'KINEMATICS SANDBOX',
+      '',
+      'In this experience, you can spawn in spheres and cubes to toss around the scene.',
+      '',
+      'Spheres and Cubes are spawned by pointing the cursor at the respective shape on the'
+        + ' table and clicking. The object will spawn from the tube above the table.',
+      '',
+      'Pick up and throw objects by pointing the cursor at them and holding the select button'
+        + ' down then releasing when you wish to let go of the object.',
+      '',
+      'Drag the gravity slider to the left and right to change the magnitude of gravity in'
+        + ' the scene.',
+      '',
+      'Change the direction of gravity by selecting and dragging the white directional arrow'
+        + ' to the right of the table.'
+    ].join('\n'), { maxWidth: 45, sdf: true });
     guide.position.set(-30, 2.5, 2.5);
     guide.rotateY(Math.PI / 2);
     guide.raycast = (function () { return null; });
     this.scene.add(guide);
   }
 
-  _loadAssets() {
-    this.loader.addCubeTextureToQueue([
-      sky_nx, sky_px,
-      sky_py, sky_ny,
-      sky_nz, sky_pz
-    ], 'skybox');
-
-    this.loader.addTextureToQueue(sky_nx, 'sky_nx');
-    this.loader.addTextureToQueue(sky_ny, 'sky_ny');
-    this.loader.addTextureToQueue(sky_nz, 'sky_nz');
-    this.loader.addTextureToQueue(sky_px, 'sky_px');
-    this.loader.addTextureToQueue(sky_py, 'sky_py');
-    this.loader.addTextureToQueue(sky_pz, 'sky_pz');
-
-    this.loader.addOBJToQueue(table, 'table');
-    this.loader.addTextureToQueue(tTable, 'tTable');
-    this.loader.addTextureToQueue(nTable, 'nTable');
-
-    this.loader.addTextureToQueue(nGround, 'ground');
-
-    this.loader.addGltfToQueue(oDoor, 'door');
-  }
-
   _loadTable(asset) {
     const mesh = asset.obj.children[0];
     const material = new THREE.MeshPhongMaterial({
@@ -156,12 +154,6 @@ export default class KinematicsScene extends XrScene {
   onAssetsLoaded(cache) {
     super.onAssetsLoaded(cache);
 
-    const skyboxTextures = [
-      cache.sky_nz, cache.sky_pz,
-      cache.sky_py, cache.sky_ny,
-      cache.sky_px, cache.sky_nx 
-    ];
-
     const tableAsset = {};
     tableAsset.obj = cache.table;
     tableAsset.texture = cache.tTable;
@@ -186,86 +178,34 @@ export default class KinematicsScene extends XrScene {
     door.material = mDoorFrame;
     doorBody.material = mDoorBody;
 
-    doorBody[Interactions] = {
+    // Pointing at the frame or the door both bubble up to the door
+    door[HoverInteraction] = {
       hover() {
         door.children[0].material.color.set('tan');
       },
-      hover_end() {
+      end() {
         door.children[0].material.color.set(0x7c5c3a);
-      },
+      }
+    };
+    door[SelectInteraction] = {
       select: () => {
         this.changeRoom('/home');
       }
-    }
+    };
 
     this.scene.add(door);
 
   }
 
   _initMenu() {
-    const gravityLabel = createTextPlane('9.8', 'white', 'orange');
-    gravityLabel.raycast = () => [];
-
-    const gravSliderGeo = new THREE.BoxGeometry(1, 1, 0.25);
-    const gravSliderMat = new THREE.MeshBasicMaterial( {color: 'white'} );
-    const gravitySlider = new THREE.Mesh(gravSliderGeo, gravSliderMat);
-    gravitySlider.position.set(-3.8, 8, -20);
-    gravitySlider.add(gravityLabel);
-    gravityLabel.position.set(0, 2, 0);
-
-    gravitySlider[Interactions] = {
-      hover_start() {
-        if (!this.isSelected) {
-          gravitySlider.material.color.set(0x999999);
-        }
-      },
-      hover_end() {
-        gravitySlider.material.color.set(0xfafafa);
-      },
-      drag_start: (intersection, pointerMatrix) => {
-        const pointerInverse = new THREE.Matrix4().getInverse(pointerMatrix, true);
-        const target = new THREE.Matrix4().copy(intersection.object.matrixWorld);
-        const transformMatrix = new THREE.Matrix4().multiplyMatrices(pointerInverse, target);
-        return {
-          object: intersection.object,
-          transformMatrix,
-          matrixAutoUpdate: intersection.object.matrixAutoUpdate
-        };
-      },
-      drag: (matrix) => {
-        const pos = new THREE.Vector3().setFromMatrixPosition(matrix);
-        pos.y = 8;
-        pos.z = -20;
-
-        if (pos.x < -6.24) {
-          pos.x = -6.24;
-        } else if (pos.x > 6.25) {
-          pos.x = 6.25;
-        }
-        let scalar = (pos.x + 3.8) * 4 + 9.8;
-        let gravity = this.world.gravity;
-        let grav = new THREE.Vector3();
-        grav.set(gravity.x, gravity.y, gravity.z);
-        grav.normalize().multiplyScalar(scalar);
-
-        if (gravitySlider.children.length > 0) {
-          gravitySlider.children[0].geometry.dispose();
-          gravitySlider.children[0].material.dispose();
-          gravitySlider.remove(gravitySlider.children[0]);
-        }
-
-        const rounded = Math.round(scalar * 10) / 10;
-        const gravityLabel = createTextPlane(rounded.toString(), 'white', 'orange');
-        gravityLabel.raycast = () => [];
-        gravitySlider.add(gravityLabel);
-        gravityLabel.position.set(0, 2, 0);
-
-        gravitySlider.matrix.setPosition(pos);
-        gravitySlider.position.x = pos.x
-        gravitySlider.updateMatrixWorld(true);
-        this.world.gravity.set(grav.x, grav.y, grav.z);
-      }
-    };
+    // As strong as the slider goes
+    this.maxGravity = 50;
+    const gravitySlider = new Slider({
+      min: 0, max: this.maxGravity, step: 0.1, value: 9.8, length: 12.5
+    });
+    gravitySlider.position.set(0, 8, -20);
+    gravitySlider.addEventListener('input', ({ value }) => this._setGravityStrength(value));
+    gravitySlider.addEventListener('change', () => this.stateChanged());
 
     const gravGeo = new THREE.SphereGeometry(0.5, 32, 32);
     const gravMat = new THREE.MeshBasicMaterial( {color: 'white'} );
@@ -280,26 +220,17 @@ export default class KinematicsScene extends XrScene {
     );
     gravityArrow.raycast = () => [];
 
-    gravityBall[Interactions] = {
-      hover_start() {
-        if (!this.isSelected) {
-          gravityBall.material.color.set(0x999999);
-        }
+    gravityBall[HoverInteraction] = {
+      start() {
+        gravityBall.material.color.set(0x999999);
       },
-      hover_end() {
+      end() {
         gravityBall.material.color.set(0xfafafa);
-      },
-      drag_start: (intersection, pointerMatrix) => {
-        const pointerInverse = new THREE.Matrix4().getInverse(pointerMatrix, true);
-        const target = new THREE.Matrix4().copy(intersection.object.matrixWorld);
-        const transformMatrix = new THREE.Matrix4().multiplyMatrices(pointerInverse, target);
-        return {
-          object: intersection.object,
-          transformMatrix,
-          matrixAutoUpdate: intersection.object.matrixAutoUpdate
-        };
-      },
-      drag: (matrix) => {
+      }
+    };
+    gravityBall[DragInteraction] = {
+      twoHanded: false,
+      drag: () => {
         const dir = new THREE.Vector3();
         
         if (this.scene.getObjectByName('controller')) {
@@ -319,116 +250,47 @@ export default class KinematicsScene extends XrScene {
         dir.multiplyScalar(scalar);
 
         this.world.gravity.set(dir.x, dir.y, dir.z);
-      }
-    };
-
-    const buttonGeo = new THREE.BoxGeometry(2, 3, 0.5);
-    const buttonGeo2 = new THREE.BoxGeometry(2, 3, 0.5);
-
-    const buttonMat = new THREE.MeshPhongMaterial({ color: 0x222222 });
-    const zeroButton = new TriggerMesh(buttonGeo.clone(), buttonMat.clone());
-    const resetButton = new TriggerMesh(buttonGeo2.clone(), buttonMat.clone());
-
-    const menu = new THREE.Object3D();
-    const menu2 = new THREE.Object3D();
-
-    menu.add(zeroButton);
-    menu2.add(resetButton);
-
-    this.scene.add(menu);
-    this.scene.add(menu2);
-
-    menu.position.set(-4, 3, -20);
-    menu2.position.set(4, 3, -20);
-
-    zeroButton.position.set(6, 0, 0.25);
-    resetButton.position.set(-6, 0, 0.25);
-
-    const createLabelGravity = createTextPlane('Gravity', 'white', 'orange');
-    zeroButton.add(createLabelGravity);
-    createLabelGravity.position.set(-2, 3, 0.26);
-
-    const createLabelZero = createTextPlane('Zero', 'white', 'red');
-    zeroButton.add(createLabelZero);
-    createLabelZero.position.set(0, -1, 1);
-
-    const createLabelReset = createTextPlane('Reset', 'white', 'green');
-    resetButton.add(createLabelReset);
-    createLabelReset.position.set(0, -1, 1);
-
-    zeroButton.addFunction('toggleGravity', this.toggleGravity);
-    resetButton.addFunction('reverseGravity', this.reverseGravity);
-
-    zeroButton.hover = function () {
-      if (!this.isSelected) {
-        this.material.color.set('green');
-      }
-    };
-
-    zeroButton.select = function () {
-      this.functions.toggleGravity();
-      this.position.z = -0.125;
-      this.material.color.set(0x999999);
-      resetButton.position.z = 0.25;
-      resetButton.material.color.set(0x222222);
-
-      gravitySlider.position.x = -6.26;
-
-      if (gravitySlider.children.length > 0) {
-        gravitySlider.children[0].geometry.dispose();
-        gravitySlider.children[0].material.dispose();
-        gravitySlider.remove(gravitySlider.children[0]);
-      }
-
-      const gravityLabel = createTextPlane('0', 'white', 'orange');
-      gravityLabel.raycast = () => [];
-      gravitySlider.add(gravityLabel);
-      gravityLabel.position.set(0, 2, 0);
-    };
-
-    zeroButton.exit = function () {
-      this.material.color.set(0x999999);
-    };
-
-    resetButton.hover = function () {
-      if (!this.isSelected) {
-        this.material.color.set('green');
-      }
+      },
+      end: () => this.stateChanged()
     };
 
-    resetButton.select = function () {
-      this.functions.reverseGravity();
-      this.position.z = -0.125;
-      this.material.color.set(0x999999);
-      zeroButton.position.z = 0.25;
-      zeroButton.material.color.set(0x222222);
+    const gravityHeading = createTextPlane('Gravity', 'white', 'orange');
+    gravityHeading.raycast = () => [];
+    gravityHeading.position.set(0, 6, -19.5);
 
-      gravitySlider.position.x = -3.8;
-
-      if (gravitySlider.children.length > 0) {
-        gravitySlider.children[0].geometry.dispose();
-        gravitySlider.children[0].material.dispose();
-        gravitySlider.remove(gravitySlider.children[0]);
-      }
+    const resetButton = new Button('Reset', { width: 3, height: 2 });
+    resetButton.addEventListener('press', this.reverseGravity);
+    const zeroButton = new Button('Zero', { width: 3, height: 2 });
+    zeroButton.addEventListener('press', this.toggleGravity);
 
-      const gravityLabel = createTextPlane('9.8', 'white', 'orange');
-      gravityLabel.raycast = () => [];
-      gravitySlider.add(gravityLabel);
-      gravityLabel.position.set(0, 2, 0);
+    const menu = new Panel({ spacing: 1 });
+    menu.add(resetButton, zeroButton);
+    menu.position.set(0, 3, -20);
 
-      gravityArrow.setDirection(new THREE.Vector3(0, -1, 0));
-    };
-
-    resetButton.exit = function () {
-      this.material.color.set(0x999999);
-    };
-    
     this.scene.add(gravitySlider);
+    this.scene.add(gravityHeading);
     this.scene.add(gravityBall);
     this.scene.add(gravityArrow);
 
     this.triggers.add(menu);
-    this.triggers.add(menu2);
+
+    // Between the gravity buttons and the table
+    const resetRoomButton = this.addResetButton(5);
+    resetRoomButton.position.set(0, 0.8, -19.5);
+
+    this.gravitySlider = gravitySlider;
+    this.gravityArrow = gravityArrow;
+  }
+
+  /**
+   * Changes how strong gravity is, in the direction the arrow points
+   * @param {number} scalar
+   */
+  _setGravityStrength(scalar) {
+    const gravity = new THREE.Vector3(0, 1, 0)
+      .applyQuaternion(this.gravityArrow.quaternion)
+      .multiplyScalar(scalar);
+    this.world.gravity.set(gravity.x, gravity.y, gravity.z);
   }
 
   _createEnv() {
@@ -444,20 +306,10 @@ export default class KinematicsScene extends XrScene {
     ground.rotateX(-1.5708);
     ground.position.set(0, -8, 0);
 
-    ground[Interactions] = {
-      select_start({ distance, point }) {
-        if(distance <= 75) {
-          point.y += 8;
-          const offsetMatrix = XR.getOffsetMatrix();
-          point.multiplyScalar(-1);
-          offsetMatrix.setPosition(point);
-          XR.setOffsetMatrix(offsetMatrix);
-        }
-      }
-    }
-
     this.ground = ground;
     this.scene.add(ground);
+    this.teleporter = new Teleporter(this, { maxDistance: 75 });
+    this.teleporter.addSurface(ground);
 
     // Create spawner tube
     const tubeMaterials = new THREE.MeshPhongMaterial({ color: 'gray', side: THREE.DoubleSide });
@@ -503,6 +355,16 @@ export default class KinematicsScene extends XrScene {
     ball.castShadow = true;
     ball.receiveShadow = true;
     this.world.addBody(ballBody);
+    // Feel the ball land, harder the faster it falls. Rolling along the floor doesn't count.
+    ballBody.addEventListener('collide', ({ body, contact }) => {
+      const speed = Math.abs(contact.getImpactVelocityAlongNormal());
+      if (body === this.groundBody && speed > 1) {
+        pulseControllers({
+          ...HapticPulses.bump,
+          intensity: HapticPulses.bump.intensity * Math.min(speed / 10, 1)
+        });
+      }
+    });
 
     const arrow = new THREE.ArrowHelper(
       new THREE.Vector3(0, 0, 0),
@@ -515,25 +377,17 @@ export default class KinematicsScene extends XrScene {
     this.scene.add(arrow);
 
     let lastTime;
-    ball[Interactions] = {
-      hover_start() {
-        if (!this.isSelected) {
-          ball.material.color.set(0xFF0000);
-        }
+    ball[HoverInteraction] = {
+      start() {
+        ball.material.color.set(0xFF0000);
       },
-      hover_end() {
+      end() {
         ball.material.color.set('orange');
-      },
-      drag_start: (intersection, pointerMatrix) => {
+      }
+    };
+    ball[DragInteraction] = {
+      start: () => {
         lastTime = performance.now();
-        const pointerInverse = new THREE.Matrix4().getInverse(pointerMatrix, true);
-        const target = new THREE.Matrix4().copy(intersection.object.matrixWorld);
-        const transformMatrix = new THREE.Matrix4().multiplyMatrices(pointerInverse, target);
-        return {
-          object: intersection.object,
-          transformMatrix,
-          matrixAutoUpdate: intersection.object.matrixAutoUpdate
-        };
       },
       drag(matrix) {
         const now = performance.now();
@@ -549,7 +403,7 @@ export default class KinematicsScene extends XrScene {
         ballBody.position.z = pos.z;
         ball.updateMatrixWorld(true);
       },
-      drag_end: () => {
+      end: () => {
         const instVel = ball.velocity;
         delete ball.velocity;
         ballBody.velocity.x = instVel.x;
@@ -589,29 +443,19 @@ export default class KinematicsScene extends XrScene {
     this.scene.add(arrow);
 
     let lastTime;
-    box[Interactions] = {
-      hover_start() {
-        if (!this.isSelected) {
-          box.material.color.set(0xFF0000);
-        }
+    box[HoverInteraction] = {
+      start() {
+        box.material.color.set(0xFF0000);
       },
-      hover_end() {
+      end() {
         box.material.color.set('orange');
-      },
-      drag_start: (intersection, pointerMatrix) => {
-        // this.paused = true;
-        // TODO: Stop associated pendulum swing's motion
+      }
+    };
+    box[DragInteraction] = {
+      start: () => {
         lastTime = performance.now();
-        const pointerInverse = new THREE.Matrix4().getInverse(pointerMatrix, true);
-        const target = new THREE.Matrix4().copy(intersection.object.matrixWorld);
-        const transformMatrix = new THREE.Matrix4().multiplyMatrices(pointerInverse, target);
-        return {
-          object: intersection.object,
-          transformMatrix,
-          matrixAutoUpdate: intersection.object.matrixAutoUpdate
-        };
       },
-      drag(matrix) {
+      drag(matrix, { twoHanded }) {
         const now = performance.now();
         const diff = (now - lastTime) / 1000; // ms to s
         lastTime = now;
@@ -623,9 +467,14 @@ export default class KinematicsScene extends XrScene {
         boxBody.position.x = pos.x;
         boxBody.position.y = pos.y;
         boxBody.position.z = pos.z;
+        // Boxes held with both hands can be turned too
+        if (twoHanded) {
+          const quaternion = new THREE.Quaternion().setFromRotationMatrix(matrix);
+          boxBody.quaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+        }
         box.updateMatrixWorld(true);
       },
-      drag_end: () => {
+      end: () => {
         const instVel = box.velocity;
         delete box.velocity;
         boxBody.velocity.x = instVel.x;
@@ -716,10 +565,41 @@ export default class KinematicsScene extends XrScene {
 
   toggleGravity = () => {
     this.world.gravity.set(0, 0.001, 0);
+    this.gravitySlider.setValue(0);
+    this.stateChanged();
   }
 
   reverseGravity = () => {
     this.world.gravity.set(0, -9.8, 0);
+    this.gravitySlider.setValue(9.8);
+    this.gravityArrow.setDirection(new THREE.Vector3(0, -1, 0));
+    this.stateChanged();
+  }
+
+  /**
+   * Gravity is `x,y,z`, unless it's the usual 9.8 downwards
+   */
+  serializeState() {
+    const { x, y, z } = this.world.gravity;
+    if (x === 0 && y === -9.8 && z === 0) {
+      return {};
+    }
+    return { gravity: [x, y, z].map(value => Math.round(value * 1000) / 1000).join(',') };
+  }
+
+  restoreState({ gravity = '' }) {
+    const values = gravity.split(',').map(Number);
+    if (values.length !== 3 || !values.every(Number.isFinite)) {
+      return;
+    }
+    const direction = new THREE.Vector3().fromArray(values);
+    const scalar = direction.length();
+    if (scalar === 0 || scalar > this.maxGravity) {
+      return;
+    }
+    this.world.gravity.set(direction.x, direction.y, direction.z);
+    this.gravityArrow.setDirection(direction.normalize());
+    this.gravitySlider.setValue(scalar);
   }
 
   onKeyUp = (event) => {
@@ -763,6 +643,7 @@ export default class KinematicsScene extends XrScene {
     groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
     groundBody.position.set(0, -height, 0);
     this.world.addBody(groundBody);
+    this.groundBody = groundBody;
 
     const groundContact = new CANNON.ContactMaterial(
       groundMaterial, this.objectMaterial, { friction: 0.5, restitution: 0.2 }
@@ -1,13 +1,18 @@
 import THREE from '../three';
 import XrScene from './xr-scene';
 import { keyboard } from '../controls/keyboard-controls';
-import TriggerMesh from '../trigger';
 import wallTxUrl from '../../assets/textures/laser-room/wall/wall.jpg';
 import floorTxUrl from '../../assets/textures/laser-room/floor/floor_diff.jpg';
 import doorUrl from '../../assets/door.glb';
-import { Interactions } from '../interactions';
-import { XR } from '../xrController';
-import { createTextPlane } from './planets/text';
+import {
+  HoverInteraction, SelectInteraction, DragInteraction, pulseControllers
+} from '../interactions';
+import { HapticPulses } from './controllers';
+import { lockToPlane, clampToBox } from '../constraints';
+import Teleporter from '../controls/teleport';
+import { disposeObject } from '../dispose';
+import { Button, Panel, ToggleGroup } from '../widgets';
+import { Text } from '../text';
 
 const mode = {
   SELECT: 'select',
@@ -17,7 +22,36 @@ const mode = {
 
 let setting = mode.SELECT;
 
+// Where on the floor mirrors can be dragged to
+const mirrorBounds = new THREE.Box3(
+  new THREE.Vector3(-30.5, -Infinity, -30.5),
+  new THREE.Vector3(30.5, Infinity, 30.5)
+);
+
+// The most mirrors a restored state puts in the room, since links can be edited by hand
+const MAX_RESTORED_MIRRORS = 100;
+
+/**
+ * @param {THREE.Object3D} object
+ * @returns {number} how far the object is turned around the y axis, in degrees
+ */
+function getYRotation(object) {
+  const facing = new THREE.Vector3(0, 0, 1).applyQuaternion(object.quaternion);
+  return THREE.Math.radToDeg(Math.atan2(facing.x, facing.z));
+}
+
+// Rounds a number to keep the url short
+function round(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
 export default class LaserScene extends XrScene {
+  static assets = [
+    { id: 'laser-wall', url: wallTxUrl, type: 'texture' },
+    { id: 'laser-floor', url: floorTxUrl, type: 'texture' },
+    { id: 'laser-door', url: doorUrl, type: 'gltf' }
+  ];
+
   /**
   *
   * @param {THREE.Renderer} renderer
@@ -29,16 +63,14 @@ export default class LaserScene extends XrScene {
     this.camera = camera;
     this.renderer = renderer;
 
-    this.loader.addTextureToQueue(wallTxUrl, 'laser-wall');
-    this.loader.addTextureToQueue(floorTxUrl, 'laser-floor');
-    this.loader.addGltfToQueue(doorUrl, 'laser-door');
-
     this.laserRays = [];
     this.laserRay = new THREE.Raycaster();
     this.laserOrigin = new THREE.Vector3(0, -5, 32);
     this.laserDirection = new THREE.Vector3(0, 0, -1);
     this.laserRay.set(this.laserOrigin, this.laserDirection);
     this.laserRays.push(this.laserRay);
+    // Whether the laser got to the goal in the last frame
+    this.reachedGoal = false;
 
     this.mirrors = new THREE.Group();
     this.intersects = new THREE.Group();
@@ -51,171 +83,66 @@ export default class LaserScene extends XrScene {
   }
 
   _initGuide() {
-    const guide = createTextPlane(
-    `                                                                                     GOAL
-                                                                                     ---------
-          Reflect the laser off of mirrors and into the center of the target goal on the black box 
-                                                          randomly located in the room.
-
-                                                                                CONTROLS
-                                                                                -----------------
-    CREATE:                                                                              DELETE:
-    Add mirrors by clicking on the ground.                      Click a mirror to delete it.
-    
-    SELECT:                                                                              RESET:
-    Click and drag a mirrors face to move it.                   Remove all mirrors and reset the target goal.
-    Click and drag a mirrors base to rotate it.
-    `, 'black');
+    const guide = new Text([
+      'GOAL',
+      'Reflect the laser off of mirrors and into the center of the target goal on the black'
+        + ' box randomly located in the room.',
+      '',
+      'CONTROLS',
+      'CREATE: Add mirrors by clicking on the ground.',
+      'DELETE: Click a mirror to delete it.',
+      'SELECT: Click and drag a mirror\'s face to move it.'
+        + ' Click and drag a mirror\'s base to rotate it.',
+      'RESET: Remove all mirrors and reset the target goal.'
+    ].join('\n'), {
+      textColor: 'black', maxWidth: 50, align: 'center', sdf: true
+    });
     guide.position.set(31.9, 0, 0);
     guide.rotateY(-Math.PI / 2);
     this.scene.add(guide);
   }
 
   _initMenu() {
-    const buttonGeo = new THREE.BoxGeometry(4, 3, 0.5);
-    const buttonMat = new THREE.MeshPhongMaterial({ color: 0x222222 });
-    const selectButton = new TriggerMesh(buttonGeo.clone(), buttonMat.clone());
-    const deleteButton = new TriggerMesh(buttonGeo.clone(), buttonMat.clone());
-    const createButton = new TriggerMesh(buttonGeo.clone(), buttonMat.clone());
-    const resetButton = new TriggerMesh(buttonGeo.clone(), buttonMat.clone());
-    const menu = new THREE.Object3D();
-    menu.add(selectButton, deleteButton, createButton, resetButton);
-    this.scene.add(menu);
+    const modes = new ToggleGroup([
+      { value: mode.DELETE, text: 'DELETE' },
+      { value: mode.SELECT, text: 'SELECT' },
+      { value: mode.CREATE, text: 'CREATE' }
+    ], { value: setting, spacing: 6 });
+    modes.addEventListener('change', ({ value }) => {
+      setting = value;
+    });
+
+    const resetButton = new Button('RESET');
+    resetButton.addEventListener('press', this._reset);
+
+    const menu = new Panel({ spacing: 6 });
+    menu.add(resetButton, modes);
     menu.position.set(0, -2, -32);
-    selectButton.material.color.set(0x999999);
-    createButton.position.set(15, 0, 0.25);
-    selectButton.position.set(5, 0, -0.125);
-    deleteButton.position.set(-5, 0, 0.25);
-    resetButton.position.set(-15, 0, 0.25);
-
-    const selectLabel = createTextPlane('SELECT', 'white', 'black');
-    selectLabel.position.set(5, 3, 0.01);
-
-    const deleteLabel = createTextPlane('DELETE', 'white', 'black');
-    deleteLabel.position.set(-5, 3, 0.01);
-
-    const createLabel = createTextPlane('CREATE', 'white', 'black');
-    createLabel.position.set(15, 3, 0.01);
-
-    const resetLabel = createTextPlane('RESET', 'white', 'black');
-    resetLabel.position.set(-15, 3, 0.01);
-
-    menu.add(selectLabel, deleteLabel, createLabel, resetLabel);
-
-    selectButton.hover = function () {
-      if (!this.isSelected) {
-        this.material.color.set(0x999999);
-      }
-    };
-
-    selectButton.select = function () {
-      setting = mode.SELECT;
-      this.position.z = -0.125;
-      this.material.color.set(0x999999);
-      deleteButton.position.z = 0.25;
-      deleteButton.material.color.set(0x222222);
-      createButton.position.z = 0.25;
-      createButton.material.color.set(0x222222);
-    };
-
-    selectButton.exit = function () {
-      if (setting === mode.SELECT) {
-        this.material.color.set(0x999999);
-      } else {
-        this.material.color.set(0x222222);
-      }
-    };
-
-    deleteButton.hover = function () {
-      if (!this.isSelected) {
-        this.material.color.set(0x999999);
-      }
-    };
-
-    deleteButton.select = function () {
-      setting = mode.DELETE;
-      this.position.z = -0.125;
-      this.material.color.set(0x999999);
-      selectButton.position.z = 0.25;
-      selectButton.material.color.set(0x222222);
-      createButton.position.z = 0.25;
-      createButton.material.color.set(0x222222);
-    };
-
-    deleteButton.exit = function () {
-      if (setting === mode.DELETE) {
-        this.material.color.set(0x999999);
-      } else {
-        this.material.color.set(0x222222);
-      }
-    };
-
-    createButton.hover = function () {
-      if (!this.isSelected) {
-        this.material.color.set(0x999999);
-      }
-    };
-
-    createButton.select = function () {
-      setting = mode.CREATE;
-      this.position.z = -0.125;
-      this.material.color.set(0x999999);
-      selectButton.position.z = 0.25;
-      selectButton.material.color.set(0x222222);
-      deleteButton.position.z = 0.25;
-      deleteButton.material.color.set(0x222222);
-    };
-
-    createButton.exit = function () {
-      if (setting === mode.CREATE) {
-        this.material.color.set(0x999999);
-      } else {
-        this.material.color.set(0x222222);
-      }
-    };
-
-    resetButton.addFunction('reset', this._reset);
-
-    resetButton.hover = function () {
-      if (!this.isSelected) {
-        this.material.color.set(0x999999);
-      }
-    };
-
-    resetButton.select = function () {
-      this.functions.reset();
-      this.position.z = -0.125;
-      this.material.color.set(0x999999);
-    };
-
-    resetButton.exit = function () {
-      this.position.z = 0.25;
-      this.material.color.set(0x222222);
-    };
-
     this.triggers.add(menu);
+
+    // Below the menu. RESET only starts a new puzzle, this also forgets the saved layout
+    const resetRoomButton = this.addResetButton(8);
+    resetRoomButton.position.set(0, -5.5, -31.75);
   }
 
   _reset = () => {
-    const mirror = this.mirrors.children;
-
-    while (mirror.length > 0) {
-      while (mirror[0].children.length > 0) {
-        mirror[0].children[0].geometry.dispose();
-        mirror[0].children[0].material.dispose();
-        mirror[0].remove(mirror[0].children[0]);
-      }
-      mirror[0].geometry.dispose();
-      mirror[0].material.dispose();
-      this.mirrors.remove(mirror[0]);
+    // Along with their bases and angle labels, like deleting a mirror does
+    for (const mirror of [...this.mirrors.children]) {
+      mirror.traverse(disposeObject);
+      this.mirrors.remove(mirror);
     }
 
     let goal = this.scene.getObjectByName('group');
     const randPos = this.getRandomPosition();
     goal.position.set(randPos.x, randPos.y, randPos.z);
+    this.stateChanged();
   }
 
-  _addMirrors = (point) => {
+  /**
+   * @param {THREE.Vector3} point where on the floor to put the mirror
+   * @param {number} rotation how far the mirror is turned around the y axis, in radians
+   */
+  _addMirrors = (point, rotation = Math.PI / 4) => {
     const geo = new THREE.BoxGeometry(3, 4, 0.1);
     const mat = new THREE.MeshPhongMaterial({ color: 0xfafafa });
     const mirror = new THREE.Mesh(geo, mat);
@@ -226,100 +153,76 @@ export default class LaserScene extends XrScene {
     base.position.set(0, -2.375, 0);
     mirror.angle = -1;
 
-    mirror[Interactions] = {
-      hover_start() {
-        if (!this.isSelected) {
-          mirror.material.color.set(0x999999);
-        }
+    // How far the mirror is turned, redrawn as it's rotated
+    const angleLabel = new Text('', { sdf: true });
+    angleLabel.raycast = () => [];
+    angleLabel.position.set(0, 3, 0);
+    mirror.add(angleLabel);
+    const showAngle = (camera) => {
+      let angle = Math.round(((mirror.rotation.y * 180) / Math.PI) * 10) / 10;
+      if (angle < 0) {
+        angle *= -1;
+      }
+      if (angle !== mirror.angle) {
+        angleLabel.setText(angle.toString());
+        mirror.angle = angle;
+
+        const camPos = new THREE.Vector3();
+        camera.getWorldPosition(camPos);
+        angleLabel.lookAt(camPos);
+      }
+    };
+
+    mirror[HoverInteraction] = {
+      start() {
+        mirror.material.color.set(0x999999);
       },
-      hover_end() {
+      end() {
         mirror.material.color.set(0xfafafa);
-      },
-      select_start() {
+      }
+    };
+    // Selecting the base bubbles up to here too
+    mirror[SelectInteraction] = {
+      start: () => {
         if (setting === mode.DELETE) {
-          mirror.material.dispose();
-          mirror.geometry.dispose();
-          while (mirror.children.length > 0) {
-            mirror.children[0].geometry.dispose();
-            mirror.children[0].material.dispose();
-            mirror.remove(mirror.children[0]);
-          }
+          mirror.traverse(disposeObject);
           mirror.parent.remove(mirror);
+          this.stateChanged();
         }
-      },
-      drag_start: (intersection, pointerMatrix) => {
-        const pointerInverse = new THREE.Matrix4().getInverse(pointerMatrix, true);
-        const target = new THREE.Matrix4().copy(intersection.object.matrixWorld);
-        const transformMatrix = new THREE.Matrix4().multiplyMatrices(pointerInverse, target);
-        return {
-          object: intersection.object,
-          transformMatrix,
-          matrixAutoUpdate: intersection.object.matrixAutoUpdate
-        };
-      },
-      drag(matrix) {
+      }
+    };
+    mirror[DragInteraction] = {
+      // Held with both hands, mirrors can also be turned, but they stay upright
+      twoHanded: { rotate: 'y' },
+      // Mirrors slide along the floor
+      constraints: [lockToPlane('y'), clampToBox(mirrorBounds)],
+      drag: (matrix, { twoHanded }) => {
         if (setting === mode.SELECT) {
-          const pos = new THREE.Vector3().setFromMatrixPosition(matrix);
-
-          pos.y = -5;
-          var xBound = 30.5;
-          var zBound = 30.5;
-
-          console.log(xBound, zBound);
-          if (pos.x > xBound) {
-            pos.x = xBound;
-          } else if (pos.x < -(xBound)) {
-            pos.x = -(xBound);
-          }
-
-          if (pos.z > zBound) {
-            pos.z = zBound;
-          } else if (pos.z < -(zBound)) {
-            pos.z = -(zBound);
+          mirror.position.setFromMatrixPosition(matrix);
+          if (twoHanded) {
+            mirror.quaternion.setFromRotationMatrix(matrix);
+            showAngle(this.camera);
           }
-          
-          mirror.matrix.setPosition(pos);
-          mirror.position.x = pos.x;
-          mirror.position.z = pos.z;
-          mirror.position.y = pos.y;
+          mirror.updateMatrix();
           mirror.updateMatrixWorld(true);
         }
-      }
+      },
+      end: () => this.stateChanged()
     };
 
     base.camera = this.camera;
 
-    base[Interactions] = {
-      hover_start() {
-        if (!this.isSelected) {
-          base.material.color.set(0x999999);
-        }
+    base[HoverInteraction] = {
+      start() {
+        base.material.color.set(0x999999);
       },
-      hover_end() {
+      end() {
         base.material.color.set(0x383838);
-      },
-      select_start() {
-        if (setting === mode.DELETE) {
-          mirror.material.dispose();
-          mirror.geometry.dispose();
-          while (mirror.children.length > 0) {
-            mirror.children[0].geometry.dispose();
-            mirror.children[0].material.dispose();
-            mirror.remove(mirror.children[0]);
-          }
-          mirror.parent.remove(mirror);
-        }
-      },
-      drag_start: (intersection, pointerMatrix) => {
-        const pointerInverse = new THREE.Matrix4().getInverse(pointerMatrix, true);
-        const target = new THREE.Matrix4().copy(intersection.object.matrixWorld);
-        const transformMatrix = new THREE.Matrix4().multiplyMatrices(pointerInverse, target);
-        return {
-          object: intersection.object,
-          transformMatrix,
-          matrixAutoUpdate: intersection.object.matrixAutoUpdate
-        }
-      },
+      }
+    };
+    // Dragging the base turns the mirror instead of moving it
+    base[DragInteraction] = {
+      twoHanded: false,
       drag(matrix) {
         if (setting === mode.SELECT) {
           const pos = new THREE.Vector3().setFromMatrixPosition(matrix);
@@ -335,51 +238,24 @@ export default class LaserScene extends XrScene {
           const rotMatrix = new THREE.Matrix4().makeRotationY(radians);
           mirror.matrix.multiply(rotMatrix);
           mirror.rotateY(radians);
-
-          let angle = Math.round(((mirror.rotation.y * 180) / Math.PI) * 10) / 10;
-          if (angle < 0) {
-            angle *= -1;
-          }
-          if (angle !== mirror.angle) {
-            if (mirror.children.length > 1) {
-              mirror.children[1].geometry.dispose();
-              mirror.children[1].material.dispose();
-              mirror.remove(mirror.children[1]);
-            }
-            const angleLabel = createTextPlane(angle.toString(), 'white');
-            angleLabel.raycast = () => [];
-            mirror.add(angleLabel);
-            mirror.angle = angle;
-            angleLabel.position.set(0, 3, 0);
-
-            const camPos = new THREE.Vector3();
-            base.camera.getWorldPosition(camPos);
-            angleLabel.lookAt(camPos);
-          }
+          showAngle(base.camera);
 
           mirror.updateMatrixWorld(true);
         }
-      }
+      },
+      end: () => this.stateChanged()
     };
 
     // const randPos = this.getRandomPosition();
     mirror.position.x = point.x;
     mirror.position.y = -5;
     mirror.position.z = point.z;
-    mirror.rotateOnAxis(new THREE.Vector3(0, 1, 0), Math.PI / 4);
+    mirror.rotateOnAxis(new THREE.Vector3(0, 1, 0), rotation);
 
     let angle = Math.round(((mirror.rotation.y * 180) / Math.PI) * 10) / 10;
     if (angle !== mirror.angle) {
-      if (mirror.children.length > 1) {
-        mirror.children[1].geometry.dispose();
-        mirror.children[1].material.dispose();
-        mirror.remove(mirror.children[1]);
-      }
-      const angleLabel = createTextPlane(angle.toString(), 'white');
-      angleLabel.raycast = () => [];
-      mirror.add(angleLabel);
+      angleLabel.setText(angle.toString());
       mirror.angle = angle;
-      angleLabel.position.set(0, 3, 0);
       const camPos = new THREE.Vector3();
       this.camera.getWorldPosition(camPos);
       angleLabel.lookAt(camPos);
@@ -388,6 +264,7 @@ export default class LaserScene extends XrScene {
     this.mirrors.add(mirror);
 
     this.triggers.add(this.mirrors);
+    this.stateChanged();
   }
 
   _createLaser() {
@@ -509,6 +386,7 @@ export default class LaserScene extends XrScene {
   }
 
   _updateLaserRays() {
+    let reachedGoal = false;
     for (let i = 0; i < this.laserRays.length; i++) {
       const laserDirection = this.laserRays[i].ray.direction.clone();
       const raycasterDestination = laserDirection.clone();
@@ -530,6 +408,7 @@ export default class LaserScene extends XrScene {
             const goal = this.scene.getObjectByName('goalBox');
             if (result.object === this.scene.getObjectByName('goal')) {
               goal.material.color.set('green');
+              reachedGoal = true;
             } else {
               goal.material.color.set(0x111111);
             }
@@ -541,6 +420,11 @@ export default class LaserScene extends XrScene {
         }
       }
     }
+    // Buzz once when the laser gets to the goal, not for every frame it stays there
+    if (reachedGoal && !this.reachedGoal) {
+      pulseControllers(HapticPulses.success);
+    }
+    this.reachedGoal = reachedGoal;
   }
 
   _createMirrorOutline() {
@@ -616,19 +500,22 @@ export default class LaserScene extends XrScene {
     door.children[0].material = doorMat;
     door.material = doorFrameMat;
 
-    door.children[0][Interactions] = {
+    // Pointing at the frame or the door both bubble up to the door
+    door[HoverInteraction] = {
       hover() {
         door.children[0].material.color.set('tan');
       },
-      hover_end() {
+      end() {
         door.children[0].material.color.set(0x7c5c3a);
-      },
+      }
+    };
+    door[SelectInteraction] = {
       select() {
         let newPath = '/home';
         const event = new CustomEvent('changeRoom', { detail: { newPath } });
         window.dispatchEvent(event);
       }
-    }
+    };
 
     this.intersects.add(door);
 
@@ -636,27 +523,26 @@ export default class LaserScene extends XrScene {
     floor.functions.addMirror = this._addMirrors;
     floor.functions.displayMirrorOutline = this.displayMirrorOutline;
     floor.functions.noMirrorOutline = this.noMirrorOutline;
-    floor[Interactions] = {
+    floor[HoverInteraction] = {
       hover({ point }) {
         if (setting === mode.CREATE) {
           floor.functions.displayMirrorOutline(point);
         }
       },
-      hover_end() {
+      end() {
         floor.functions.noMirrorOutline();
-      },
-      select_start({ point }) {
+      }
+    };
+    floor[SelectInteraction] = {
+      start({ point }) {
         if (setting === mode.CREATE) {
           floor.functions.addMirror(point);
-        } else {
-          const offsetMatrix = XR.getOffsetMatrix();
-          point.y = 0;
-          point.multiplyScalar(-1);
-          offsetMatrix.setPosition(point);
-          XR.setOffsetMatrix(offsetMatrix);
         }
       }
     };
+    // Clicking the floor adds mirrors in CREATE mode instead
+    this.teleporter = new Teleporter(this, { enabled: () => setting !== mode.CREATE });
+    this.teleporter.addSurface(floor);
     this.intersects.add(this.room);
   }
 
@@ -714,6 +600,50 @@ export default class LaserScene extends XrScene {
     this._initScene(cache);
   }
 
+  /**
+   * The goal is `x,z,angle` and the mirrors are `x,z,angle` each, separated by `;`,
+   * with angles in degrees
+   */
+  serializeState() {
+    const goal = this.scene.getObjectByName('group');
+    const state = {
+      goal: [round(goal.position.x, 2), round(goal.position.z, 2), round(getYRotation(goal), 1)].join(',')
+    };
+    if (this.mirrors.children.length) {
+      state.mirrors = this.mirrors.children
+        .map(mirror => [
+          round(mirror.position.x, 2), round(mirror.position.z, 2), round(getYRotation(mirror), 1)
+        ].join(','))
+        .join(';');
+    }
+    return state;
+  }
+
+  restoreState({ goal = '', mirrors = '' }) {
+    const parse = text => text.split(',').map(Number);
+    const isValid = values => values.length === 3 && values.every(Number.isFinite);
+    // Kept on the floor, wherever the state says they are
+    const onFloor = (x, z) => mirrorBounds.clampPoint(
+      new THREE.Vector3(x, -5, z), new THREE.Vector3()
+    );
+
+    const goalValues = parse(goal);
+    if (isValid(goalValues)) {
+      const [x, z, angle] = goalValues;
+      const group = this.scene.getObjectByName('group');
+      group.position.copy(onFloor(x, z));
+      group.rotation.set(0, THREE.Math.degToRad(angle), 0);
+    }
+
+    mirrors.split(';')
+      .map(parse)
+      .filter(isValid)
+      .slice(0, MAX_RESTORED_MIRRORS)
+      .forEach(([x, z, angle]) => {
+        this._addMirrors(onFloor(x, z), THREE.Math.degToRad(angle));
+      });
+  }
+
   animate() {
     this._updateMirrors();
     this._createLaser();
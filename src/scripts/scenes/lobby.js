@@ -0,0 +1,114 @@
+import {
+  Mesh, SphereBufferGeometry, MeshBasicMaterial, GridHelper, BackSide, Vector3
+} from 'three';
+import XrScene from './xr-scene';
+import { createTextPlane } from './planets/text';
+import { Text } from '../text';
+import { getSceneEntries } from './index';
+
+// How far the room panels are from the viewer, and how far apart they are around them
+const PANEL_DISTANCE = 3;
+const PANEL_ANGLE = 0.45;
+const PANEL_WIDTH = 1.2;
+const EYE_HEIGHT = 1.4;
+
+/**
+ * What the welcome page is inside a headset: the router shows this at / so that someone
+ * in VR can pick a room without taking the headset off. Every room with a door in the
+ * home room gets a panel, and selecting one goes into that room.
+ *
+ * The router also shows it in place of a room that couldn't be loaded, with the error
+ * screen's choices, see showLoadingError().
+ */
+export default class LobbyScene extends XrScene {
+  /**
+   *
+   * @param {THREE.Renderer} renderer
+   * @param {THREE.Camera} camera
+   */
+  constructor(renderer, camera) {
+    super(renderer, camera);
+
+    const backdrop = new Mesh(
+      new SphereBufferGeometry(50, 32, 16),
+      new MeshBasicMaterial({ color: 0x0b1020, side: BackSide })
+    );
+    this.scene.add(backdrop);
+    this.scene.add(new GridHelper(40, 40, 0x3a4a6b, 0x1c2640));
+
+    const heading = createTextPlane('Choose a room', 'white');
+    heading.scale.setScalar(0.12);
+    heading.position.set(0, EYE_HEIGHT + 0.9, -PANEL_DISTANCE);
+    this.scene.add(heading);
+    this.heading = heading;
+
+    this.addRoomPanels();
+  }
+
+  /**
+   * Puts a panel for each room in an arc in front of the viewer
+   */
+  addRoomPanels() {
+    const entries = getSceneEntries().filter(entry => entry.door);
+    const viewer = new Vector3(0, EYE_HEIGHT, 0);
+    entries.forEach((entry, i) => {
+      const angle = (i - (entries.length - 1) / 2) * PANEL_ANGLE;
+      const panel = createTextPlane(entry.title, 'white', '#243b55');
+      panel.name = `${entry.title} Panel`;
+      panel.userData.path = entry.path;
+      panel.scale.setScalar(PANEL_WIDTH / panel.width);
+      panel.position.set(
+        Math.sin(angle) * PANEL_DISTANCE,
+        EYE_HEIGHT,
+        -Math.cos(angle) * PANEL_DISTANCE
+      );
+      panel.lookAt(viewer);
+
+      // TriggerMesh only calls hover() when the panel starts being pointed at
+      const prefetch = () => this.prefetchRoom(entry.path);
+      panel.hover = function () {
+        this.material.color.set(0xaaccff);
+        prefetch();
+      };
+      panel.exit = function () {
+        this.material.color.set(0xffffff);
+      };
+      panel.select = () => this.changeRoom(entry.path);
+      this.scene.add(panel);
+    });
+  }
+
+  /**
+   * Shows why a room couldn't be loaded, with panels to try it again or go to the home room,
+   * like the error screen on the page, which can't be seen from inside a headset
+   * @param {string} message
+   * @param {Object} choices
+   * @param {Function} choices.onRetry
+   * @param {Function} choices.onHome
+   */
+  showLoadingError(message, { onRetry, onHome }) {
+    this.heading.visible = false;
+    const error = new Text(message, { textColor: '#ff8888', maxWidth: 30 });
+    error.name = 'Loading Error';
+    error.scale.setScalar(0.12);
+    error.position.copy(this.heading.position);
+    this.scene.add(error);
+
+    const viewer = new Vector3(0, EYE_HEIGHT, 0);
+    [['Retry', onRetry], ['Back to Home', onHome]].forEach(([title, onSelect], i) => {
+      const panel = createTextPlane(title, 'white', '#7a2e2e');
+      panel.name = `${title} Panel`;
+      panel.scale.setScalar(PANEL_WIDTH / 2 / panel.width);
+      panel.position.set((i - 0.5) * PANEL_WIDTH * 0.7, EYE_HEIGHT - 0.6, -PANEL_DISTANCE);
+      panel.lookAt(viewer);
+      panel.hover = function () {
+        this.material.color.set(0xffaaaa);
+      };
+      panel.exit = function () {
+        this.material.color.set(0xffffff);
+      };
+      panel.select = () => onSelect();
+      this.scene.add(panel);
+    });
+  }
+}
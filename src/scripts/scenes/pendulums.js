@@ -1,43 +1,45 @@
 import {
-  PointLight,
+  PointLight, Group,
   Vector3, Matrix4, Quaternion,
   MeshBasicMaterial, MeshPhongMaterial
 } from 'three';
 import XrScene from './xr-scene';
-import { navigate } from '../router';
-import { Interactions } from '../interactions';
+import {
+  HoverInteraction, SelectInteraction, DragInteraction, addInteractions, pulseControllers
+} from '../interactions';
+import { HapticPulses } from './controllers';
+import { snapToPoints } from '../constraints';
 import pendulumSceneGlb from '../../assets/pendulum_scene.glb';
-import { XR } from '../xrController';
+import Teleporter from '../controls/teleport';
 
 const selectedMaterial = new MeshBasicMaterial({
   color: '#f5b700'
 });
+// The material each hovered object had before it turned yellow, and how many controllers
+// are pointing at it, so it only turns back once none are
 const savedMaterials = new Map();
 function yellowOnHover(object) {
   return {
-    hover_start() {
-      savedMaterials.set(object, object.material);
-      console.log('Saved material', object.material);
-      object.material = selectedMaterial;
-    },
-    hover_end() {
-      object.material = savedMaterials.get(object);
-      console.log('Restored material', object.material);
-      savedMaterials.delete(object);
-    }
-  };
-}
-function teleportOnSelect() {
-  return {
-    select(intersection) {
-      if (intersection) {
-        const { point } = intersection;
-        console.log('Teleporting to:', point);
-        const offsetMatrix = XR.getOffsetMatrix();
-        point.y = 0;
-        point.multiplyScalar(-1);
-        offsetMatrix.setPosition(point);
-        XR.setOffsetMatrix(offsetMatrix);
+    [HoverInteraction]: {
+      start() {
+        const saved = savedMaterials.get(object);
+        if (saved) {
+          saved.hovers += 1;
+          return;
+        }
+        savedMaterials.set(object, { material: object.material, hovers: 1 });
+        object.material = selectedMaterial;
+      },
+      end() {
+        const saved = savedMaterials.get(object);
+        if (!saved) {
+          return;
+        }
+        saved.hovers -= 1;
+        if (saved.hovers === 0) {
+          object.material = saved.material;
+          savedMaterials.delete(object);
+        }
       }
     }
   };
@@ -72,57 +74,35 @@ function calculateMotion(pendulum_swing, length, gravity) {
 }
 
 const snappingPoints = [];
-function getSnappingObj(objPos) {
-  const THRESHHOLD = 0.7;
-  for (const snappingPoint of snappingPoints) {
-    const snappingPointPos = new Vector3().setFromMatrixPosition(snappingPoint.matrixWorld);
-    const distance = snappingPointPos.distanceTo(objPos);
-    if (distance < THRESHHOLD) {
-      return snappingPoint;
-    }
-  }
-  return null;
-}
-function dragWithSnapping(object) {
+function dragWithSnapping(object, points) {
   return {
-    // For an object to be dragable at least one of drag, drag_start, or
-    // drag_end must exist in the interactions
-    // drag_start() {},
+    // For an object to be dragable it needs a DragInteraction, even an empty one.
     // Drag isn't completely necessary - Only if you want to customize in what
     // ways the object can be manipulated,
-    drag_start: (intersection, pointerMatrix) => {
-      // this.paused = true;
-      // TODO: Stop associated pendulum swing's motion
-      const pointerInverse = new Matrix4().getInverse(pointerMatrix, true);
-      const target = new Matrix4().copy(intersection.object.matrixWorld);
-      const transformMatrix = new Matrix4().multiplyMatrices(pointerInverse, target);
-      return {
-        object: intersection.object,
-        transformMatrix,
-        matrixAutoUpdate: intersection.object.matrixAutoUpdate
-      };
-    },
-    drag(matrix) {
-      // Check if we should snap to any of our snapping points.
-      const snap = getSnappingObj(new Vector3().setFromMatrixPosition(matrix));
-      if (snap) {
-        object.matrix.copy(snap.matrix);
-      } else {
-        // Didn't find anything to snap to
-        object.matrix.copy(matrix);
-      }
-      object.updateMatrixWorld(true);
+    [DragInteraction]: {
+      // Rigs can be turned with both hands, but not tipped over or scaled
+      twoHanded: { rotate: 'y' },
+      // Rigs dropped near a snapping point are put right on it
+      constraints: [snapToPoints(points, {
+        threshold: 0.7,
+        align: true,
+        onSnap: () => pulseControllers(HapticPulses.snap, object)
+      })]
     }
   };
 }
 
 export default class PendulumScene extends XrScene {
+  static assets = [
+    { id: 'pendulum_scene', url: pendulumSceneGlb, type: 'gltf' }
+  ];
+
+  supportsAR = true;
+
   constructor(renderer, camera) {
     super(renderer, camera);
     this.animateFunctions = new Map();
 
-    this.loader.addGltfToQueue(pendulumSceneGlb, 'pendulum_scene');
-
     this.surfaces = {};
     this.currentSurface = 'Earth';
 
@@ -148,11 +128,13 @@ export default class PendulumScene extends XrScene {
     // Add the interactions for the pendulums
     for (const pendulum of ['Pendulum', 'Pendulum_Tall'].map(name => importedScene.getObjectByName(name))) {
       const self = this;
-      pendulum[Interactions] = Object.assign(yellowOnHover(pendulum), dragWithSnapping(pendulum, snappingPoints), {
-        select_start: () => {
-          for (const child of pendulum.children) {
-            if (self.animateFunctions.has(child)) {
-              self.animateFunctions.set(child, calculateMotion(child, child.length, 0));
+      addInteractions(pendulum, yellowOnHover(pendulum), dragWithSnapping(pendulum, snappingPoints), {
+        [SelectInteraction]: {
+          start: () => {
+            for (const child of pendulum.children) {
+              if (self.animateFunctions.has(child)) {
+                self.animateFunctions.set(child, calculateMotion(child, child.length, 0));
+              }
             }
           }
         }
@@ -176,40 +158,43 @@ export default class PendulumScene extends XrScene {
       this.animateFunctions.set(pendulum_swing, calculateMotion(pendulum_swing, pendulum_swing.length, 0));
       
       const self = this;
-      pendulum_swing[Interactions] = Object.assign(yellowOnHover(pendulum_swing), {
-        drag_start(intersection, pointerMatrix) {
-          // this.paused = true;
-          self.animateFunctions.set(pendulum_swing, calculateMotion(pendulum_swing, pendulum_swing.length, 0));
-          const transformMatrix = new Matrix4().makeTranslation(intersection.point.x, intersection.point.y, intersection.point.z);
-          transformMatrix.premultiply(new Matrix4().getInverse(pointerMatrix, true));
-          return {
-            object: intersection.object,
-            transformMatrix,
-            matrixAutoUpdate: intersection.object.matrixAutoUpdate
-          };
-        },
-        drag(matrix) {
-          const target = new Vector3().setFromMatrixPosition(matrix);
-          // Transform the world coordinates of the point into local coordinates so that we know what to use fot he up direction in lookAt.
-          pendulum_swing.updateMatrixWorld();
-          // const origin = new Vector3(0, 0, 0);
-          const origin = new Vector3().setFromMatrixPosition(pendulum_swing.matrixWorld);
-          const transform = new Matrix4().lookAt(origin, target, new Vector3(0, 0, 1));
-
-          const quat = new Quaternion().setFromRotationMatrix(transform);
-          quat.z = 0;
-          quat.w = 0;
-          quat.x *= -1; // Might need to adjust this.
-          quat.normalize();
-          transform.makeRotationFromQuaternion(quat);
-
-          transform.copyPosition(pendulum_swing.matrix);
-          pendulum_swing.matrix.copy(transform);
-          pendulum_swing.updateMatrixWorld(true);
-        },
-        drag_end: () => {
-          this.animateFunctions.set(pendulum_swing, calculateMotion(pendulum_swing, pendulum_swing.length, self.surfaces[self.currentSurface].gravity));
-          // this.paused = false;
+      addInteractions(pendulum_swing, yellowOnHover(pendulum_swing), {
+        [DragInteraction]: {
+          twoHanded: false,
+          start(intersection, pointerMatrix) {
+            // this.paused = true;
+            self.animateFunctions.set(pendulum_swing, calculateMotion(pendulum_swing, pendulum_swing.length, 0));
+            const transformMatrix = new Matrix4().makeTranslation(intersection.point.x, intersection.point.y, intersection.point.z);
+            transformMatrix.premultiply(new Matrix4().getInverse(pointerMatrix, true));
+            return {
+              object: pendulum_swing,
+              transformMatrix,
+              matrixAutoUpdate: pendulum_swing.matrixAutoUpdate
+            };
+          },
+          drag(matrix) {
+            const target = new Vector3().setFromMatrixPosition(matrix);
+            // Transform the world coordinates of the point into local coordinates so that we know what to use fot he up direction in lookAt.
+            pendulum_swing.updateMatrixWorld();
+            // const origin = new Vector3(0, 0, 0);
+            const origin = new Vector3().setFromMatrixPosition(pendulum_swing.matrixWorld);
+            const transform = new Matrix4().lookAt(origin, target, new Vector3(0, 0, 1));
+
+            const quat = new Quaternion().setFromRotationMatrix(transform);
+            quat.z = 0;
+            quat.w = 0;
+            quat.x *= -1; // Might need to adjust this.
+            quat.normalize();
+            transform.makeRotationFromQuaternion(quat);
+
+            transform.copyPosition(pendulum_swing.matrix);
+            pendulum_swing.matrix.copy(transform);
+            pendulum_swing.updateMatrixWorld(true);
+          },
+          end: () => {
+            this.animateFunctions.set(pendulum_swing, calculateMotion(pendulum_swing, pendulum_swing.length, self.surfaces[self.currentSurface].gravity));
+            // this.paused = false;
+          }
         }
       });
       // See above about drag / import
@@ -220,32 +205,36 @@ export default class PendulumScene extends XrScene {
     
     // Interactions for the exit door
     const exitObj = importedScene.getObjectByName('Exit');
-    exitObj[Interactions] = Object.assign(yellowOnHover(exitObj), {
-      /**
-       * NOTE: the format for the parameters to these functions are:
-       * hover({ distance, point, face, faceIndex, uv });
-       */
-      select: () => {
-        this.changeRoom('/home'); // Navigate to the home room
+    addInteractions(exitObj, yellowOnHover(exitObj), {
+      [SelectInteraction]: {
+        /**
+         * NOTE: the format for the parameters to these functions are:
+         * select({ distance, point, face, faceIndex, uv });
+         */
+        select: () => {
+          this.changeRoom('/home'); // Navigate to the home room
+        }
       }
     });
 
     // Interactions for the floor + surfaces (Teleport);
     const floor = importedScene.getObjectByName('Floor');
-    floor[Interactions] = Object.assign(yellowOnHover(floor), teleportOnSelect());
+    addInteractions(floor, yellowOnHover(floor));
+    this.teleporter = new Teleporter(this);
+    this.teleporter.addSurface(floor);
 
     // Interactions for the surfaces
     for (const key in this.surfaces) {
       const surface = this.surfaces[key];
       // Teleport for the floors
-      surface.surface[Interactions] = teleportOnSelect();
+      this.teleporter.addSurface(surface.surface);
 
       // Promises for the icons
       let resolver = null;
       surface.icon.select = () => {
         return new Promise(resolve => resolver = resolve);
       };
-      surface.icon[Interactions] = {
+      surface.icon[SelectInteraction] = {
         select() {
           if (resolver) {
             resolver(key);
@@ -260,7 +249,7 @@ export default class PendulumScene extends XrScene {
     this.quiz.icon.select = () => {
       return new Promise(resolve => quizResolver = resolve);
     }
-    this.quiz.icon[Interactions] = {
+    this.quiz.icon[SelectInteraction] = {
       select() {
         if (quizResolver) {
           quizResolver('quiz');
@@ -268,9 +257,21 @@ export default class PendulumScene extends XrScene {
         }
       }
     }
+
+    // Below the surface icons, facing the table
+    const resetButton = this.addResetButton(2.5);
+    resetButton.position.set(-8, -2.2, 0);
+    resetButton.rotation.y = Math.PI / 2;
   }
 
   loadScene(importedScene) {
+    // Group the table, pendulums and their snapping points so the rig can be placed on a table in AR
+    this.rig = new Group();
+    this.rig.name = 'Pendulum_Rig';
+    for (const name of ['Table', 'Pendulum', 'Pendulum_Tall', 'Snap_Point_1', 'Snap_Point_2']) {
+      this.rig.add(importedScene.getObjectByName(name));
+    }
+    importedScene.add(this.rig);
 
     // Upgrade light placeholders into full fledged lights
     for (let i = 1, placeholder = importedScene.getObjectByName(`Light_${i}`); placeholder; placeholder = importedScene.getObjectByName(`Light_${++i}`)) {
@@ -356,12 +357,15 @@ export default class PendulumScene extends XrScene {
       return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    // Main loop:
-    while (true) {
+    // Main loop, until the scene is navigated away from:
+    while (!this.disposed) {
       // Check for an icon click
       const selects = Object.values(this.surfaces).map(surface => surface.icon.select());
       selects.push(this.quiz.icon.select());
-      const planet = await Promise.race(selects);
+      const planet = await Promise.race([...selects, this.whenDisposed]);
+      if (this.disposed) {
+        return;
+      }
       if (planet == 'quiz') {
         // Start the quiz
 
@@ -376,7 +380,13 @@ export default class PendulumScene extends XrScene {
         this.loadSurface(chosenPlanet, false);
 
         // Listen for clicks on the planet icons...
-        const guessedPlanet = await Promise.race(Object.values(this.surfaces).map(surface => surface.icon.select()));
+        const guessedPlanet = await Promise.race([
+          ...Object.values(this.surfaces).map(surface => surface.icon.select()),
+          this.whenDisposed
+        ]);
+        if (this.disposed) {
+          return;
+        }
 
 
         // Denote the one that they chose and the correct one...
@@ -387,18 +397,43 @@ export default class PendulumScene extends XrScene {
         this.quiz.covering.parent.remove(this.quiz.covering);
 
         // Wait for a second or two so that they can know what they chose...
-        await delay(1500);
+        await Promise.race([delay(1500), this.whenDisposed]);
+        if (this.disposed) {
+          return;
+        }
 
         // Restore the matrials on the icons...
         this.loadSurface(chosenPlanet);
+        this.stateChanged();
 
         // Go back to the beginning and wait again...
       } else {
         this.loadSurface(planet);
+        this.stateChanged();
       }
     }
   }
 
+  getTabletopRoot() {
+    return this.rig;
+  }
+
+  serializeState() {
+    return this.currentSurface === 'Earth' ? {} : { surface: this.currentSurface };
+  }
+
+  restoreState({ surface }) {
+    if (Object.keys(this.surfaces).includes(surface)) {
+      this.loadSurface(surface);
+    }
+  }
+
+  dispose() {
+    // The snapping points belong to this visit's copy of the scene
+    snappingPoints.length = 0;
+    super.dispose();
+  }
+
   animate(delta) {
     if (!this.paused) {
       for (const func of this.animateFunctions.values()) {
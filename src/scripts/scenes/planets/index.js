@@ -8,6 +8,7 @@ import {
   DoubleSide,
   Spherical,
   Object3D,
+  Group,
   Vector3,
   SphereBufferGeometry,
   BackSide,
@@ -25,7 +26,9 @@ import {
 } from './create';
 import planetData from './planets';
 import ringTextureUrl from '../../../assets/planets/saturnRings.jpg';
+import compressedRingTextureUrl from '../../../assets/planets/saturnRings.ktx2';
 import starsTextureUrl from '../../../assets/planets/stars.jpg';
+import compressedStarsTextureUrl from '../../../assets/planets/stars.ktx2';
 import { createTextPlane } from './text';
 import TWEEN from '@tweenjs/tween.js';
 import { XR } from '../../xrController';
@@ -35,11 +38,31 @@ const EARTH_YEAR_SECONDS = 120;
 const TWEEN_SECONDS = 5;
 
 export default class PlanetsScene extends XrScene {
+  static assets = [
+    ...Object.keys(planetData).map(planet => ({
+      id: planet,
+      url: planetData[planet].compressedTexture,
+      type: 'texture',
+      options: { fallback: planetData[planet].texture }
+    })),
+    {
+      id: 'rings-texture', url: compressedRingTextureUrl, type: 'texture', options: { fallback: ringTextureUrl }
+    },
+    {
+      id: 'stars-texture', url: compressedStarsTextureUrl, type: 'texture', options: { fallback: starsTextureUrl }
+    }
+  ];
+
   currentPlanet = planetData.Sun;
   cameraPoint = new Object3D();
   isXr = false;
   buttonsEnabled = true;
 
+  supportsAR = true;
+
+  // Holds the planets so the solar system can be placed on a table in AR
+  system = new Group();
+
   /**
    *
    * @param {THREE.Renderer} renderer
@@ -50,12 +73,6 @@ export default class PlanetsScene extends XrScene {
 
     updateCamera({ far: 10000 });
 
-    Object.keys(planetData).forEach(planet =>
-      this.loader.addTextureToQueue(planetData[planet].texture, planet)
-    );
-
-    this.loader.addTextureToQueue(ringTextureUrl, 'rings-texture');
-    this.loader.addTextureToQueue(starsTextureUrl, 'stars-texture');
     this.addLighting();
   }
 
@@ -78,6 +95,11 @@ export default class PlanetsScene extends XrScene {
     const sunExit = sun.getObjectByName(exitPointName('Sun'));
     sunExit.add(this.exitButton);
 
+    // Next to the exit button, which it moves with
+    const resetButton = this.addResetButton(6);
+    resetButton.position.set(8, 0, 0);
+    this.exitButton.add(resetButton);
+
     const sunCamera = sun.getObjectByName(cameraPointName('Sun'));
 
     if (this.controls) {
@@ -134,7 +156,8 @@ export default class PlanetsScene extends XrScene {
     super.onAssetsLoaded(cache);
 
     this.planets = createPlanets(planetData, cache);
-    this.planets.forEach(p => this.scene.add(p));
+    this.planets.forEach(p => this.system.add(p));
+    this.scene.add(this.system);
 
     this.addPlanetRings(cache);
     this.addSunLight();
@@ -252,6 +275,7 @@ export default class PlanetsScene extends XrScene {
 
     // update currentPlanet with next planet's data
     this.currentPlanet = planetData[nextPlanetName];
+    this.stateChanged();
   }
 
   startTween(nextIndex) {
@@ -288,7 +312,7 @@ export default class PlanetsScene extends XrScene {
       z: this.cameraPoint.position.z
     };
 
-    new TWEEN.Tween(from)
+    this.tween = new TWEEN.Tween(from)
       .to(coords, TWEEN_SECONDS * 1000)
       .easing(TWEEN.Easing.Quadratic.InOut)
       .onUpdate(a => {
@@ -326,6 +350,32 @@ export default class PlanetsScene extends XrScene {
     XR.setOffsetMatrix(offsetMatrix);
   }
 
+  getTabletopRoot() {
+    return this.planets ? this.system : null;
+  }
+
+  serializeState() {
+    return this.currentPlanet === planetData.Sun ? {} : { focus: this.currentPlanet.name };
+  }
+
+  restoreState({ focus = '' }) {
+    const index = this.planets.findIndex(p => p.name.toLowerCase() === focus.toLowerCase());
+    const currentIndex = this.planets.findIndex(p => p.name === this.currentPlanet.name);
+    if (index !== -1 && index !== currentIndex) {
+      this.movePlanets(index - currentIndex);
+      // Go straight there instead of flying
+      this.tween.end();
+    }
+  }
+
+  dispose() {
+    // TWEEN is shared by every scene, so only stop this scene's flight between planets
+    if (this.tween) {
+      this.tween.stop();
+    }
+    super.dispose();
+  }
+
   /**
    * animation function - called each frame
    *
@@ -334,7 +384,8 @@ export default class PlanetsScene extends XrScene {
   animate(deltaSeconds) {
     TWEEN.update();
 
-    if (this.isXr) {
+    // In AR the solar system sits on a table, so the user shouldn't be moved around
+    if (this.isXr && !this.tabletop) {
       this.updateXrCamera();
     }
 
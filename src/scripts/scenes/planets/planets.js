@@ -4,10 +4,30 @@
 // credit to JHT's Planetary Pixel Emporium for planet textures
 // http://planetpixelemporium.com/planets.html
 
+import sunMap from '../../../assets/planets/sunmap.jpg';
+import sunMapKtx2 from '../../../assets/planets/sunmap.ktx2';
+import mercuryMap from '../../../assets/planets/mercurymap.jpg';
+import mercuryMapKtx2 from '../../../assets/planets/mercurymap.ktx2';
+import venusMap from '../../../assets/planets/venusmap.jpg';
+import venusMapKtx2 from '../../../assets/planets/venusmap.ktx2';
+import earthMap from '../../../assets/planets/earthmap.jpg';
+import earthMapKtx2 from '../../../assets/planets/earthmap.ktx2';
+import marsMap from '../../../assets/planets/marsmap.jpg';
+import marsMapKtx2 from '../../../assets/planets/marsmap.ktx2';
+import jupiterMap from '../../../assets/planets/jupitermap.jpg';
+import jupiterMapKtx2 from '../../../assets/planets/jupitermap.ktx2';
+import saturnMap from '../../../assets/planets/saturnmap.jpg';
+import saturnMapKtx2 from '../../../assets/planets/saturnmap.ktx2';
+import uranusMap from '../../../assets/planets/uranusmap.jpg';
+import uranusMapKtx2 from '../../../assets/planets/uranusmap.ktx2';
+import neptuneMap from '../../../assets/planets/neptunemap.jpg';
+import neptuneMapKtx2 from '../../../assets/planets/neptunemap.ktx2';
+
 export default {
   Sun: {
     name: "Sun",
-    texture: require('../../../assets/planets/sunmap.jpg'),
+    texture: sunMap,
+    compressedTexture: sunMapKtx2,
     realRadius: 695700,
     gravity: 274.0,
     mass: 1988500e24,
@@ -17,7 +37,8 @@ export default {
   },
   Mercury: {
     name: "Mercury",
-    texture: require('../../../assets/planets/mercurymap.jpg'),
+    texture: mercuryMap,
+    compressedTexture: mercuryMapKtx2,
     realRadius: 2440,
     gravity: 3.701,
     mass: 3.302e23,
@@ -27,7 +48,8 @@ export default {
   },
   Venus: {
     name: "Venus",
-    texture: require('../../../assets/planets/venusmap.jpg'),
+    texture: venusMap,
+    compressedTexture: venusMapKtx2,
     realRadius: 6051.84,
     gravity: 8.87,
     mass: 48.685e23,
@@ -37,7 +59,8 @@ export default {
   },
   Earth: {
     name: "Earth",
-    texture: require('../../../assets/planets/earthmap.jpg'),
+    texture: earthMap,
+    compressedTexture: earthMapKtx2,
     realRadius: 6371.01,
     gravity: 9.81,
     mass: 5.97219e24,
@@ -47,7 +70,8 @@ export default {
   },
   Mars: {
     name: "Mars",
-    texture: require('../../../assets/planets/marsmap.jpg'),
+    texture: marsMap,
+    compressedTexture: marsMapKtx2,
     realRadius: 3389.92,
     gravity: 3.71,
     mass: 6.4171e23,
@@ -57,7 +81,8 @@ export default {
   },
   Jupiter: {
     name: "Jupiter",
-    texture: require('../../../assets/planets/jupitermap.jpg'),
+    texture: jupiterMap,
+    compressedTexture: jupiterMapKtx2,
     realRadius: 71492,
     gravity: 24.79,
     mass: 1898.13e24,
@@ -67,7 +92,8 @@ export default {
   },
   Saturn: {
     name: "Saturn",
-    texture: require('../../../assets/planets/saturnmap.jpg'),
+    texture: saturnMap,
+    compressedTexture: saturnMapKtx2,
     realRadius: 60268,
     gravity: 10.44,
     mass: 5.6834e26,
@@ -77,7 +103,8 @@ export default {
   },
   Uranus: {
     name: "Uranus",
-    texture: require('../../../assets/planets/uranusmap.jpg'),
+    texture: uranusMap,
+    compressedTexture: uranusMapKtx2,
     realRadius: 25559,
     gravity: 8.87,
     mass: 86.813e24,
@@ -87,7 +114,8 @@ export default {
   },
   Neptune: {
     name: "Neptune",
-    texture: require('../../../assets/planets/neptunemap.jpg'),
+    texture: neptuneMap,
+    compressedTexture: neptuneMapKtx2,
     realRadius: 24766,
     gravity: 11.15,
     mass: 102.413e24,
@@ -0,0 +1,57 @@
+/**
+ * Keeps track of every room that can be navigated to.
+ * Rooms register a loader instead of their class so that their code and assets
+ * are only fetched the first time someone goes into them.
+ */
+const entries = new Map();
+
+/**
+ * Adds a room to the registry
+ * @param {Object} entry
+ * @param {String} entry.path url path of the room, e.g. '/planets'
+ * @param {String} entry.title name shown in the welcome page's links
+ * @param {String} entry.label short name shown on the room's door, defaults to the title
+ * @param {String} entry.description shown after the room's link on the welcome page
+ * @param {String} entry.thumbnail url of an image shown next to the room's link
+ * @param {Function} entry.load returns a promise for the room's module, e.g. () => import('./planets')
+ * @param {Boolean} entry.door whether the room gets a door in the home room, defaults to true
+ */
+export function registerScene({
+  path, title, label = title, description = '', thumbnail = null, load, door = true
+}) {
+  entries.set(path, {
+    path, title, label, description, thumbnail, load, door, module: null
+  });
+}
+
+/**
+ * @param {String} path
+ * @returns {Object} the registered entry, or undefined if no room has that path
+ */
+export function getSceneEntry(path) {
+  return entries.get(path);
+}
+
+/**
+ * @returns {Object[]} every registered entry, in the order they were registered
+ */
+export function getSceneEntries() {
+  return [...entries.values()];
+}
+
+/**
+ * Fetches a room's code the first time it's needed
+ * @param {String} path
+ * @returns {Promise<Function>} the room's XrScene subclass
+ */
+export function loadSceneClass(path) {
+  const entry = entries.get(path);
+  if (!entry.module) {
+    entry.module = entry.load().catch((err) => {
+      // Let the next navigation try again
+      entry.module = null;
+      throw err;
+    });
+  }
+  return entry.module.then(module => module.default);
+}
@@ -0,0 +1,158 @@
+import {
+  Box3,
+  Vector3,
+  Matrix4,
+  Mesh,
+  RingBufferGeometry,
+  MeshBasicMaterial
+} from 'three';
+import { XR } from '../../xrController';
+import { bindControllers, unbindControllers } from '../../interactions';
+
+// How wide (in meters) a scene's tabletop object should be once it is placed in AR
+const TABLETOP_SIZE = 0.6;
+
+/**
+ * Creates a ring that shows where the scene will be placed
+ */
+function createReticle() {
+  const geometry = new RingBufferGeometry(0.08, 0.1, 32);
+  geometry.rotateX(-Math.PI / 2);
+  const reticle = new Mesh(geometry, new MeshBasicMaterial({ color: 'white' }));
+  reticle.matrixAutoUpdate = false;
+  reticle.visible = false;
+  reticle.raycast = () => []; // Disable raycast intersections
+  return reticle;
+}
+
+/**
+ * The purpose of this class is to show a scene's tabletop object
+ * on a real surface while in an immersive-ar session.
+ *
+ * The scene graph is left alone: everything except the tabletop object is hidden,
+ * and XR.scale and the origin offset are used to shrink the scene and move it
+ * onto the surface the user picks with the hit-test reticle.
+ */
+export default class Tabletop {
+  placed = false;
+
+  hiddenObjects = [];
+
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.Object3D} root the object to place on the table
+   */
+  constructor(scene, root) {
+    this.scene = scene;
+    this.root = root;
+
+    // Fit the tabletop object to TABLETOP_SIZE and place it by the center of its base
+    const box = new Box3().setFromObject(root);
+    const size = box.getSize(new Vector3());
+    this.scale = Math.max(size.x, size.z) / TABLETOP_SIZE;
+    this.base = new Vector3(
+      (box.min.x + box.max.x) / 2,
+      box.min.y,
+      (box.min.z + box.max.z) / 2
+    );
+
+    this.savedOffset = XR.getOffsetMatrix();
+    this.savedBackground = scene.background;
+    this.rootWasVisible = root.visible;
+
+    // Let the camera feed show through instead of the scene's surroundings
+    scene.background = null;
+    unbindControllers();
+    this._hideSurroundings();
+    bindControllers(scene);
+
+    // Hide the tabletop object until it has been placed
+    root.visible = false;
+
+    this.reticle = createReticle();
+    scene.add(this.reticle);
+
+    XR.scale = this.scale;
+    XR.setOffsetMatrix(new Matrix4());
+  }
+
+  /**
+   * Hides every object that isn't part of the tabletop object, except lights
+   */
+  _hideSurroundings() {
+    let object = this.root;
+    while (object.parent) {
+      for (const sibling of object.parent.children) {
+        if (sibling !== object && sibling.visible && !sibling.isLight) {
+          sibling.visible = false;
+          this.hiddenObjects.push(sibling);
+        }
+      }
+      object = object.parent;
+    }
+  }
+
+  /**
+   * Called every frame before the scene is placed. Moves the reticle to the surface
+   * the user is looking at.
+   * @param {XRFrame} xrFrame
+   */
+  update(xrFrame) {
+    if (this.placed || !XR.hitTestSource) {
+      return;
+    }
+
+    const results = xrFrame.getHitTestResults(XR.hitTestSource);
+    const pose = results.length ? results[0].getPose(XR.refSpace) : null;
+    if (pose) {
+      this.reticle.matrix.copy(XR.getPoseMatrix(pose.transform));
+      this.reticle.updateMatrixWorld(true);
+      this.hitPosition = new Vector3().setFromMatrixPosition(
+        new Matrix4().fromArray(results[0].getPose(XR.baseRefSpace).transform.matrix)
+      );
+      this.reticle.visible = true;
+    } else {
+      this.reticle.visible = false;
+    }
+  }
+
+  /**
+   * Anchors the tabletop object where the reticle is.
+   * @returns {Boolean} false if there is no surface to place it on yet
+   */
+  place() {
+    if (this.placed || !this.reticle.visible) {
+      return false;
+    }
+
+    // Move the origin so the base of the tabletop object ends up on the hit position
+    const origin = this.base.clone()
+      .multiplyScalar(-1 / this.scale)
+      .add(this.hitPosition);
+    XR.setOffsetMatrix(new Matrix4().makeTranslation(origin.x, origin.y, origin.z));
+
+    this.root.visible = this.rootWasVisible;
+    this.reticle.visible = false;
+    this.placed = true;
+    return true;
+  }
+
+  /**
+   * Restores the scene to how it was before entering AR
+   */
+  dispose() {
+    for (const object of this.hiddenObjects) {
+      object.visible = true;
+    }
+    this.hiddenObjects = [];
+    this.root.visible = this.rootWasVisible;
+    this.scene.background = this.savedBackground;
+
+    this.scene.remove(this.reticle);
+    this.reticle.geometry.dispose();
+    this.reticle.material.dispose();
+
+    XR.scale = 1;
+    XR.setOffsetMatrix(this.savedOffset);
+  }
+}
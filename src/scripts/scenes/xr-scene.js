@@ -6,6 +6,7 @@ import { World } from 'cannon';
 import { XR } from '../xrController';
 import { canvas } from '../renderer/canvas';
 import { updateTouchPosition } from '../controls/touch-controls';
+import { updateLocomotion, getPlayAreaMatrix, setPlayAreaMatrix } from '../controls/locomotion';
 import {
   keyboard,
   controls,
@@ -14,10 +15,28 @@ import {
 import { Loader } from '../loader';
 
 import { loadControllerMeshes } from './controllers';
+import Tabletop from './tabletop';
 
-import { handleInteractions } from '../interactions';
+import { handleInteractions, unbindControllers } from '../interactions';
+import { disposeObject, disposeAsset } from '../dispose';
+import { renderTransition } from '../transition';
+import { createTextPlane } from './planets/text';
 
 export default class XrScene {
+  /**
+   * The assets the scene needs, which are loaded before onAssetsLoaded() is called with them.
+   * Override this with entries like `{ id: 'door', url: doorGlb, type: 'gltf' }`,
+   * see Loader.addManifest() for the types and options. The router can start loading
+   * these before the scene is created.
+   */
+  static assets = [];
+
+  /**
+   * Increment this whenever what serializeState() returns changes shape, so states saved
+   * by the previous version are passed through migrateState() before being restored
+   */
+  static stateVersion = 1;
+
   scene = new Scene();
 
   world = new World();
@@ -34,12 +53,22 @@ export default class XrScene {
 
   isActive = true;
 
-  frame = null;
+  disposed = false;
 
-  state = {};
+  frame = null;
 
   eventListeners = [];
 
+  // Override this in scenes that can be placed on a table in AR, along with getTabletopRoot()
+  supportsAR = false;
+
+  tabletop = null;
+
+  // Resolves once the scene has been disposed, so async loops can race against it and stop
+  whenDisposed = new Promise((resolve) => {
+    this._resolveDisposed = resolve;
+  });
+
   /**
    * Initialize the scene. Sets this.scene, this.renderer, and this.camera for you.
    *
@@ -64,6 +93,7 @@ export default class XrScene {
 
     this.pause = false;
 
+    this.loader.addManifest(this.constructor.assets);
     this.loader.depend(loadControllerMeshes());
     this.scene.add(this.triggers);
 
@@ -138,6 +168,84 @@ export default class XrScene {
     return assetCache;
   }
 
+  /**
+   * Override this in scenes that can be shared in a particular configuration, along with
+   * restoreState(). The router puts what this returns in the url's query string, so that
+   * `{ surface: 'Mars' }` opens the same room with /pendulums?surface=Mars.
+   * It's also saved in localStorage, so the room is the way it was left after a reload.
+   * Leave out anything that is the same as when the scene starts, to keep links short.
+   * @returns {Object<string, string>}
+   */
+  serializeState() {
+    return {};
+  }
+
+  /**
+   * Override this to put the scene back in the configuration serializeState() described.
+   * It's called once the assets have loaded, with values that come from a url,
+   * so anything that isn't valid should be ignored.
+   * @param {Object<string, string>} state
+   */
+  restoreState(state) {
+    return state;
+  }
+
+  /**
+   * Override this to upgrade a state saved by an older stateVersion of the scene.
+   * By default states from other versions are thrown away and the room starts fresh.
+   * @param {Object<string, string>} state
+   * @param {number} version the stateVersion it was saved with
+   * @returns {Object<string, string>} the state for restoreState(), or null to ignore it
+   */
+  static migrateState(state, version) {
+    return version === this.stateVersion ? state : null;
+  }
+
+  /**
+   * Call this whenever what serializeState() returns changes, so the url and the saved
+   * state are kept up to date
+   */
+  stateChanged() {
+    window.dispatchEvent(new CustomEvent('sceneStateChange', { detail: { scene: this } }));
+  }
+
+  /**
+   * Puts the room back the way it is on a first visit, and forgets what was saved for it
+   */
+  resetRoom() {
+    window.dispatchEvent(new CustomEvent('resetRoom', { detail: { scene: this } }));
+  }
+
+  /**
+   * Adds a "Reset this room" button, for rooms with a state to reset
+   * @param {number} width how wide the button is
+   * @returns {TriggerMesh} for the room to put where it can be seen
+   */
+  addResetButton(width) {
+    const button = createTextPlane('Reset this room', 'white', 'darkred');
+    button.name = 'Reset Room Button';
+    button.scale.setScalar(width / button.width);
+    button.hover = function () {
+      this.material.color.set(0xffaaaa);
+    };
+    button.exit = function () {
+      this.material.color.set(0xffffff);
+    };
+    button.select = () => this.resetRoom();
+    this.triggers.add(button);
+    return button;
+  }
+
+  /**
+   * Override this in scenes that support AR.
+   * Returns the compact object that gets placed on a real surface in AR,
+   * everything else in the scene is hidden.
+   * @returns {THREE.Object3D}
+   */
+  getTabletopRoot() {
+    return null;
+  }
+
   /**
    * Override this to handle animating objects in your scene.
    * @param {number} delta time since last scene update
@@ -206,10 +314,14 @@ export default class XrScene {
       }
 
       if (!XR.session) {
+        // Mouse and other virtual input sources still need their interactions
+        handleInteractions(timestamp, null);
+
         this.renderer.context.viewport(0, 0, canvas.width, canvas.height);
         this.renderer.autoClear = true;
         this.scene.matrixAutoUpdate = true;
         this.renderer.render(this.scene, this.camera);
+        renderTransition(this.camera);
         this.frame = requestAnimationFrame(this._animationCallback);
         return this.frame;
       }
@@ -219,7 +331,9 @@ export default class XrScene {
         return this.frame;
       }
 
-      const immersive = (XR.session.mode === 'immersive-vr');
+      const immersive = XR.isImmersive();
+
+      this._updateTabletop(xrFrame);
 
       // Get the correct reference space for the session.
       let pose;
@@ -235,6 +349,8 @@ export default class XrScene {
       if (pose) {
         this.scene.matrixAutoUpdate = false;
         this.renderer.autoClear = false;
+        // Leave the background transparent in AR so the real world shows through
+        this.renderer.setClearAlpha(this.tabletop ? 0 : 1);
         this.renderer.clear();
 
         // Update render state near and far
@@ -254,6 +370,8 @@ export default class XrScene {
           XR.session.renderState.baseLayer.framebuffer
         );
 
+        // Walk and turn with the thumbsticks before anything's pointed at from the new place
+        updateLocomotion(xrFrame, delta);
         handleInteractions(timestamp, xrFrame);
 
         for (let i = 0; i < pose.views.length; i++) {
@@ -273,14 +391,17 @@ export default class XrScene {
             updateTouchPosition(viewMatrix);
           }
 
-          // Bound position
-          this._clampInBounds();
+          // Bound position, unless the scene is sitting on a table in AR
+          if (!this.tabletop) {
+            this._clampInBounds();
+          }
 
           this.camera.matrixAutoUpdate = false;
-          this.camera.matrix.fromArray(view.transform.matrix);
+          this.camera.matrix.copy(XR.getPoseMatrix(view.transform));
           this.camera.matrixWorldNeedsUpdate = true;
           this.camera.projectionMatrix.fromArray(view.projectionMatrix);
           this.renderer.render(this.scene, this.camera);
+          renderTransition(this.camera);
           this.renderer.clearDepth();
         }
         this.frame = XR.session.requestAnimationFrame(this._animationCallback);
@@ -291,14 +412,52 @@ export default class XrScene {
     return this.frame;
   };
 
+  /**
+   * Sets up or tears down the AR tabletop as the session changes,
+   * and keeps the placement reticle on the surface the user is looking at.
+   * @param {XRFrame} xrFrame
+   */
+  _updateTabletop(xrFrame) {
+    const ar = (XR.mode === 'immersive-ar');
+    if (ar && !this.tabletop) {
+      if (!this.supportsAR) {
+        console.log('This scene can\'t be shown in AR, ending the session.');
+        XR.session.end();
+        return;
+      }
+      // The tabletop object might not exist until the scene's assets have loaded
+      const root = this.getTabletopRoot();
+      if (root) {
+        this.tabletop = new Tabletop(this.scene, root);
+        this._addEventListener(XR.session, 'select', this._onARSelect);
+      }
+    } else if (!ar && this.tabletop) {
+      this.tabletop.dispose();
+      this.tabletop = null;
+    }
+
+    if (this.tabletop) {
+      this.tabletop.update(xrFrame);
+    }
+  }
+
+  /**
+   * The first select in AR places the scene where the reticle is
+   */
+  _onARSelect = () => {
+    if (this.tabletop && !this.tabletop.placed) {
+      this.tabletop.place();
+    }
+  };
+
   /**
    * Uses a set of THREE Box3's to clamp the user's position within them.
    * If user is out of bounds, checks for the closest bounding box and clamps
-   * their position to it. Updates the OffsetMatrix.
+   * their position to it. Updates the OffsetMatrix, through the play area.
    */
   _clampInBounds() {
-    const offsetMatrix = XR.getOffsetMatrix();
-    const position = new Vector3().setFromMatrixPosition(offsetMatrix);
+    const playArea = getPlayAreaMatrix();
+    const position = new Vector3().setFromMatrixPosition(playArea);
 
     let inBounds = false;
 
@@ -328,8 +487,8 @@ export default class XrScene {
     if (!inBounds && boundData.bound) {
       const clampedPos = new Vector3();
       boundData.bound.clampPoint(position, clampedPos);
-      offsetMatrix.setPosition(clampedPos);
-      XR.setOffsetMatrix(offsetMatrix);
+      playArea.setPosition(clampedPos);
+      setPlayAreaMatrix(playArea);
     }
   }
 
@@ -374,6 +533,16 @@ export default class XrScene {
     window.dispatchEvent(event);
   }
 
+  /**
+   * Asks the router to start loading a room in the background, see prefetchScene().
+   * Whoever starts pointing at a way into a room is likely to go there next, so this is
+   * worth calling when they start, but not on every frame they keep pointing.
+   * @param {String} path
+   */
+  prefetchRoom(path) {
+    window.dispatchEvent(new CustomEvent('prefetchRoom', { detail: { path } }));
+  }
+
   /**
    * Removes all event listeners associated with this room
    */
@@ -385,5 +554,59 @@ export default class XrScene {
         eventListener.listener
       );
     }
+    this.eventListeners = [];
+  }
+
+  /**
+   * Called when the scene is navigated away from. Stops the animation loop, frees the
+   * GPU resources of everything in the scene and tears down the physics world.
+   * Override this to stop anything else the scene started (tweens, loops, timers)
+   * and call super.dispose().
+   */
+  dispose() {
+    if (this.disposed) {
+      return;
+    }
+    this.isActive = false;
+    this.disposed = true;
+    this._resolveDisposed();
+
+    this.removeEventListeners();
+    if (this.frame) {
+      window.cancelAnimationFrame(this.frame);
+      if (XR.session) {
+        XR.session.cancelAnimationFrame(this.frame);
+      }
+      this.frame = null;
+    }
+
+    if (this.tabletop) {
+      this.tabletop.dispose();
+      this.tabletop = null;
+    }
+
+    // The XR controllers and keyboard controls are shared by every scene, so leave them alone
+    unbindControllers();
+    if (controls) {
+      this.scene.remove(controls.getObject());
+    }
+    this._removeAllControllers();
+
+    // Only what the scene owns is freed: its copies of the loaded assets share geometries and
+    // textures with the asset cache, which frees them once no scene uses them
+    this.scene.traverse(object => disposeObject(object));
+    if (this.scene.background && this.scene.background.isTexture) {
+      disposeAsset(this.scene.background);
+    }
+    Object.values(this.loader.cache).forEach(asset => disposeAsset(asset));
+    this.loader.cache = {};
+    this.loader.release();
+
+    for (const constraint of [...this.world.constraints]) {
+      this.world.removeConstraint(constraint);
+    }
+    for (const body of [...this.world.bodies]) {
+      this.world.remove(body);
+    }
   }
 }
@@ -0,0 +1,58 @@
+/* eslint-env serviceworker */
+/* eslint-disable no-restricted-globals */
+import { OFFLINE_CACHE } from './offlineCache';
+
+/**
+ * Serves the app and its assets from Cache Storage so that it keeps working when the
+ * network drops out. The page decides what gets saved ahead of time (see offline.js),
+ * and anything else fetched from this origin is saved the first time it's used.
+ */
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(OFFLINE_CACHE)
+      .then(cache => cache.add('/'))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== OFFLINE_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+function saveResponse(request, response) {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(OFFLINE_CACHE).then(cache => cache.put(request, copy));
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    // Every room is served by index.html, so keep its latest copy for when the network is down
+    event.respondWith(
+      fetch(request)
+        .then(response => saveResponse('/', response))
+        .catch(() => caches.match('/'))
+    );
+    return;
+  }
+
+  // Bundled files have a hash in their name, so a cached copy is never out of date
+  event.respondWith(
+    caches.match(request)
+      .then(cached => cached || fetch(request).then(response => saveResponse(request, response)))
+  );
+});
@@ -0,0 +1,6 @@
+/**
+ * Text for rooms, drawn on planes that can be placed and pointed at like any other mesh.
+ * See Text for wrapping, alignment and sharp text in VR.
+ */
+export { default as Text } from './text';
+export { default as wrapText } from './wrap';
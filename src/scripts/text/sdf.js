@@ -0,0 +1,163 @@
+import { ShaderMaterial, Color, DoubleSide } from 'three';
+
+// Stands in for a distance that's too far to matter
+const FAR = 1e20;
+
+/**
+ * Squared distances along one row or column of the grid, in place, with the algorithm from
+ * "Distance Transforms of Sampled Functions" by Felzenszwalb and Huttenlocher
+ * @param {Float64Array} grid squared distances to begin with
+ * @param {number} offset the index of the first cell
+ * @param {number} stride from one cell to the next
+ * @param {number} length how many cells there are
+ * @param {Object} scratch arrays long enough for the longest row or column
+ */
+function transformLine(grid, offset, stride, length, { f, v, z }) {
+  for (let q = 0; q < length; q += 1) {
+    f[q] = grid[offset + q * stride];
+  }
+
+  // The lower envelope of the parabolas rooted at each cell
+  let k = 0;
+  v[0] = 0;
+  z[0] = -FAR;
+  z[1] = FAR;
+  for (let q = 1; q < length; q += 1) {
+    let s;
+    for (;;) {
+      const r = v[k];
+      s = (f[q] - f[r] + q * q - r * r) / (q - r) / 2;
+      if (s > z[k] || k === 0) {
+        break;
+      }
+      k -= 1;
+    }
+    k += 1;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = FAR;
+  }
+
+  k = 0;
+  for (let q = 0; q < length; q += 1) {
+    while (z[k + 1] < q) {
+      k += 1;
+    }
+    const r = v[k];
+    grid[offset + q * stride] = f[r] + (q - r) * (q - r);
+  }
+}
+
+/**
+ * Squared distances to the nearest zero cell of the grid, in place
+ * @param {Float64Array} grid
+ * @param {number} width
+ * @param {number} height
+ */
+function transform(grid, width, height) {
+  const size = Math.max(width, height);
+  const scratch = {
+    f: new Float64Array(size),
+    v: new Uint32Array(size),
+    z: new Float64Array(size + 1)
+  };
+  for (let x = 0; x < width; x += 1) {
+    transformLine(grid, x, width, height, scratch);
+  }
+  for (let y = 0; y < height; y += 1) {
+    transformLine(grid, y * width, 1, width, scratch);
+  }
+}
+
+/**
+ * Replaces what's drawn on a canvas with a signed distance field of it. Each pixel's alpha
+ * becomes how far it is from the edge of the shapes, 0.5 right on the edge, more inside and
+ * less outside, reaching 0 and 1 at `radius` pixels away. The colour is made white.
+ * @param {CanvasRenderingContext2D} context
+ * @param {number} width of the part of the canvas to change
+ * @param {number} height of the part of the canvas to change
+ * @param {number} radius in pixels
+ */
+export function drawSignedDistances(context, width, height, radius) {
+  const image = context.getImageData(0, 0, width, height);
+  const { data } = image;
+  const outside = new Float64Array(width * height);
+  const inside = new Float64Array(width * height);
+
+  for (let i = 0; i < width * height; i += 1) {
+    const alpha = data[i * 4 + 3] / 255;
+    // Antialiased pixels are partly covered, so the edge is somewhere inside them
+    if (alpha === 1) {
+      outside[i] = 0;
+      inside[i] = FAR;
+    } else if (alpha === 0) {
+      outside[i] = FAR;
+      inside[i] = 0;
+    } else {
+      outside[i] = Math.max(0, 0.5 - alpha) ** 2;
+      inside[i] = Math.max(0, alpha - 0.5) ** 2;
+    }
+  }
+  transform(outside, width, height);
+  transform(inside, width, height);
+
+  for (let i = 0; i < width * height; i += 1) {
+    const distance = Math.sqrt(outside[i]) - Math.sqrt(inside[i]);
+    data[i * 4] = 255;
+    data[i * 4 + 1] = 255;
+    data[i * 4 + 2] = 255;
+    data[i * 4 + 3] = Math.round(255 * Math.min(Math.max(0.5 - distance / (radius * 2), 0), 1));
+  }
+  context.putImageData(image, 0, 0);
+}
+
+const vertexShader = `
+varying vec2 vUv;
+
+void main() {
+  vUv = uv;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const fragmentShader = `
+uniform sampler2D map;
+uniform vec3 textColor;
+uniform vec3 backgroundColor;
+uniform float backgroundOpacity;
+uniform float opacity;
+varying vec2 vUv;
+
+void main() {
+  float distance = texture2D(map, vUv).a;
+  // As sharp as a pixel on screen, however near or far the text is
+  float smoothing = fwidth(distance) * 0.75;
+  float coverage = smoothstep(0.5 - smoothing, 0.5 + smoothing, distance);
+  float alpha = mix(backgroundOpacity, 1.0, coverage);
+  gl_FragColor = vec4(mix(backgroundColor, textColor, coverage), alpha * opacity);
+}
+`;
+
+/**
+ * A material that draws text from a texture made by drawSignedDistances()
+ * @param {THREE.Texture} texture
+ * @param {string} textColor
+ * @param {string} backgroundColor transparent if left out
+ * @returns {THREE.ShaderMaterial}
+ */
+export function createSdfMaterial(texture, textColor, backgroundColor) {
+  return new ShaderMaterial({
+    uniforms: {
+      map: { value: texture },
+      textColor: { value: new Color(textColor) },
+      backgroundColor: { value: new Color(backgroundColor || 'black') },
+      backgroundOpacity: { value: backgroundColor ? 1 : 0 },
+      opacity: { value: 1 }
+    },
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    side: DoubleSide,
+    extensions: { derivatives: true }
+  });
+}
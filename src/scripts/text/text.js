@@ -0,0 +1,177 @@
+import {
+  PlaneBufferGeometry, MeshBasicMaterial, CanvasTexture, LinearFilter, ClampToEdgeWrapping,
+  DoubleSide
+} from 'three';
+import TriggerMesh from '../trigger';
+import wrapText from './wrap';
+import { drawSignedDistances, createSdfMaterial } from './sdf';
+
+// How many pixels tall a line is drawn on the canvas
+const BITMAP_FONT_SIZE = 160;
+// Distance fields are sharp when stretched, so they're drawn smaller
+const SDF_FONT_SIZE = 48;
+// How far from the edge of the letters the distance field reaches, in pixels
+const SDF_RADIUS = 8;
+
+/**
+ * A block of text on a plane, which can be changed with setText(). The text is redrawn on
+ * the same canvas and texture, and the plane's vertices are moved to fit it, so text that
+ * changes often, like a readout, doesn't create anything new for the GPU.
+ *
+ * Sizes are in world units. The plane is centered on the object, and is `width` by `height`:
+ * the widest line and the lines of text, with `padding` all around them.
+ *
+ * Text is drawn into a bitmap by default. With `sdf: true` it's drawn as a signed distance
+ * field instead, which keeps its edges sharp however close it's looked at, like in VR.
+ */
+export default class Text extends TriggerMesh {
+  /**
+   * @param {string} text with newlines between paragraphs
+   * @param {Object} options
+   * @param {number} options.fontSize how tall a line is
+   * @param {string} options.fontFamily
+   * @param {string} options.fontWeight like 'bold'
+   * @param {string} options.textColor
+   * @param {string} options.backgroundColor transparent if left out
+   * @param {number} options.maxWidth lines are wrapped between words to fit this
+   * @param {string} options.align 'left', 'center' or 'right'
+   * @param {number} options.lineHeight how far apart lines are, in font sizes
+   * @param {number} options.padding the space around the text
+   * @param {boolean} options.sdf draw the text as a signed distance field
+   */
+  constructor(text, {
+    fontSize = 1,
+    fontFamily = 'Georgia',
+    fontWeight = 'normal',
+    textColor = 'white',
+    backgroundColor = undefined,
+    maxWidth = Infinity,
+    align = 'left',
+    lineHeight = 1,
+    padding = fontSize * 0.625,
+    sdf = false
+  } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    const texture = new CanvasTexture(canvas);
+    texture.minFilter = LinearFilter;
+    texture.generateMipmaps = false;
+    texture.wrapS = ClampToEdgeWrapping;
+    texture.wrapT = ClampToEdgeWrapping;
+    super(
+      new PlaneBufferGeometry(1, 1),
+      sdf
+        ? createSdfMaterial(texture, textColor, backgroundColor)
+        : new MeshBasicMaterial({ map: texture, transparent: true, side: DoubleSide })
+    );
+
+    this.canvas = canvas;
+    this.texture = texture;
+    this.sdf = sdf;
+    this.fontSize = fontSize;
+    this.fontFamily = fontFamily;
+    this.fontWeight = fontWeight;
+    this.textColor = textColor;
+    this.backgroundColor = backgroundColor;
+    this.maxWidth = maxWidth;
+    this.align = align;
+    this.lineHeight = lineHeight;
+    this.padding = padding;
+
+    this.text = null;
+    this.lines = [];
+    this.width = 0;
+    this.height = 0;
+    this.setText(text);
+  }
+
+  /**
+   * Draws new text, unless it's the same as before
+   * @param {string} text
+   */
+  setText(text) {
+    if (text === this.text) {
+      return;
+    }
+    this.text = text;
+    this._draw();
+  }
+
+  _draw() {
+    const { canvas } = this;
+    const fontSize = this.sdf ? SDF_FONT_SIZE : BITMAP_FONT_SIZE;
+    const pixelsPerUnit = fontSize / this.fontSize;
+    const font = `${this.fontWeight} ${fontSize}px ${this.fontFamily}`;
+    const padding = Math.ceil(this.padding * pixelsPerUnit);
+    const lineHeight = this.lineHeight * fontSize;
+
+    let context = canvas.getContext('2d');
+    context.font = font;
+    const measure = line => context.measureText(line).width;
+    this.lines = wrapText(String(this.text), this.maxWidth * pixelsPerUnit, measure);
+    const textWidth = Math.max(...this.lines.map(measure));
+    const width = Math.ceil(textWidth) + padding * 2;
+    const height = Math.ceil(lineHeight * this.lines.length) + padding * 2;
+
+    // The canvas only ever grows, so that shorter text doesn't resize the texture
+    if (width > canvas.width || height > canvas.height) {
+      canvas.width = Math.max(width, canvas.width);
+      canvas.height = Math.max(height, canvas.height);
+      // Resizing the canvas resets its context
+      context = canvas.getContext('2d');
+    }
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    // The distance field's material fills in the background itself
+    if (this.backgroundColor && !this.sdf) {
+      context.fillStyle = this.backgroundColor;
+      context.fillRect(0, 0, width, height);
+    }
+    context.fillStyle = this.sdf ? 'white' : this.textColor;
+    context.font = font;
+    context.textBaseline = 'top';
+    context.textAlign = this.align;
+    const x = {
+      left: padding,
+      center: width / 2,
+      right: width - padding
+    }[this.align];
+    this.lines.forEach((line, i) => context.fillText(line, x, padding + i * lineHeight));
+
+    if (this.sdf) {
+      drawSignedDistances(context, width, height, SDF_RADIUS);
+    }
+    this.texture.needsUpdate = true;
+
+    this.width = width / pixelsPerUnit;
+    this.height = height / pixelsPerUnit;
+    this._fitGeometry(width / canvas.width, height / canvas.height);
+  }
+
+  /**
+   * Sizes the plane to the text and shows only the part of the canvas the text is on
+   * @param {number} u how much of the canvas's width the text takes up
+   * @param {number} v how much of the canvas's height the text takes up
+   */
+  _fitGeometry(u, v) {
+    const { position, uv } = this.geometry.attributes;
+    const x = this.width / 2;
+    const y = this.height / 2;
+    // Top left, top right, bottom left and bottom right, in PlaneBufferGeometry's order
+    position.setXY(0, -x, y);
+    position.setXY(1, x, y);
+    position.setXY(2, -x, -y);
+    position.setXY(3, x, -y);
+    // The texture is flipped, so the top of the canvas is at the top of the uvs
+    uv.setXY(0, 0, 1);
+    uv.setXY(1, u, 1);
+    uv.setXY(2, 0, 1 - v);
+    uv.setXY(3, u, 1 - v);
+    position.needsUpdate = true;
+    uv.needsUpdate = true;
+    // Worked out again when they're needed, like for raycasting
+    this.geometry.boundingBox = null;
+    this.geometry.boundingSphere = null;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Breaks text into lines no wider than maxWidth. Lines are broken between words, and at every
+ * newline in the text. Runs of spaces count as one, so text can be indented in the source.
+ * A word wider than maxWidth gets a line of its own.
+ * @param {string} text
+ * @param {number} maxWidth in the same units as measure() returns, Infinity to not wrap
+ * @param {Function} measure gives the width of a string
+ * @returns {string[]}
+ */
+export default function wrapText(text, maxWidth, measure) {
+  const lines = [];
+  text.split('\n').forEach((paragraph) => {
+    const words = paragraph.split(/\s+/).filter(word => word);
+    let line = '';
+    words.forEach((word) => {
+      const longer = line ? `${line} ${word}` : word;
+      if (line && measure(longer) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = longer;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
@@ -6,5 +6,6 @@ require('three/examples/js/controls/PointerLockControls.js'); // Append PointerL
 require('three/examples/js/loaders/OBJLoader.js'); // Append OBJLoader
 require('three/examples/js/loaders/MTLLoader.js'); // Append OBJLoader
 require('three/examples/js/loaders/GLTFLoader'); // also include gltf loader
+require('three/examples/js/loaders/DRACOLoader'); // and the draco loader for compressed gltf
 
 export default THREE;
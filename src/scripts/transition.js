@@ -0,0 +1,294 @@
+import {
+  Scene, Group, Mesh, SphereBufferGeometry, RingBufferGeometry, PlaneBufferGeometry,
+  MeshBasicMaterial, BackSide, DoubleSide
+} from 'three';
+import { renderer } from './renderer';
+import { camera } from './renderer/camera';
+import { canvas } from './renderer/canvas';
+import { XR } from './xrController';
+import { createTextPlane } from './scenes/planets/text';
+
+/**
+ * A layer the renderer draws in front of the viewer to hide the switch from one room to
+ * the next. The router covers the old room before disposing it, a loading indicator is
+ * drawn in front of the viewer while the next room loads, and the new room is uncovered
+ * once it starts. Unlike the #loading page, this is also seen inside a headset, which
+ * would otherwise be left showing the last frame of the old room.
+ */
+
+export const transitionSettings = {
+  // 'fade' fades to black, 'portal' grows a sphere around the viewer
+  style: 'fade',
+  // How long covering and uncovering take, in ms
+  duration: 400,
+  portalColor: 0x1d2b64
+};
+
+// Everything here is drawn relative to the viewer, so it follows their head
+const overlay = new Scene();
+const layer = new Group();
+layer.matrixAutoUpdate = false;
+overlay.add(layer);
+
+function overlayMaterial(color) {
+  return new MeshBasicMaterial({
+    color, transparent: true, depthTest: false, depthWrite: false
+  });
+}
+
+const cover = new Mesh(new SphereBufferGeometry(1, 32, 16), overlayMaterial(0x000000));
+cover.renderOrder = 1;
+layer.add(cover);
+
+// A spinner and a progress bar, two meters in front of the viewer
+const indicator = new Group();
+indicator.position.set(0, 0, -2);
+layer.add(indicator);
+
+const spinner = new Mesh(
+  new RingBufferGeometry(0.16, 0.2, 32, 1, 0, Math.PI * 1.5),
+  overlayMaterial(0xffffff)
+);
+spinner.position.y = 0.2;
+indicator.add(spinner);
+
+const track = new Mesh(new PlaneBufferGeometry(0.8, 0.04), overlayMaterial(0x444444));
+track.position.y = -0.2;
+indicator.add(track);
+
+// Grows from the left end of the track
+const barGeometry = new PlaneBufferGeometry(0.8, 0.04);
+barGeometry.translate(0.4, 0, 0);
+const bar = new Mesh(barGeometry, overlayMaterial(0xffffff));
+bar.position.set(-0.4, -0.2, 0);
+indicator.add(bar);
+
+// In front of the cover
+spinner.renderOrder = 2;
+track.renderOrder = 2;
+bar.renderOrder = 2;
+
+// The name of the room that's loading, above the spinner
+const label = createTextPlane('', 'white');
+label.scale.setScalar(0.08);
+label.position.y = 0.55;
+label.renderOrder = 2;
+label.material.depthTest = false;
+label.visible = false;
+indicator.add(label);
+
+function setLabel(text) {
+  label.visible = Boolean(text);
+  if (text) {
+    label.setText(text);
+  }
+}
+
+// How much the layer covers, animated from `from` to `to` over `duration` ms from `start`
+let animation = {
+  from: 0, to: 0, start: 0, duration: 0
+};
+let loading = false;
+let progress = 0;
+
+// Incremented to stop the layer's own render loop, see startLoop()
+let loopId = 0;
+let looping = false;
+
+/**
+ * @returns {number} from 0 when the room can be seen to 1 when it's hidden
+ */
+export function getTransitionCoverage() {
+  const {
+    from, to, start, duration
+  } = animation;
+  const t = duration > 0 ? Math.min((performance.now() - start) / duration, 1) : 1;
+  return from + (to - from) * t;
+}
+
+/**
+ * @param {number} to
+ * @param {number} duration how many ms going all the way from 0 to 1 would take
+ * @returns {number} how many ms it takes to get there
+ */
+function animateTo(to, duration = transitionSettings.duration) {
+  const from = getTransitionCoverage();
+  const time = Math.abs(to - from) * duration;
+  animation = {
+    from, to, start: performance.now(), duration: time
+  };
+  return time;
+}
+
+function updateLayer(coverage) {
+  cover.visible = coverage > 0;
+  if (transitionSettings.style === 'portal') {
+    // The portal comes at the viewer from in front of them and closes around them
+    cover.material.color.set(transitionSettings.portalColor);
+    cover.material.opacity = 1;
+    cover.material.side = DoubleSide;
+    cover.position.set(0, 0, -2 * (1 - coverage));
+    cover.scale.setScalar(Math.max(coverage, 0.001));
+  } else {
+    cover.material.color.set(0x000000);
+    cover.material.opacity = coverage;
+    cover.material.side = BackSide;
+    cover.position.set(0, 0, 0);
+    cover.scale.setScalar(1);
+  }
+
+  indicator.visible = loading && coverage >= 1;
+  spinner.rotation.z = -performance.now() / 200;
+  bar.scale.x = Math.max(progress, 0.001);
+}
+
+/**
+ * Draws the layer on top of whatever has been rendered for a view, called by scenes after
+ * rendering themselves. Nothing is drawn while the room isn't covered at all.
+ * @param {THREE.Camera} viewCamera the camera the view was rendered with
+ */
+export function renderTransition(viewCamera) {
+  const coverage = getTransitionCoverage();
+  if (coverage <= 0) {
+    return;
+  }
+  updateLayer(coverage);
+  viewCamera.updateMatrixWorld();
+  layer.matrix.copy(viewCamera.matrixWorld);
+  layer.matrixWorldNeedsUpdate = true;
+
+  const { autoClear } = renderer;
+  renderer.autoClear = false;
+  renderer.render(overlay, viewCamera);
+  renderer.autoClear = autoClear;
+}
+
+/**
+ * Renders just the layer while there is no room to render it on top of
+ * @param {number} id the loop this frame belongs to
+ */
+function renderLoop(id) {
+  const onFrame = (timestamp, xrFrame) => {
+    if (id !== loopId) {
+      return;
+    }
+
+    if (!XR.session) {
+      renderer.context.viewport(0, 0, canvas.width, canvas.height);
+      renderer.setClearAlpha(1);
+      renderer.clear();
+      renderTransition(camera);
+      requestAnimationFrame(onFrame);
+      return;
+    }
+
+    XR.session.requestAnimationFrame(onFrame);
+    const pose = xrFrame && xrFrame.getViewerPose(XR.refSpace);
+    if (!pose) {
+      return;
+    }
+    const { baseLayer } = XR.session.renderState;
+    renderer.setSize(baseLayer.framebufferWidth, baseLayer.framebufferHeight, false);
+    renderer.context.bindFramebuffer(renderer.context.FRAMEBUFFER, baseLayer.framebuffer);
+    renderer.autoClear = false;
+    renderer.setClearAlpha(1);
+    renderer.clear();
+
+    for (const view of pose.views) {
+      const viewport = baseLayer.getViewport(view);
+      renderer.context.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+      camera.matrixAutoUpdate = false;
+      camera.matrix.copy(XR.getPoseMatrix(view.transform));
+      camera.matrixWorldNeedsUpdate = true;
+      camera.projectionMatrix.fromArray(view.projectionMatrix);
+      renderTransition(camera);
+    }
+  };
+  return onFrame;
+}
+
+function startLoop() {
+  loopId += 1;
+  looping = true;
+  const onFrame = renderLoop(loopId);
+  if (XR.session) {
+    XR.session.requestAnimationFrame(onFrame);
+  } else {
+    requestAnimationFrame(onFrame);
+  }
+}
+
+function stopLoop() {
+  loopId += 1;
+  looping = false;
+}
+
+// The loop has to move to the new session's frames, or back to the window's
+window.addEventListener('xrAnimate', () => {
+  if (looping) {
+    startLoop();
+  }
+});
+
+/**
+ * Covers the current room, which should keep rendering until it's covered
+ * @returns {Promise} resolves once the room is completely hidden
+ */
+export function coverScene() {
+  const duration = animateTo(1);
+  if (duration <= 0) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => setTimeout(resolve, duration));
+}
+
+/**
+ * Shows the loading indicator on the covered layer, which renders itself until
+ * uncoverScene() is called since there's no room to render it
+ * @param {string} title name of what's loading
+ */
+export function showTransitionLoading(title) {
+  loading = true;
+  progress = 0;
+  setLabel(title && `Loading ${title}`);
+  if (!looping) {
+    startLoop();
+  }
+}
+
+/**
+ * Keeps the layer rendering on its own without a loading indicator, like when there is no room
+ */
+export function hideTransitionLoading() {
+  loading = false;
+  if (!looping) {
+    startLoop();
+  }
+}
+
+/**
+ * @param {Object} loaderProgress from Loader.getProgress()
+ */
+export function updateTransitionProgress({ fraction }) {
+  progress = fraction;
+}
+
+/**
+ * Uncovers the room that has just started rendering
+ */
+export function uncoverScene() {
+  loading = false;
+  stopLoop();
+  animateTo(0);
+}
+
+/**
+ * Blacks the view out and fades the room straight back in, to soften a jump from one place
+ * in the room to another, like a teleport
+ * @param {number} duration in ms
+ */
+export function fadeIn(duration) {
+  animation = {
+    from: 1, to: 0, start: performance.now(), duration
+  };
+}
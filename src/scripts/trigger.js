@@ -1,5 +1,5 @@
 import { Mesh } from 'three';
-import { Interactions } from './interactions';
+import { HoverInteraction, SelectInteraction } from './interactions';
 
 export default class TriggerMesh extends Mesh {
     // True if raycaster intersects this object
@@ -24,49 +24,88 @@ export default class TriggerMesh extends Mesh {
 
     functions = {};
 
-    get [Interactions]() {
+    // True while an input source points at this object
+    isPointedAt = false;
+
+    // Handlers that were set on this object, which are used instead of the trigger functions
+    assignedInteractions = {};
+
+    /**
+     * @returns {boolean} true if any of the trigger functions have been overridden, otherwise
+     * interactions bubble up to the parent, like for text on a door
+     */
+    get isInteractive() {
+      return ['hover', 'exit', 'select', 'release']
+        .some(name => this[name] !== TriggerMesh.prototype[name]);
+    }
+
+    get [HoverInteraction]() {
+      if (HoverInteraction in this.assignedInteractions) {
+        return this.assignedInteractions[HoverInteraction];
+      }
+      if (!this.isInteractive) {
+        return undefined;
+      }
       const self = this;
-      let _isActuallyIntersected = false;
       return {
-        select_start(intersection) {
+        start(intersection) {
           if (!self.isIntersected) {
             self.isIntersected = true;
-            console.log('Trigger: hover');
             self.hover(intersection);
           }
-          self.isSelected = true;
-          console.log('Trigger: select');
-          self.select(intersection);
+          self.isPointedAt = true;
         },
-        select_end() {
-          self.isSelected = false;
-          console.log('Trigger: release');
-          self.release();
-          if (!_isActuallyIntersected) {
-            self.isSelected = false;
-            console.log('Trigger: exit');
+        end() {
+          if (self.isIntersected && !self.isSelected) {
+            self.isIntersected = false;
             self.exit();
           }
-        },
-        hover_start(intersection) {
+          self.isPointedAt = false;
+        }
+      };
+    }
+
+    /**
+     * Setting handlers replaces the ones made from the trigger functions. addInteractions()
+     * keeps those, since it sets them together with the ones it adds.
+     * @param {Object|Object[]} handlers
+     */
+    set [HoverInteraction](handlers) {
+      this.assignedInteractions[HoverInteraction] = handlers;
+    }
+
+    get [SelectInteraction]() {
+      if (SelectInteraction in this.assignedInteractions) {
+        return this.assignedInteractions[SelectInteraction];
+      }
+      if (!this.isInteractive) {
+        return undefined;
+      }
+      const self = this;
+      return {
+        start(intersection) {
           if (!self.isIntersected) {
             self.isIntersected = true;
-            console.log('Trigger: hover');
             self.hover(intersection);
           }
-          _isActuallyIntersected = true;
+          self.isSelected = true;
+          self.select(intersection);
         },
-        hover_end() {
-          if (self.isIntersected && !self.isSelected) {
+        end() {
+          self.isSelected = false;
+          self.release();
+          if (!self.isPointedAt) {
             self.isIntersected = false;
-            console.log('Trigger: exit');
             self.exit();
           }
-          _isActuallyIntersected = false;
         }
       };
     }
 
+    set [SelectInteraction](handlers) {
+      this.assignedInteractions[SelectInteraction] = handlers;
+    }
+
     /**
      * Adds a function to the function list.
      * Useful for calling functions with their own contexts
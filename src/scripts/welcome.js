@@ -1,7 +1,62 @@
+import { getSceneEntries } from './scenes';
+import { clearRoomStates } from './persistence';
+
+/**
+ * Lists every room with a door in the home room on the welcome page
+ */
+function addSceneLinks() {
+  const list = document.getElementById('scene-links');
+  for (const entry of getSceneEntries().filter(({ door }) => door)) {
+    const item = document.createElement('li');
+    item.dataset.path = entry.path;
+    if (entry.thumbnail) {
+      const thumbnail = document.createElement('img');
+      thumbnail.classList.add('scene-thumbnail');
+      thumbnail.src = entry.thumbnail;
+      thumbnail.alt = '';
+      item.appendChild(thumbnail);
+    }
+
+    const link = document.createElement('a');
+    link.href = entry.path;
+    link.classList.add('link');
+    link.textContent = entry.title;
+    item.appendChild(link);
+    if (entry.description) {
+      item.appendChild(document.createTextNode(`: ${entry.description}`));
+    }
+    const offlineStatus = document.createElement('span');
+    offlineStatus.classList.add('offline-status');
+    item.appendChild(offlineStatus);
+    list.appendChild(item);
+  }
+}
+
+const OFFLINE_STATUS_TEXT = {
+  saving: 'Saving for offline use...',
+  available: 'Available offline',
+  unavailable: 'Needs a connection'
+};
+
+/**
+ * Shows whether a room can be used without a network connection next to its link
+ * @param {string} path the room's path
+ * @param {string} status 'saving', 'available' or 'unavailable'
+ */
+export function setOfflineStatus(path, status) {
+  const element = document.querySelector(`#scene-links li[data-path="${path}"] .offline-status`);
+  if (!element) {
+    return;
+  }
+  element.textContent = OFFLINE_STATUS_TEXT[status];
+  element.dataset.status = status;
+}
+
 export function showWelcome() {
   document.getElementById('main').style.display = 'block';
   document.getElementById('welcome-container').style.display = 'block';
   document.getElementById('loading').style.display = 'none';
+  document.getElementById('loading-error').style.display = 'none';
 }
 
 export function hideWelcome() {
@@ -12,8 +67,71 @@ export function showLoading() {
   document.getElementById('main').style.display = 'block';
   document.getElementById('welcome-container').style.display = 'none';
   document.getElementById('loading').style.display = 'block';
+  document.getElementById('loading-error').style.display = 'none';
+  document.getElementById('loading-progress').value = 0;
+  document.getElementById('loading-details').textContent = '';
 }
 
 export function hideLoading() {
   document.getElementById('main').style.display = 'none';
 }
+
+function formatMegabytes(bytes) {
+  return `${(bytes / 1000000).toFixed(1)} MB`;
+}
+
+/**
+ * Updates the loading screen's progress bar
+ * @param {Object} progress from Loader.getProgress()
+ */
+export function updateLoadingProgress({
+  loadedItems, totalItems, loadedBytes, totalBytes, fraction
+}) {
+  document.getElementById('loading-progress').value = fraction;
+  let details = `${loadedItems} of ${totalItems} assets`;
+  if (totalBytes) {
+    details += ` (${formatMegabytes(loadedBytes)} of ${formatMegabytes(totalBytes)})`;
+  }
+  document.getElementById('loading-details').textContent = details;
+}
+
+/**
+ * @param {Error} error an AssetLoadError names the asset that failed
+ * @returns {string} what went wrong, for the error screen
+ */
+export function describeLoadingError(error) {
+  return error.id
+    ? `Couldn't load "${error.id}" (${error.url})`
+    : `Couldn't load this room : ${error.message}`;
+}
+
+/**
+ * Replaces the loading screen with an error screen
+ * @param {Error} error an AssetLoadError names the asset that failed
+ * @param {Function} onRetry called when the Retry button is pressed
+ * @param {Function} onHome called when the Back to Home button is pressed
+ */
+export function showLoadingError(error, onRetry, onHome) {
+  document.getElementById('main').style.display = 'block';
+  document.getElementById('welcome-container').style.display = 'none';
+  document.getElementById('loading').style.display = 'none';
+  document.getElementById('loading-error').style.display = 'block';
+
+  document.getElementById('loading-error-message').textContent = describeLoadingError(error);
+  document.getElementById('loading-retry').onclick = onRetry;
+  document.getElementById('loading-home').onclick = onHome;
+}
+
+/**
+ * Lets the Reset all rooms button forget how every room was left
+ */
+function addResetButton() {
+  const status = document.getElementById('reset-rooms-status');
+  document.getElementById('reset-rooms').onclick = () => {
+    clearRoomStates();
+    status.textContent = 'Every room will start fresh.';
+  };
+}
+
+addSceneLinks();
+addResetButton();
@@ -0,0 +1,85 @@
+import { Object3D, BoxBufferGeometry, MeshPhongMaterial } from 'three';
+import TriggerMesh from '../trigger';
+import Label from './label';
+import { WidgetColors } from './style';
+
+/**
+ * A box with a label on its face that can be pressed. It's highlighted while it's hovered,
+ * and sinks in while it's pressed or switched on.
+ *
+ * Dispatches a `press` event when it's pressed:
+ * ```js
+ * button.addEventListener('press', () => this.reset());
+ * ```
+ */
+export default class Button extends Object3D {
+  // Pointed at by an input source
+  hovered = false;
+
+  // Held down by an input source
+  pressed = false;
+
+  // Stays pressed in, like the chosen button of a ToggleGroup
+  active = false;
+
+  /**
+   * @param {string} text
+   * @param {Object} options
+   * @param {number} options.width
+   * @param {number} options.height
+   * @param {number} options.depth
+   */
+  constructor(text, { width = 4, height = 3, depth = 0.5 } = {}) {
+    super();
+    this.width = width;
+    this.height = height;
+    this.depth = depth;
+
+    this.body = new TriggerMesh(
+      new BoxBufferGeometry(width, height, depth),
+      new MeshPhongMaterial({ color: WidgetColors.idle })
+    );
+    this.body.hover = () => {
+      this.hovered = true;
+      this._updateStyle();
+    };
+    this.body.exit = () => {
+      this.hovered = false;
+      this._updateStyle();
+    };
+    this.body.select = () => {
+      this.pressed = true;
+      this._updateStyle();
+      this.dispatchEvent({ type: 'press' });
+    };
+    this.body.release = () => {
+      this.pressed = false;
+      this._updateStyle();
+    };
+    this.add(this.body);
+
+    this.label = new Label(text, { fontSize: Math.min(height * 0.18, 0.5) });
+    this.label.position.z = depth / 2 + 0.01;
+    this.body.add(this.label);
+
+    this._updateStyle();
+  }
+
+  /**
+   * Keeps the button pressed in, or lets it back out
+   * @param {boolean} active
+   */
+  setActive(active) {
+    this.active = active;
+    this._updateStyle();
+  }
+
+  _updateStyle() {
+    const down = this.pressed || this.active;
+    this.body.material.color.set(
+      down || this.hovered ? WidgetColors.highlight : WidgetColors.idle
+    );
+    // Sticks out of the menu, or sinks most of the way into it
+    this.body.position.z = down ? -this.depth / 4 : this.depth / 2;
+  }
+}
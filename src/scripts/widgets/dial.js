@@ -0,0 +1,143 @@
+import {
+  Object3D, Mesh, CylinderBufferGeometry, BoxBufferGeometry, MeshBasicMaterial, Vector3, Matrix4
+} from 'three';
+import { HoverInteraction, DragInteraction } from '../interactions';
+import Label from './label';
+import { snapValue } from './slider';
+import { WidgetColors } from './style';
+
+/**
+ * A knob that's turned to choose a number between min and max, with the number shown below it.
+ * The knob turns through `sweep` radians from min to max, clockwise like a volume knob.
+ *
+ * Dispatches an `input` event with the `value` whenever it changes while it's turned,
+ * and a `change` event with the `value` once it's let go of.
+ */
+export default class Dial extends Object3D {
+  // Turned by an input source
+  dragging = false;
+
+  hovered = false;
+
+  /**
+   * @param {Object} options
+   * @param {number} options.min
+   * @param {number} options.max
+   * @param {number} options.step values are rounded to this, 0 to not round them
+   * @param {number} options.value
+   * @param {number} options.radius
+   * @param {number} options.sweep how far the knob turns, in radians
+   * @param {Function} options.format turns the value into the label's text
+   */
+  constructor({
+    min = 0, max = 1, step = 0, value = min, radius = 1, sweep = Math.PI * 1.5, format = String
+  } = {}) {
+    super();
+    this.min = min;
+    this.max = max;
+    this.step = step;
+    this.sweep = sweep;
+    this.format = format;
+
+    this.width = radius * 2;
+    this.height = radius * 2 + 1.5;
+
+    // Faces the same way as the dial
+    const knobGeometry = new CylinderBufferGeometry(radius, radius, 0.25, 32);
+    knobGeometry.rotateX(Math.PI / 2);
+    this.knob = new Mesh(knobGeometry, new MeshBasicMaterial({ color: WidgetColors.handle }));
+    this.add(this.knob);
+
+    // Points at the value, from the center to the edge
+    const pointerGeometry = new BoxBufferGeometry(radius * 0.1, radius * 0.8, 0.05);
+    pointerGeometry.translate(0, radius * 0.5, 0.15);
+    this.pointer = new Mesh(pointerGeometry, new MeshBasicMaterial({ color: WidgetColors.idle }));
+    this.pointer.raycast = () => {};
+    this.knob.add(this.pointer);
+
+    // The angle of the point the knob was grabbed by, and the value at the time
+    let grab = null;
+    this.knob[HoverInteraction] = {
+      start: () => {
+        this.hovered = true;
+        this._updateStyle();
+      },
+      end: () => {
+        this.hovered = false;
+        this._updateStyle();
+      }
+    };
+    this.knob[DragInteraction] = {
+      twoHanded: false,
+      start: (intersection, pointerMatrix) => {
+        this.dragging = true;
+        this._updateStyle();
+        grab = { angle: this._angleOf(intersection.point), value: this.value };
+        // Follows the point the knob was grabbed by, the knob itself isn't moved
+        const point = new Matrix4().makeTranslation(...intersection.point.toArray());
+        return {
+          object: this.knob,
+          transformMatrix: new Matrix4().getInverse(pointerMatrix, true)
+            .multiply(point),
+          matrixAutoUpdate: this.knob.matrixAutoUpdate
+        };
+      },
+      drag: (matrix) => {
+        let turned = grab.angle - this._angleOf(new Vector3().setFromMatrixPosition(matrix));
+        // atan2() jumps by a full turn across the left of the knob
+        turned = Math.atan2(Math.sin(turned), Math.cos(turned));
+        grab.angle -= turned;
+        grab.value += turned / this.sweep * (this.max - this.min);
+        grab.value = Math.min(Math.max(grab.value, this.min), this.max);
+        this._input(grab.value);
+      },
+      end: () => {
+        this.dragging = false;
+        grab = null;
+        this._updateStyle();
+        this.dispatchEvent({ type: 'change', value: this.value });
+      }
+    };
+
+    this.label = new Label('', { backgroundColor: 'orange' });
+    this.label.position.y = -radius - 0.9;
+    this.add(this.label);
+
+    this.setValue(value);
+  }
+
+  /**
+   * @param {THREE.Vector3} point in world space
+   * @returns {number} the angle of the point around the dial, counterclockwise from its right
+   */
+  _angleOf(point) {
+    const local = this.worldToLocal(point.clone());
+    return Math.atan2(local.y, local.x);
+  }
+
+  _input(value) {
+    const previous = this.value;
+    this.setValue(value);
+    if (this.value !== previous) {
+      this.dispatchEvent({ type: 'input', value: this.value });
+    }
+  }
+
+  /**
+   * Turns the knob to a value without dispatching any events
+   * @param {number} value
+   */
+  setValue(value) {
+    this.value = snapValue(value, this);
+    const fraction = (this.value - this.min) / (this.max - this.min);
+    // Straight up is halfway
+    this.pointer.rotation.z = (0.5 - fraction) * this.sweep;
+    this.label.setText(this.format(this.value));
+  }
+
+  _updateStyle() {
+    this.knob.material.color.set(
+      this.hovered || this.dragging ? WidgetColors.handleHover : WidgetColors.handle
+    );
+  }
+}
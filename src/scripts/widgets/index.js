@@ -0,0 +1,12 @@
+/**
+ * Menus for rooms, built from TriggerMesh and interaction handlers so they work with every
+ * input source. Every widget has a `width` and `height` for Panel to lay it out by, and dispatches
+ * three events (see THREE.EventDispatcher) when it's used.
+ */
+export { default as Button } from './button';
+export { default as Dial } from './dial';
+export { default as Label } from './label';
+export { default as Panel } from './panel';
+export { default as Slider } from './slider';
+export { default as ToggleGroup } from './toggle-group';
+export { WidgetColors } from './style';
@@ -0,0 +1,22 @@
+import { Text } from '../text';
+import { WidgetColors } from './style';
+
+/**
+ * Text on a widget, like a button's name or a slider's value. Labels are drawn as signed
+ * distance fields, so they stay sharp up close, and change with setText() like any Text.
+ * Labels can't be pointed at, so they don't get in the way of what they're on.
+ */
+export default class Label extends Text {
+  /**
+   * @param {string} text
+   * @param {Object} options the Text options, for a single line in the widgets' colours
+   * by default
+   */
+  constructor(text, { fontSize = 0.45, textColor = WidgetColors.text, ...options } = {}) {
+    super(text, {
+      fontSize, textColor, sdf: true, ...options
+    });
+  }
+
+  raycast() {}
+}
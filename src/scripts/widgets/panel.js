@@ -0,0 +1,104 @@
+import {
+  Object3D, Mesh, PlaneBufferGeometry, MeshBasicMaterial
+} from 'three';
+import { WidgetColors } from './style';
+
+/**
+ * Lines up the widgets added to it in a row, left to right, or a column, top to bottom,
+ * centered on the panel. Widgets are spaced by their `width` and `height`, and a panel has
+ * a width and height of its own, so panels can be put in panels.
+ */
+export default class Panel extends Object3D {
+  widgets = [];
+
+  width = 0;
+
+  height = 0;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.direction 'row' or 'column'
+   * @param {number} options.spacing the gap between widgets
+   * @param {number} options.padding the gap around the widgets, for the background
+   * @param {number|string} options.background a colour for a backdrop behind the widgets
+   */
+  constructor({
+    direction = 'row', spacing = 1, padding = 0.5, background = null
+  } = {}) {
+    super();
+    this.direction = direction;
+    this.spacing = spacing;
+    this.padding = padding;
+
+    this.background = null;
+    if (background !== null) {
+      this.background = new Mesh(
+        new PlaneBufferGeometry(1, 1),
+        new MeshBasicMaterial({ color: background === true ? WidgetColors.panel : background })
+      );
+      super.add(this.background);
+    }
+  }
+
+  /**
+   * Adds widgets to the end of the row or column
+   * @param {...THREE.Object3D} widgets with a width and height
+   * @returns {Panel} this
+   */
+  add(...widgets) {
+    super.add(...widgets);
+    // Object3D.add() adds several objects by adding them one at a time
+    if (widgets.length === 1) {
+      this.widgets.push(widgets[0]);
+      this.layout();
+    }
+    return this;
+  }
+
+  /**
+   * @param {...THREE.Object3D} widgets
+   * @returns {Panel} this
+   */
+  remove(...widgets) {
+    super.remove(...widgets);
+    this.widgets = this.widgets.filter(widget => !widgets.includes(widget));
+    this.layout();
+    return this;
+  }
+
+  /**
+   * Puts the widgets in place again, like after one has changed size
+   */
+  layout() {
+    const row = this.direction === 'row';
+    const sizes = this.widgets.map(widget => (row ? widget.width : widget.height) || 0);
+    const length = sizes.reduce((sum, size) => sum + size, 0)
+      + this.spacing * Math.max(this.widgets.length - 1, 0);
+
+    let offset = -length / 2;
+    this.widgets.forEach((widget, i) => {
+      const center = offset + sizes[i] / 2;
+      if (row) {
+        widget.position.x = center;
+      } else {
+        widget.position.y = -center;
+      }
+      offset += sizes[i] + this.spacing;
+    });
+
+    const across = Math.max(
+      0, ...this.widgets.map(widget => (row ? widget.height : widget.width) || 0)
+    );
+    this.width = row ? length : across;
+    this.height = row ? across : length;
+
+    if (this.background) {
+      this.background.scale.set(
+        this.width + this.padding * 2 || 1,
+        this.height + this.padding * 2 || 1,
+        1
+      );
+      this.background.position.z = -0.01;
+    }
+  }
+}
@@ -0,0 +1,143 @@
+import {
+  Object3D, Mesh, BoxBufferGeometry, MeshBasicMaterial, Vector3, Matrix4, Box3
+} from 'three';
+import { HoverInteraction, DragInteraction } from '../interactions';
+import { lockToAxis, clampToBox } from '../constraints';
+import Label from './label';
+import { WidgetColors } from './style';
+
+/**
+ * Rounds value to the nearest step from min and keeps it between min and max
+ * @returns {number}
+ */
+export function snapValue(value, { min, max, step }) {
+  const snapped = step ? min + Math.round((value - min) / step) * step : value;
+  // Like 9.800000000000001 from adding steps of 0.1
+  const rounded = step ? Number(snapped.toFixed(10)) : snapped;
+  return Math.min(Math.max(rounded, min), max);
+}
+
+/**
+ * A handle that's dragged along a horizontal track to choose a number between min and max,
+ * with the number shown above it.
+ *
+ * Dispatches an `input` event with the `value` whenever it changes while it's dragged,
+ * and a `change` event with the `value` once it's let go of.
+ */
+export default class Slider extends Object3D {
+  // Dragged by an input source
+  dragging = false;
+
+  hovered = false;
+
+  /**
+   * @param {Object} options
+   * @param {number} options.min
+   * @param {number} options.max
+   * @param {number} options.step values are rounded to this, 0 to not round them
+   * @param {number} options.value
+   * @param {number} options.length how long the track is
+   * @param {Function} options.format turns the value into the label's text
+   */
+  constructor({
+    min = 0, max = 1, step = 0, value = min, length = 10, format = String
+  } = {}) {
+    super();
+    this.min = min;
+    this.max = max;
+    this.step = step;
+    this.length = length;
+    this.format = format;
+
+    this.width = length + 1;
+    this.height = 3;
+
+    this.track = new Mesh(
+      new BoxBufferGeometry(length, 0.2, 0.1),
+      new MeshBasicMaterial({ color: WidgetColors.track })
+    );
+    this.add(this.track);
+
+    this.handle = new Mesh(
+      new BoxBufferGeometry(1, 1, 0.25),
+      new MeshBasicMaterial({ color: WidgetColors.handle })
+    );
+    this.handle[HoverInteraction] = {
+      start: () => {
+        this.hovered = true;
+        this._updateStyle();
+      },
+      end: () => {
+        this.hovered = false;
+        this._updateStyle();
+      }
+    };
+    this.handle[DragInteraction] = {
+      twoHanded: false,
+      // Along the track, from one end to the other
+      constraints: [
+        lockToAxis('x'),
+        clampToBox(new Box3(
+          new Vector3(-length / 2, -Infinity, -Infinity),
+          new Vector3(length / 2, Infinity, Infinity)
+        ))
+      ],
+      start: (intersection, pointerMatrix) => {
+        this.dragging = true;
+        this._updateStyle();
+        return {
+          object: this.handle,
+          // Keeps the point the handle was grabbed by under the pointer
+          transformMatrix: new Matrix4().getInverse(pointerMatrix, true)
+            .multiply(this.handle.matrixWorld),
+          matrixAutoUpdate: this.handle.matrixAutoUpdate
+        };
+      },
+      drag: (matrix) => {
+        const position = this.worldToLocal(new Vector3().setFromMatrixPosition(matrix));
+        const fraction = position.x / this.length + 0.5;
+        this._input(this.min + fraction * (this.max - this.min));
+      },
+      end: () => {
+        this.dragging = false;
+        this._updateStyle();
+        this.dispatchEvent({ type: 'change', value: this.value });
+      }
+    };
+    this.add(this.handle);
+
+    this.label = new Label('', { backgroundColor: 'orange' });
+    this.label.position.y = 1.5;
+    this.handle.add(this.label);
+
+    this.setValue(value);
+  }
+
+  _input(value) {
+    const previous = this.value;
+    this.setValue(value);
+    if (this.value !== previous) {
+      this.dispatchEvent({ type: 'input', value: this.value });
+    }
+  }
+
+  /**
+   * Moves the handle to a value without dispatching any events
+   * @param {number} value
+   */
+  setValue(value) {
+    this.value = snapValue(value, this);
+    const fraction = (this.value - this.min) / (this.max - this.min);
+    this.handle.position.x = (fraction - 0.5) * this.length;
+    // The handle's matrix isn't updated by the renderer while it's dragged
+    this.handle.updateMatrix();
+    this.handle.updateMatrixWorld(true);
+    this.label.setText(this.format(this.value));
+  }
+
+  _updateStyle() {
+    this.handle.material.color.set(
+      this.hovered || this.dragging ? WidgetColors.handleHover : WidgetColors.handle
+    );
+  }
+}
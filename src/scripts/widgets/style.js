@@ -0,0 +1,15 @@
+/**
+ * The colours every widget uses, so menus in different rooms look and behave the same
+ */
+export const WidgetColors = {
+  // Buttons that aren't being used
+  idle: 0x222222,
+  // Buttons that are hovered, pressed or switched on
+  highlight: 0x999999,
+  // What's dragged on sliders and dials
+  handle: 0xfafafa,
+  handleHover: 0x999999,
+  track: 0x555555,
+  text: 'white',
+  panel: 0x111111
+};
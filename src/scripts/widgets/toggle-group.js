@@ -0,0 +1,56 @@
+import Panel from './panel';
+import Button from './button';
+
+/**
+ * A row of buttons of which one at a time is switched on, like radio buttons.
+ *
+ * Dispatches a `change` event with the new `value` when another button is pressed:
+ * ```js
+ * const modes = new ToggleGroup([
+ *   { value: 'select', text: 'SELECT' },
+ *   { value: 'delete', text: 'DELETE' }
+ * ]);
+ * modes.addEventListener('change', ({ value }) => { this.mode = value; });
+ * ```
+ */
+export default class ToggleGroup extends Panel {
+  /**
+   * @param {{value: *, text: string}[]} options one button for each, in order
+   * @param {Object} settings
+   * @param {*} settings.value the value that's switched on to begin with, the first one's
+   * if left out
+   * @param {Object} settings.button options for every Button
+   * and the Panel options
+   */
+  constructor(options, { value = options[0].value, button = {}, ...panel } = {}) {
+    super(panel);
+    this.value = value;
+    this.buttons = new Map();
+    options.forEach((option) => {
+      const optionButton = new Button(option.text, button);
+      optionButton.addEventListener('press', () => this._choose(option.value));
+      this.buttons.set(option.value, optionButton);
+      this.add(optionButton);
+    });
+    this.setValue(value);
+  }
+
+  _choose(value) {
+    if (value === this.value) {
+      return;
+    }
+    this.setValue(value);
+    this.dispatchEvent({ type: 'change', value });
+  }
+
+  /**
+   * Switches on the value's button without dispatching a change event
+   * @param {*} value
+   */
+  setValue(value) {
+    this.value = value;
+    for (const [buttonValue, button] of this.buttons) {
+      button.setActive(buttonValue === value);
+    }
+  }
+}
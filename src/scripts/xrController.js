@@ -1,6 +1,5 @@
 import { Vector3, Quaternion, Matrix4 } from 'three';
 import { canvas } from './renderer/canvas';
-import { cameraSettings } from './renderer/camera';
 import { renderer } from './renderer';
 import { addMouseKeyboardEventListeners } from './controls/keyboard-controls';
 import { showTouchControls } from './controls/touch-controls';
@@ -8,71 +7,168 @@ import { setupInteractions, closeInteractions } from './interactions';
 
 /**
  * XR fields we are using
- * Explained here : { https://github.com/immersive-web/webxr-reference/tree/master/webxr-device-api }
- * and here {https://immersive-web.github.io/webxr-reference/}
+ * Explained here : { https://immersive-web.github.io/webxr/ }
+ * and here {https://developer.mozilla.org/en-US/docs/Web/API/WebXR_Device_API}
  */
 
 export const XR = {
   session: null,
+  // 'immersive-vr', 'immersive-ar' or 'inline', since the session itself doesn't say which mode it was requested with
+  mode: null,
+  // The reference space given to us by the session, without any origin offset
+  baseRefSpace: null,
+  // 'local-floor' or 'local', whichever the session was able to give us
+  refSpaceType: null,
+  // baseRefSpace with the origin offset applied. All poses should be requested in this space.
   refSpace: null,
+  offsetMatrix: new Matrix4(),
+  // Scene units per meter. Only changed in AR, where a whole scene is shrunk down onto a table.
+  scale: 1,
+  // Used to find surfaces to place scenes on in AR
+  hitTestSource: null,
   magicWindowCanvas: null,
-  mirrorCanvas: null,
+  isImmersive() {
+    return this.mode === 'immersive-vr' || this.mode === 'immersive-ar';
+  },
+  /**
+   * Converts a pose's transform in refSpace into a matrix in scene units
+   * @param {XRRigidTransform} transform
+   * @returns {Matrix4}
+   */
+  getPoseMatrix(transform) {
+    return new Matrix4()
+      .makeScale(this.scale, this.scale, this.scale)
+      .multiply(new Matrix4().fromArray(transform.matrix));
+  },
   getOffsetMatrix() {
-    if (this.refSpace) {
-      return new Matrix4().fromArray(this.refSpace.originOffset.matrix);
-    }
-    return new Matrix4();
+    return new Matrix4().copy(this.offsetMatrix);
   },
   setOffsetMatrix(matrix) {
+    this.offsetMatrix.copy(matrix);
+    if (!this.baseRefSpace) {
+      // No session yet, the offset is applied once there is a reference space
+      return;
+    }
+
     const position = new Vector3();
     const scale = new Vector3();
     const rotation = new Quaternion();
     matrix.decompose(position, rotation, scale);
     /* global XRRigidTransform */
-    this.refSpace.originOffset = new XRRigidTransform(
+    this.refSpace = this.baseRefSpace.getOffsetReferenceSpace(new XRRigidTransform(
       new DOMPoint(position.x, position.y, position.z, 1),
       new DOMPoint(rotation.x, rotation.y, rotation.z, rotation.w)
-    );
+    ));
   }
 };
 
+// Reference space types to try for each session mode, in order of preference
+const referenceSpaceTypes = {
+  'immersive-vr': ['local-floor', 'local'],
+  'immersive-ar': ['local-floor', 'local'],
+  inline: ['local']
+};
+
+const sessionOptions = {
+  'immersive-vr': { optionalFeatures: ['local-floor'] },
+  'immersive-ar': { requiredFeatures: ['hit-test'], optionalFeatures: ['local-floor'] },
+  inline: { optionalFeatures: ['local'] }
+};
+
+const sessionButtons = {
+  'immersive-vr': { id: 'vr-toggle', className: 'vr-toggle', text: 'Enter VR' },
+  'immersive-ar': { id: 'ar-toggle', className: 'ar-toggle', text: 'Enter AR' }
+};
+
+/**
+ * Requests the first reference space type the session supports.
+ * @param {XRSession} session
+ * @param {String[]} types
+ * @returns {Promise<{refSpace: XRReferenceSpace, type: String}>}
+ */
+function requestReferenceSpace(session, types) {
+  const [type, ...fallbacks] = types;
+  return session.requestReferenceSpace(type)
+    .then(refSpace => ({ refSpace, type }))
+    .catch((err) => {
+      if (!fallbacks.length) {
+        throw err;
+      }
+      console.log(`Reference space ${type} unavailable, trying ${fallbacks[0]} : ${err}`);
+      return requestReferenceSpace(session, fallbacks);
+    });
+}
+
 /*
-* Creates a button that renders each eye for VR
+* Creates a button that starts an immersive session of the given mode
 */
-function createVRButton() {
-  const vrButton = document.createElement('button');
-  vrButton.classList.add('vr-toggle');
-  vrButton.id = 'vr-toggle';
-  vrButton.textContent = 'Enter VR';
-  vrButton.addEventListener('click', () => {
+function createSessionButton(mode) {
+  const { id, className, text } = sessionButtons[mode];
+  if (document.getElementById(id)) {
+    return;
+  }
+  const button = document.createElement('button');
+  button.classList.add(className);
+  button.id = id;
+  button.textContent = text;
+  button.addEventListener('click', () => {
     if (XR.session) {
       XR.session.end();
     }
-    xrOnRequestSession();
+    xrOnRequestSession(mode);
   });
-  document.body.appendChild(vrButton);
+  document.body.appendChild(button);
 }
 
-function xrOnSessionEnded(event) {
-  closeInteractions(event.session);
-  if (event.session === XR.session) XR.session = null;
+function removeSessionButton(mode) {
+  const button = document.getElementById(sessionButtons[mode].id);
+  if (button) {
+    button.remove();
+  }
+}
 
-  if (event.session.renderState.outputContext) {
-    // Not sure why it wasn't on the body element, but this should remove it no matter where it is.
-    event.session.renderState.outputContext.canvas.remove();
+/**
+ * Enables or disables the 'Enter AR' button, since only some scenes can be shown in AR.
+ * @param {Boolean} enabled
+ */
+export function setARButtonEnabled(enabled) {
+  const button = document.getElementById(sessionButtons['immersive-ar'].id);
+  if (button) {
+    button.disabled = !enabled;
   }
+}
 
-  // Reset xrState when session ends and remove the mirror canvas
-  if (event.session.mode === 'immersive-vr') {
-    // TODO: Need to change this to xrValidate() to handle cases where device cannot support
-    // magic window on exit of immersive session
-    xrValidateMagicWindow();
+function xrOnSessionEnded(event, mode) {
+  closeInteractions(event.session);
+  if (event.session === XR.session) {
+    XR.session = null;
+    XR.mode = null;
+    XR.baseRefSpace = null;
+    XR.refSpaceType = null;
+    XR.refSpace = null;
+    XR.hitTestSource = null;
+    XR.scale = 1;
+  }
+
+  // Go back to the magic window if we were using one before the immersive session
+  if (mode !== 'inline' && XR.magicWindowCanvas) {
+    xrStartMagicWindow();
+  } else if (!XR.session) {
+    // Nothing is going to restart the animation loop, so restart it outside of XR
+    window.dispatchEvent(new Event('xrAnimate'));
   }
 }
 
-async function xrOnSessionStarted(context) {
-  // I'm seeing xrOnSessionEnded being called twice.  I'm going to see if using once fixes this / causes other problems.
-  XR.session.addEventListener('end', xrOnSessionEnded, {
+/**
+ * Sets up rendering and the reference space for a newly created session.
+ * @param {XRSession} session
+ * @param {String} mode the mode the session was requested with
+ */
+async function xrOnSessionStarted(session, mode) {
+  XR.session = session;
+  XR.mode = mode;
+
+  session.addEventListener('end', event => xrOnSessionEnded(event, mode), {
     once: true
   });
 
@@ -86,101 +182,100 @@ async function xrOnSessionStarted(context) {
   }
 
   /* global XRWebGLLayer:true */
-  XR.session.updateRenderState({
-    baseLayer: new XRWebGLLayer(XR.session, renderer.context),
-    outputContext: context
+  session.updateRenderState({
+    baseLayer: new XRWebGLLayer(session, renderer.context)
   });
 
-  try {
-    // preserve originOffset
-    const originOffset = XR.getOffsetMatrix();
-    XR.refSpace = await XR.session.requestReferenceSpace({
-      type: 'stationary',
-      subtype: 'eye-level'
-    });
-    XR.setOffsetMatrix(originOffset);
+  const { refSpace, type } = await requestReferenceSpace(session, referenceSpaceTypes[mode]);
+  XR.baseRefSpace = refSpace;
+  XR.refSpaceType = type;
 
-    // Fire a restart xr animation event
-    window.dispatchEvent(new Event('xrAnimate'));
-  } catch (err) {
-    console.error(`Error requesting reference space : ${err}`);
+  if (mode === 'immersive-ar') {
+    // Cast rays straight out of the viewer to find surfaces to place the scene on
+    const viewerSpace = await session.requestReferenceSpace('viewer');
+    XR.hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
   }
+
+  // Reapply the origin offset so the user stays where they were
+  XR.setOffsetMatrix(XR.offsetMatrix);
+
+  // Fire a restart xr animation event
+  window.dispatchEvent(new Event('xrAnimate'));
 }
 
 /**
- * Gets an immersive two eye view xr session when the 'ENTER XR' button has been pressed
+ * Gets an immersive xr session when the 'Enter VR' or 'Enter AR' button has been pressed
+ * @param {String} mode 'immersive-vr' or 'immersive-ar'
  */
-async function xrOnRequestSession() {
-  // Create a mirror canvas for rendering the second eye
-  const xrMirrorCanvas = document.createElement('canvas');
-  const xrMirrorContext = xrMirrorCanvas.getContext('xrpresent');
-  xrMirrorCanvas.setAttribute('id', 'mirror-canvas');
-
-  // Add the mirror canvas to our XR object and the document.
-  XR.mirrorCanvas = xrMirrorCanvas;
-
-  // Attempt to create an XR session using the mirror canvas and the connected device
+async function xrOnRequestSession(mode) {
   try {
-    XR.session = await navigator.xr.requestSession('immersive-vr');
-    document.body.appendChild(xrMirrorCanvas);
-    xrOnSessionStarted(xrMirrorContext);
+    const session = await navigator.xr.requestSession(mode, sessionOptions[mode]);
+    await xrOnSessionStarted(session, mode);
   } catch (err) {
-    xrValidateMagicWindow();
     console.error(`Error initializing XR session : ${err}`);
+    if (XR.magicWindowCanvas && !XR.session) {
+      xrStartMagicWindow();
+    }
   }
 }
 
 /**
- * Checks for magic window compatibility
+ * Starts an inline (magic window) session rendering into the main canvas.
+ * Resolves to false if the device can't track its orientation for one.
+ * @returns {Promise<Boolean>}
  */
-async function xrValidateMagicWindow() {
-  XR.magicWindowCanvas = document.createElement('canvas');
-  XR.magicWindowCanvas.setAttribute('id', 'vr-port');
-  XR.magicWindowCanvas.setAttribute('name', 'magic-window');
-
-  XR.magicWindowCanvas.width = window.innerWidth;
-  XR.magicWindowCanvas.height = window.innerHeight;
-
-  // Set canvas rendering context to xrpresent
-  const xrMagicWindowContext = XR.magicWindowCanvas.getContext('xrpresent');
-
+async function xrStartMagicWindow() {
+  let session = null;
   try {
-    XR.session = await navigator.xr.requestSession('inline');
-    canvas.style.display = 'none';
-    canvas.parentNode.insertBefore(XR.magicWindowCanvas, canvas);
-    xrOnSessionStarted(xrMagicWindowContext);
+    session = await navigator.xr.requestSession('inline', sessionOptions.inline);
+    await xrOnSessionStarted(session, 'inline');
+    XR.magicWindowCanvas = canvas;
+    return true;
   } catch (reason) {
     console.log(`Device unable to support magic window session : ${reason}`);
+    if (session) {
+      session.end();
+    }
+    return false;
   }
 }
 
+/**
+ * Shows the 'Enter VR' and 'Enter AR' buttons only while their sessions are supported.
+ * Called again whenever the XR device changes.
+ */
+async function xrCheckImmersiveSupport() {
+  await Promise.all(Object.keys(sessionButtons).map(async (mode) => {
+    let supported = false;
+    try {
+      supported = await navigator.xr.isSessionSupported(mode);
+    } catch (reason) {
+      console.log(`Error checking for ${mode} support : ${reason || ''}`);
+    }
+
+    if (supported) {
+      createSessionButton(mode);
+    } else {
+      console.log(`Device unable to support ${mode} session`);
+      removeSessionButton(mode);
+    }
+  }));
+}
+
 /*
- * Waits for an XR device to connect to the session and validates its capabilities
+ * Validates the XR capabilities of the browser and picks the controls to use
  */
 async function xrValidate() {
-  // TODO: Create new VRButton object here
-
   // Check that the browser has XR enabled
   if (navigator.xr) {
-    // Listens for when a device changes and calls this function once again
-    // to validate the new device / setup XR sessions
-    navigator.xr.addEventListener('device-change', xrValidate);
+    // Listens for when a device changes so that the VR button can be updated
+    navigator.xr.addEventListener('devicechange', xrCheckImmersiveSupport);
+    await xrCheckImmersiveSupport();
 
-    // Check if device is capable of an immersive-vr sessions
-    try {
-      await navigator.xr.supportsSession('immersive-vr');
-      createVRButton();
-    } catch (reason) {
-      console.log(`Device unable to support immersive-vr session : ${reason || ''}`);
-    }
-
-    // Check to see if an non-immersive xr session is supported
-    try {
-      await navigator.xr.supportsSession('inline');
+    // Check to see if a non-immersive xr session that tracks the device is supported
+    if (await xrStartMagicWindow()) {
       showTouchControls();
-      xrValidateMagicWindow();
-    } catch (reason) {
-      console.log(`Device unable to support inline session : ${reason || ''}`);
+    } else {
       console.log('Instead, enable keyboard/mouse.');
       addMouseKeyboardEventListeners();
     }
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Loader } from '../src/scripts/loader';
+import { renderer } from '../src/scripts/renderer';
+import earthMapKtx2 from '../src/assets/planets/earthmap.ktx2';
+import {
+  TRIANGLE_POSITIONS, TRIANGLE_INDICES, writeMeshoptTriangle, writeDracoTriangle, writeMeshoptGltf
+} from './support/gltf';
+
+function getTriangle(gltf) {
+  const { geometry } = gltf.scene.getObjectByName('Triangle');
+  return {
+    positions: [...geometry.attributes.position.array],
+    indices: [...geometry.index.array]
+  };
+}
+
+test('meshopt compressed geometry is decoded', async () => {
+  const url = await writeMeshoptTriangle('meshopt.glb');
+  const gltf = await new Loader().addGltfToQueue(url, 'triangle');
+
+  assert.deepStrictEqual(getTriangle(gltf), {
+    positions: TRIANGLE_POSITIONS, indices: TRIANGLE_INDICES
+  });
+});
+
+test('draco compressed geometry is decoded', async () => {
+  const url = await writeDracoTriangle('draco.glb');
+  const gltf = await new Loader().addGltfToQueue(url, 'triangle');
+
+  const { positions, indices } = getTriangle(gltf);
+  assert.deepStrictEqual(indices.map(index => positions.slice(index * 3, index * 3 + 3)), [
+    TRIANGLE_POSITIONS.slice(0, 3), TRIANGLE_POSITIONS.slice(3, 6), TRIANGLE_POSITIONS.slice(6, 9)
+  ]);
+});
+
+test('a model that can\'t be decoded falls back to the uncompressed file', async () => {
+  const url = writeMeshoptGltf('meshopt.gltf');
+  const fallbackUrl = await writeMeshoptTriangle('fallback.glb');
+  const gltf = await new Loader().addGltfToQueue(url, 'triangle', fallbackUrl);
+
+  assert.deepStrictEqual(getTriangle(gltf).positions, TRIANGLE_POSITIONS);
+});
+
+test('a KTX2 texture falls back to a PNG on a GPU without compressed formats', async () => {
+  const texture = await new Loader().addTextureToQueue('sky.ktx2', 'sky', 'sky.png');
+
+  assert.ok(!texture.isCompressedTexture);
+  assert.strictEqual(texture.image.src, 'sky.png');
+});
+
+test('KTX2 textures are transcoded by the bundled Basis transcoder', async () => {
+  const { get } = renderer.extensions;
+  // Like a desktop GPU
+  renderer.extensions.get = name => (name === 'WEBGL_compressed_texture_s3tc' ? {} : null);
+  try {
+    const texture = await new Loader().addTextureToQueue(earthMapKtx2, 'earth', 'earth.jpg');
+    assert.ok(texture.isCompressedTexture);
+    assert.ok(texture.mipmaps.length > 1 && texture.mipmaps[0].data.length > 0);
+  } finally {
+    renderer.extensions.get = get;
+  }
+});
@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  Mesh, Group, Object3D, BoxBufferGeometry, MeshBasicMaterial, Vector3, Quaternion, Matrix4,
+  Box3
+} from 'three';
+import XrScene from '../src/scripts/scenes/xr-scene';
+import { DragInteraction } from '../src/scripts/interactions';
+import {
+  lockToAxis, lockToPlane, clampToBox, snapToGrid, snapToPoints, rotateOnlyAbout
+} from '../src/scripts/constraints';
+import {
+  loadScene, enterXR, exitXR, runFrames, pointAtPoint
+} from './support/harness';
+
+class EmptyRoom extends XrScene {}
+
+function assertVectorClose(actual, expected, message) {
+  assert.ok(actual.distanceTo(expected) < 1e-6, `${message}: ${actual.toArray()}`);
+}
+
+// Runs a constraint on a drag from the origin to a point
+function constrain(constraint, x, y, z, space = new Matrix4()) {
+  const matrix = new Matrix4().makeTranslation(x, y, z);
+  constraint(matrix, { start: new Matrix4(), space });
+  return new Vector3().setFromMatrixPosition(matrix);
+}
+
+test('drags can be locked to an axis or plane and kept in a box', () => {
+  assertVectorClose(constrain(lockToAxis('x'), 1, 2, 3), new Vector3(1, 0, 0), 'along x');
+  assertVectorClose(
+    constrain(lockToAxis(new Vector3(1, 1, 0)), 2, 0, 5), new Vector3(1, 1, 0), 'along a diagonal'
+  );
+  assertVectorClose(constrain(lockToPlane('y'), 1, 2, 3), new Vector3(1, 0, 3), 'across the floor');
+  const box = new Box3(new Vector3(-1, -Infinity, -1), new Vector3(1, Infinity, 1));
+  assertVectorClose(constrain(clampToBox(box), 5, 5, -0.5), new Vector3(1, 5, -0.5), 'in the box');
+});
+
+test('drags can snap to a grid or to nearby points', () => {
+  assertVectorClose(constrain(snapToGrid(0.5), 0.7, -0.2, 1.3), new Vector3(0.5, 0, 1.5), 'grid');
+
+  const near = new Object3D();
+  near.position.set(1, 0, 0);
+  near.rotation.y = Math.PI / 2;
+  const far = new Object3D();
+  far.position.set(3, 0, 0);
+  const points = [far, near];
+  points.forEach(point => point.updateMatrixWorld());
+  const snap = snapToPoints(points, { threshold: 0.5, align: true });
+  assertVectorClose(constrain(snap, 1.2, 0.2, 0), near.position, 'the point in range');
+  assertVectorClose(constrain(snap, 2, 0, 0), new Vector3(2, 0, 0), "points that aren't");
+
+  // The points are in the world, and the drag is in a parent that's been moved up one
+  const space = new Matrix4().makeTranslation(0, 1, 0);
+  assertVectorClose(constrain(snap, 1.2, -1, 0, space), new Vector3(1, -1, 0), 'in the space');
+
+  const matrix = new Matrix4().makeTranslation(0.9, 0, 0);
+  snap(matrix, { start: new Matrix4(), space: new Matrix4() });
+  assert.ok(matrix.equals(near.matrixWorld), 'aligned with the point');
+
+  const snaps = [];
+  const tellSnaps = snapToPoints(points, { threshold: 0.5, onSnap: point => snaps.push(point) });
+  [1.2, 1.1, 2, 1, 2.9].forEach(x => constrain(tellSnaps, x, 0, 0));
+  assert.deepStrictEqual(snaps, [near, near, far], 'only snapping onto a point is told');
+});
+
+test('drags can be kept to turning about an axis', () => {
+  const tilted = new Quaternion().setFromAxisAngle(new Vector3(1, 0, 0), 0.5)
+    .premultiply(new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), 1));
+  const matrix = new Matrix4().makeRotationFromQuaternion(tilted)
+    .setPosition(new Vector3(1, 2, 3));
+  rotateOnlyAbout('y')(matrix, { start: new Matrix4(), space: new Matrix4() });
+
+  const position = new Vector3();
+  const rotation = new Quaternion();
+  matrix.decompose(position, rotation, new Vector3());
+  assertVectorClose(position, new Vector3(1, 2, 3), "it's moved to where it's dragged");
+  const turned = new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), 1);
+  assert.ok(Math.abs(rotation.dot(turned)) > 1 - 1e-6, 'only the turn about y is kept');
+});
+
+test('dragged objects only go where their constraints let them', async () => {
+  const room = await loadScene(EmptyRoom);
+  // On a shelf that's been moved, so the constraints are in the shelf's space
+  const shelf = new Group();
+  shelf.position.set(0, 1, -5);
+  const box = new Mesh(new BoxBufferGeometry(1, 1, 1), new MeshBasicMaterial());
+  box.position.set(0, 0.6, 0);
+  box[DragInteraction] = {
+    constraints: [
+      lockToAxis('x'),
+      clampToBox(new Box3(
+        new Vector3(-2, -Infinity, -Infinity), new Vector3(2, Infinity, Infinity)
+      ))
+    ]
+  };
+  shelf.add(box);
+  room.scene.add(shelf);
+
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  const eye = new Vector3(0, 1.6, 0);
+  pointAtPoint(controller, eye, new Vector3(0, 1.6, -5));
+  runFrames(1);
+  session.selectStart(controller);
+
+  // Up and far to the right, but the box only slides along the shelf to its end
+  pointAtPoint(controller, eye, new Vector3(4, 3, -5));
+  runFrames(1);
+  assertVectorClose(
+    new Vector3().setFromMatrixPosition(box.matrix), new Vector3(2, 0.6, 0), 'on the shelf'
+  );
+  session.selectEnd(controller);
+  await exitXR();
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  Mesh, BoxBufferGeometry, MeshBasicMaterial, Vector3
+} from 'three';
+import XrScene from '../src/scripts/scenes/xr-scene';
+import {
+  HoverInteraction, SelectInteraction, DragInteraction, pulseControllers
+} from '../src/scripts/interactions';
+import { HapticPulses } from '../src/scripts/scenes/controllers';
+import {
+  loadScene, enterXR, exitXR, runFrames, pointAtObject, pointAtPoint
+} from './support/harness';
+
+class EmptyRoom extends XrScene {}
+
+// Gives an input source a gamepad that writes down how it's pulsed
+function addHaptics(inputSource) {
+  const pulses = [];
+  inputSource.gamepad = {
+    hapticActuators: [{
+      pulse(intensity, duration) {
+        pulses.push({ intensity, duration });
+        return Promise.resolve(true);
+      }
+    }]
+  };
+  return pulses;
+}
+
+function createBox(x = 0) {
+  const box = new Mesh(new BoxBufferGeometry(1, 1, 1), new MeshBasicMaterial());
+  box.position.set(x, 1.6, -5);
+  return box;
+}
+
+test('controllers buzz when they point at and select things that handle it', async () => {
+  const room = await loadScene(EmptyRoom);
+  const button = createBox();
+  button[HoverInteraction] = {};
+  button[SelectInteraction] = {};
+  const wall = createBox(3);
+  room.scene.add(button, wall);
+
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  const pulses = addHaptics(controller);
+
+  pointAtObject(controller, wall);
+  runFrames(1);
+  session.select(controller);
+  assert.deepStrictEqual(pulses, [], "the wall doesn't do anything");
+
+  pointAtObject(controller, button);
+  runFrames(3);
+  assert.deepStrictEqual(pulses, [HapticPulses.hover], 'only when the hover starts');
+  session.select(controller);
+  assert.deepStrictEqual(pulses, [HapticPulses.hover, HapticPulses.select]);
+  await exitXR();
+});
+
+test('scenes can buzz every controller or only the ones dragging something', async () => {
+  const room = await loadScene(EmptyRoom);
+  const box = createBox();
+  box[DragInteraction] = {};
+  room.scene.add(box);
+
+  const session = await enterXR('immersive-vr');
+  const left = session.addInputSource({ handedness: 'left' });
+  const right = session.addInputSource({ handedness: 'right' });
+  // A controller without haptics is skipped
+  session.addInputSource({ handedness: 'none' });
+  const leftPulses = addHaptics(left);
+  const rightPulses = addHaptics(right);
+  pointAtPoint(left, new Vector3(0, 1.6, 0), new Vector3(-3, 1.6, -5));
+  pointAtObject(right, box);
+  runFrames(1);
+  session.selectStart(right);
+  rightPulses.length = 0;
+
+  pulseControllers(HapticPulses.snap, box);
+  assert.deepStrictEqual(leftPulses, []);
+  assert.deepStrictEqual(rightPulses, [HapticPulses.snap]);
+
+  pulseControllers(HapticPulses.success);
+  assert.deepStrictEqual(leftPulses, [HapticPulses.success]);
+  assert.deepStrictEqual(rightPulses, [HapticPulses.snap, HapticPulses.success]);
+  session.selectEnd(right);
+  await exitXR();
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import HomeScene from '../src/scripts/scenes/home';
+import pendulumSceneUrl from '../src/assets/pendulum_scene.glb';
+import starsUrl from '../src/assets/planets/stars.ktx2';
+import { isAssetLoaded } from '../src/scripts/assetCache';
+import { getCurrentScene } from '../src/scripts/currentScene';
+import {
+  loadScene, enterXR, exitXR, runFrames, pointAtObject, settle
+} from './support/harness';
+
+function findDoor(home, path) {
+  return home.scene.children.find(object => object.userData.path === path);
+}
+
+test('selecting the Kinematics door changes the room to /kinematics', async () => {
+  const home = await loadScene(HomeScene);
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+
+  const door = findDoor(home, '/kinematics').children[0];
+  pointAtObject(controller, door);
+  runFrames(2);
+  assert.strictEqual(door.material.color.getHexString(), 'd2b48c', 'the door is hovered');
+
+  const paths = [];
+  window.addEventListener('changeRoom', event => paths.push(event.detail.newPath));
+  session.select(controller);
+  assert.deepStrictEqual(paths, ['/kinematics']);
+
+  await exitXR();
+  assert.strictEqual(door.material.color.getHex(), 0x7c5c3a, 'the hover ends with the session');
+
+  // The router goes there, let it finish so it doesn't let go of what later tests prefetch
+  for (let i = 0; i < 100 && !(getCurrentScene() !== home && getCurrentScene().frame); i++) {
+    await settle(); // eslint-disable-line no-await-in-loop
+  }
+});
+
+test('every room in the registry gets a door', async () => {
+  const home = await loadScene(HomeScene);
+  const paths = home.scene.children
+    .filter(object => object.userData.path)
+    .map(object => object.userData.path);
+  assert.deepStrictEqual(paths, ['/planets', '/kinematics', '/pendulums', '/lasers']);
+});
+
+test('the room behind a hovered door is loaded before the other rooms', async () => {
+  const home = await loadScene(HomeScene);
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+
+  const prefetches = [];
+  const onPrefetch = event => prefetches.push(event.detail.path);
+  window.addEventListener('prefetchRoom', onPrefetch);
+  pointAtObject(controller, findDoor(home, '/pendulums').children[0]);
+  runFrames(3);
+  window.removeEventListener('prefetchRoom', onPrefetch);
+  assert.deepStrictEqual(prefetches, ['/pendulums'], 'once, not every frame the door is hovered');
+  for (let i = 0; i < 50 && !isAssetLoaded(pendulumSceneUrl); i++) {
+    await settle(); // eslint-disable-line no-await-in-loop
+  }
+  assert.ok(isAssetLoaded(pendulumSceneUrl), 'the pendulum room is prefetched');
+  assert.ok(!isAssetLoaded(starsUrl), 'the planets room, whose door comes first, is still waiting');
+  await exitXR();
+});
@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  Mesh, Group, BoxBufferGeometry, MeshBasicMaterial
+} from 'three';
+import XrScene from '../src/scripts/scenes/xr-scene';
+import {
+  HoverInteraction, SelectInteraction, DragInteraction, addInteractions
+} from '../src/scripts/interactions';
+import { Text } from '../src/scripts/text';
+import TriggerMesh from '../src/scripts/trigger';
+import {
+  loadScene, enterXR, exitXR, runFrames, pointAtObject
+} from './support/harness';
+
+class EmptyRoom extends XrScene {}
+
+function createBox(z = -5) {
+  const box = new Mesh(new BoxBufferGeometry(1, 1, 1), new MeshBasicMaterial());
+  box.position.set(0, 1.6, z);
+  return box;
+}
+
+// Adds handlers to an object that write down when they're called
+function recordInteractions(object, kind, name, calls) {
+  addInteractions(object, {
+    [kind]: {
+      start: (intersection) => {
+        calls.push(`${name} start ${intersection.object.name}`);
+      },
+      end: () => {
+        calls.push(`${name} end`);
+      }
+    }
+  });
+}
+
+test('an object can have several behaviours for the same interaction', async () => {
+  const room = await loadScene(EmptyRoom);
+  const box = createBox();
+  box.name = 'box';
+  room.scene.add(box);
+
+  const calls = [];
+  recordInteractions(box, HoverInteraction, 'highlight', calls);
+  recordInteractions(box, HoverInteraction, 'tooltip', calls);
+  recordInteractions(box, DragInteraction, 'drag', calls);
+
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  pointAtObject(controller, box);
+  runFrames(2);
+  assert.deepStrictEqual(calls, ['highlight start box', 'tooltip start box']);
+
+  session.selectStart(controller);
+  assert.strictEqual(box.matrixAutoUpdate, false, 'the box is dragged');
+  session.selectEnd(controller);
+  assert.strictEqual(box.matrixAutoUpdate, true);
+  assert.deepStrictEqual(calls.slice(2), ['drag start box', 'drag end']);
+
+  await exitXR();
+  assert.deepStrictEqual(calls.slice(4), ['highlight end', 'tooltip end']);
+});
+
+test('interactions bubble up to the nearest object that handles them', async () => {
+  const room = await loadScene(EmptyRoom);
+  const door = new Group();
+  const panel = createBox();
+  panel.name = 'panel';
+  const handle = createBox(-4.5);
+  handle.name = 'handle';
+  handle.scale.setScalar(0.2);
+  // Text on the door can be pointed at, but doesn't do anything itself
+  const label = new Text('EXIT');
+  label.name = 'label';
+  label.position.set(0, 1.6, -4.3);
+  label.scale.setScalar(0.1);
+  door.add(panel, handle, label);
+  room.scene.add(door);
+
+  const calls = [];
+  recordInteractions(door, HoverInteraction, 'door', calls);
+  recordInteractions(door, SelectInteraction, 'door', calls);
+  recordInteractions(handle, HoverInteraction, 'handle', calls);
+
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  pointAtObject(controller, label);
+  runFrames(1);
+  session.select(controller);
+  assert.deepStrictEqual(calls, ['door start label', 'door start label', 'door end']);
+
+  // The handle handles its own hovers, but its selects still reach the door
+  door.remove(label);
+  pointAtObject(controller, handle);
+  runFrames(1);
+  session.select(controller);
+  assert.deepStrictEqual(calls.slice(3), [
+    'door end', 'handle start handle', 'door start handle', 'door end'
+  ]);
+  await exitXR();
+});
+
+test('trigger meshes can be given handlers like any other object', async () => {
+  const room = await loadScene(EmptyRoom);
+  const button = new TriggerMesh(new BoxBufferGeometry(1, 1, 1), new MeshBasicMaterial());
+  button.name = 'button';
+  button.position.set(0, 1.6, -5);
+  const calls = [];
+  button.select = () => calls.push('trigger select');
+  room.scene.add(button);
+
+  recordInteractions(button, SelectInteraction, 'added', calls);
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  pointAtObject(controller, button);
+  runFrames(1);
+  session.select(controller);
+  assert.deepStrictEqual(calls, ['trigger select', 'added start button', 'added end']);
+
+  button[SelectInteraction] = { start: () => calls.push('set start') };
+  session.select(controller);
+  assert.deepStrictEqual(calls.slice(3), ['set start'], 'what is set replaces the rest');
+  await exitXR();
+});
+
+test('pointing at things without handlers logs nothing', async () => {
+  const room = await loadScene(EmptyRoom);
+  const box = createBox();
+  room.scene.add(box);
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+
+  const { log } = console;
+  const logged = [];
+  console.log = (...args) => logged.push(args);
+  try {
+    pointAtObject(controller, box);
+    runFrames(5);
+    session.select(controller);
+    runFrames(5);
+  } finally {
+    console.log = log;
+  }
+  assert.deepStrictEqual(logged, []);
+  await exitXR();
+});
+
+test('leaving XR in the middle of a drag ends it', async () => {
+  const room = await loadScene(EmptyRoom);
+  const box = createBox();
+  box.name = 'box';
+  room.scene.add(box);
+  const calls = [];
+  recordInteractions(box, DragInteraction, 'drag', calls);
+  recordInteractions(box, SelectInteraction, 'select', calls);
+  addInteractions(box, {
+    [SelectInteraction]: {
+      select: (intersection) => {
+        calls.push(`select ${intersection}`);
+      }
+    }
+  });
+
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  pointAtObject(controller, box);
+  runFrames(1);
+  session.selectStart(controller);
+  await exitXR();
+  assert.deepStrictEqual(calls, [
+    'select start box', 'drag start box', 'drag end', 'select end', 'select null'
+  ]);
+  assert.strictEqual(box.matrixAutoUpdate, true);
+});
@@ -0,0 +1,225 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  Texture, Mesh, BoxBufferGeometry, MeshBasicMaterial
+} from 'three';
+import { Loader, AssetLoadError, AssetManifestError } from '../src/scripts/loader';
+import { evictUnusedAssets, getAssetRefCount } from '../src/scripts/assetCache';
+import { disposeAsset } from '../src/scripts/dispose';
+
+// A three.js style load function that plays back a list of outcomes, one per attempt.
+// 'hang' downloads half of the file and then stops, and returns a request that can be aborted.
+function scriptedLoad(outcomes) {
+  const attempts = [];
+  const aborted = [];
+  const load = (url, onLoad, onProgress, onError) => {
+    const attempt = attempts.length;
+    const outcome = outcomes[attempt];
+    attempts.push(url);
+    setTimeout(() => {
+      if (outcome instanceof Error) {
+        onError(outcome);
+        return;
+      }
+      onProgress({ lengthComputable: true, loaded: 50, total: 100 });
+      if (outcome !== 'hang') {
+        onProgress({ lengthComputable: true, loaded: 100, total: 100 });
+        onLoad(outcome);
+      }
+    }, 0);
+    return { abort: () => aborted.push(attempt) };
+  };
+  return { load, attempts, aborted };
+}
+
+function fastLoader() {
+  const loader = new Loader();
+  loader.timeout = 20;
+  loader.retryDelay = 1;
+  return loader;
+}
+
+test('a failed asset is retried until it loads', async () => {
+  const loader = fastLoader();
+  const { load, attempts } = scriptedLoad([new Error('404'), 'hang', 'asset']);
+
+  loader.addToQueue(load, 'texture.png', 'texture');
+  const cache = await loader.waitForCache();
+
+  assert.strictEqual(cache.texture, 'asset');
+  assert.strictEqual(attempts.length, 3);
+  assert.deepStrictEqual(loader.getProgress(), {
+    loadedItems: 1, totalItems: 1, loadedBytes: 100, totalBytes: 100, fraction: 1
+  });
+});
+
+test('an attempt that stops making progress is aborted and what it loads late is ignored', async () => {
+  const loader = fastLoader();
+  const { load: scriptedStall, aborted } = scriptedLoad(['hang', 'asset']);
+  let finishFirstAttempt = null;
+  const load = (url, onLoad, onProgress, onError) => {
+    finishFirstAttempt = finishFirstAttempt || (() => onLoad('late'));
+    return scriptedStall(url, onLoad, onProgress, onError);
+  };
+
+  loader.addToQueue(load, 'stalled.png', 'stalled');
+  assert.strictEqual((await loader.waitForCache()).stalled, 'asset');
+  assert.deepStrictEqual(aborted, [0], 'the first attempt is aborted');
+  finishFirstAttempt();
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.strictEqual(loader.cache.stalled, 'asset');
+});
+
+test('loads that don\'t report progress aren\'t given up on', async () => {
+  const loader = fastLoader();
+  // Like three's image loaders, which only call onLoad
+  const load = (url, onLoad) => {
+    setTimeout(() => onLoad('image'), loader.timeout * 3);
+  };
+
+  loader.addToQueue(load, 'slow.png', 'slow');
+  assert.strictEqual((await loader.waitForCache()).slow, 'image');
+});
+
+test('an asset that keeps failing names itself in the error', async () => {
+  const loader = fastLoader();
+  const { load, attempts } = scriptedLoad([new Error('404'), new Error('404'), new Error('404')]);
+
+  loader.addToQueue(load, 'missing.png', 'missing-texture');
+  await assert.rejects(loader.waitForCache(), (err) => {
+    assert.ok(err instanceof AssetLoadError);
+    assert.strictEqual(err.id, 'missing-texture');
+    assert.strictEqual(err.url, 'missing.png');
+    return true;
+  });
+  assert.strictEqual(attempts.length, 1 + loader.retries);
+});
+
+test('progress is reported for every asset', async () => {
+  const loader = fastLoader();
+  const reports = [];
+  loader.onProgress = progress => reports.push(progress);
+
+  loader.addToQueue(scriptedLoad(['first']).load, 'first.glb', 'first');
+  loader.addToQueue(scriptedLoad(['hang', 'second']).load, 'second.glb', 'second');
+  await loader.waitForCache();
+
+  assert.deepStrictEqual(reports[0], {
+    loadedItems: 0, totalItems: 2, loadedBytes: 50, totalBytes: 100, fraction: 0.25
+  });
+  assert.strictEqual(reports[reports.length - 1].loadedItems, 2);
+  assert.strictEqual(reports[reports.length - 1].fraction, 1);
+});
+
+test('rooms loading the same url share one download and get their own copies', async () => {
+  const texture = new Texture({ width: 1, height: 1 });
+  const { load, attempts } = scriptedLoad([texture]);
+  const first = fastLoader();
+  const second = fastLoader();
+
+  const [firstCopy, secondCopy] = await Promise.all([
+    first.addToQueue(load, 'shared.png', 'floor'),
+    second.addToQueue(load, 'shared.png', 'floor')
+  ]);
+
+  assert.strictEqual(attempts.length, 1);
+  assert.notStrictEqual(firstCopy, secondCopy);
+  assert.strictEqual(firstCopy.image, secondCopy.image);
+  assert.strictEqual(getAssetRefCount('shared.png'), 2);
+
+  const model = new Mesh(new BoxBufferGeometry(), new MeshBasicMaterial());
+  const third = fastLoader();
+  const modelCopy = await third.addToQueue(scriptedLoad([model]).load, 'model.obj', 'model');
+  assert.strictEqual(modelCopy.geometry, model.geometry);
+  assert.notStrictEqual(modelCopy.material, model.material);
+  third.release();
+});
+
+test('an asset is only evicted once every room has released it', async () => {
+  const model = new Mesh(new BoxBufferGeometry(), new MeshBasicMaterial());
+  const { load, attempts } = scriptedLoad([model, model]);
+  let disposed = false;
+  model.geometry.addEventListener('dispose', () => { disposed = true; });
+  const first = fastLoader();
+  const second = fastLoader();
+  await first.addToQueue(load, 'table.glb', 'table');
+  await second.addToQueue(load, 'table.glb', 'table');
+
+  first.release();
+  evictUnusedAssets();
+  assert.strictEqual(disposed, false);
+  await fastLoader().addToQueue(load, 'table.glb', 'table');
+  assert.strictEqual(attempts.length, 1);
+
+  second.release();
+  evictUnusedAssets();
+  assert.strictEqual(disposed, false, 'the third loader still has it');
+});
+
+test("disposing a room's copy of an asset leaves what it shares with the cache", async () => {
+  const model = new Mesh(new BoxBufferGeometry(), new MeshBasicMaterial());
+  const disposed = [];
+  model.geometry.addEventListener('dispose', () => disposed.push('geometry'));
+  model.material.addEventListener('dispose', () => disposed.push('material'));
+  const loader = fastLoader();
+  const copy = await loader.addToQueue(scriptedLoad([model]).load, 'shelf.glb', 'shelf');
+  copy.material.addEventListener('dispose', () => disposed.push('copied material'));
+
+  disposeAsset(copy);
+  assert.deepStrictEqual(disposed, ['copied material'], 'only the copy owns its material');
+
+  loader.release();
+  evictUnusedAssets();
+  assert.deepStrictEqual(disposed, ['copied material', 'geometry', 'material']);
+});
+
+test('a released asset is loaded again after being evicted', async () => {
+  const { load, attempts } = scriptedLoad([new Texture(), new Texture()]);
+  const first = fastLoader();
+  await first.addToQueue(load, 'evicted.png', 'texture');
+  first.release();
+  evictUnusedAssets();
+
+  await fastLoader().addToQueue(load, 'evicted.png', 'texture');
+  assert.strictEqual(attempts.length, 2);
+});
+
+test('manifest entries for the same asset are only loaded once', async () => {
+  const loader = fastLoader();
+  const url = 'src/assets/textures/groundNormal.png';
+  const cache = await loader.addManifest([
+    { id: 'ground', url, type: 'texture' },
+    { id: 'floor', url, type: 'texture' },
+    { id: 'ground', url, type: 'texture' }
+  ]);
+
+  assert.strictEqual(cache.ground, cache.floor);
+  assert.strictEqual(getAssetRefCount(url), 1);
+  loader.release();
+});
+
+test('a manifest that can\'t be loaded is a clear error', () => {
+  const loader = fastLoader();
+  assert.throws(
+    () => loader.addManifest([{ id: 'table', url: 'table.obj', type: 'mesh' }]),
+    err => err instanceof AssetManifestError && /Unknown type "mesh"/.test(err.message)
+  );
+  assert.throws(
+    () => loader.addManifest([
+      { id: 'table', url: 'table.obj', type: 'obj' },
+      { id: 'table', url: 'chair.obj', type: 'obj' }
+    ]),
+    err => err instanceof AssetManifestError && /"table" is used for more than one asset/.test(err.message)
+  );
+});
+
+test('using an asset id that was never loaded names the ids that were', async () => {
+  const loader = fastLoader();
+  loader.addToQueue(scriptedLoad(['asset']).load, 'texture.png', 'texture');
+  const cache = await loader.waitForCache();
+
+  assert.throws(
+    () => cache.textrue,
+    err => err instanceof AssetManifestError && /"textrue".*texture/.test(err.message)
+  );
+});
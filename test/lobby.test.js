@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Vector3 } from 'three';
+import LobbyScene from '../src/scripts/scenes/lobby';
+import { getCurrentScene } from '../src/scripts/currentScene';
+import {
+  visit, enterXR, exitXR, runFrames, pointAtObject, settle
+} from './support/harness';
+
+function findPanel(lobby, path) {
+  return lobby.scene.children.find(object => object.userData.path === path);
+}
+
+test('the welcome page is a lobby with a panel for every room', async () => {
+  const lobby = await visit('/');
+  assert.ok(lobby instanceof LobbyScene);
+  const paths = lobby.scene.children
+    .filter(object => object.userData.path)
+    .map(object => object.userData.path);
+  assert.deepStrictEqual(paths, ['/planets', '/kinematics', '/pendulums', '/lasers']);
+  assert.strictEqual(document.getElementById('welcome-container').style.display, 'block');
+});
+
+test('selecting a panel in a headset goes into its room', async () => {
+  const lobby = await visit('/home').then(() => visit('/'));
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+
+  const panel = findPanel(lobby, '/pendulums');
+  pointAtObject(controller, panel, new Vector3(0, 1.4, 0));
+  runFrames(2);
+  assert.strictEqual(panel.material.color.getHexString(), 'aaccff', 'the panel is hovered');
+
+  session.select(controller);
+  for (let i = 0; i < 100 && getCurrentScene() === lobby; i++) {
+    await settle(); // eslint-disable-line no-await-in-loop
+  }
+  assert.strictEqual(window.location.pathname, '/pendulums');
+  assert.ok(lobby.disposed);
+  await exitXR();
+});
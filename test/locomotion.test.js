@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  Vector3, Quaternion, Matrix4, Box3
+} from 'three';
+import XrScene from '../src/scripts/scenes/xr-scene';
+import { XR } from '../src/scripts/xrController';
+import {
+  locomotion, getPlayAreaMatrix, teleport
+} from '../src/scripts/controls/locomotion';
+import {
+  loadScene, enterXR, exitXR, runFrames
+} from './support/harness';
+
+class EmptyRoom extends XrScene {}
+
+function assertVectorClose(actual, expected, message) {
+  assert.ok(actual.distanceTo(expected) < 1e-6, `${message}: ${actual.toArray()}`);
+}
+
+function assertTurnedBy(angle, message) {
+  const rotation = new Quaternion();
+  getPlayAreaMatrix().decompose(new Vector3(), rotation, new Vector3());
+  const expected = new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), angle);
+  assert.ok(Math.abs(rotation.dot(expected)) > 1 - 1e-6, message);
+}
+
+// A controller with an 'xr-standard' gamepad, whose thumbstick is pushed with push()
+function addThumbstick(session, handedness) {
+  const inputSource = session.addInputSource({ handedness });
+  inputSource.gamepad = { axes: [0, 0, 0, 0], buttons: [] };
+  const push = (x, y) => {
+    inputSource.gamepad.axes = [0, 0, x, y];
+  };
+  return push;
+}
+
+test('the left thumbstick walks the way the user looks', async () => {
+  await loadScene(EmptyRoom);
+  const session = await enterXR('immersive-vr');
+  // Looking to the right, along x
+  session.setViewerMatrix(new Matrix4().makeRotationY(-Math.PI / 2)
+    .setPosition(new Vector3(0, 1.6, 0)));
+  const push = addThumbstick(session, 'left');
+
+  push(0, -0.1);
+  runFrames(2);
+  assertVectorClose(
+    new Vector3().setFromMatrixPosition(getPlayAreaMatrix()), new Vector3(), 'not past the deadzone'
+  );
+
+  push(0, -1);
+  runFrames(2);
+  const position = new Vector3().setFromMatrixPosition(getPlayAreaMatrix());
+  assert.ok(position.x > 0, 'forwards');
+  assert.ok(Math.abs(position.y) < 1e-9 && Math.abs(position.z) < 1e-9, 'only forwards');
+  await exitXR();
+});
+
+test('the right thumbstick snap turns about where the user stands', async () => {
+  await loadScene(EmptyRoom);
+  const session = await enterXR('immersive-vr');
+  // Standing to the right of the middle of the play area
+  const head = new Vector3(1, 1.6, 0);
+  session.setViewerMatrix(new Matrix4().makeTranslation(head.x, head.y, head.z));
+  const push = addThumbstick(session, 'right');
+
+  push(1, 0);
+  runFrames(3);
+  assertTurnedBy(-Math.PI / 6, 'one step to the right, however long the stick is held');
+  assertVectorClose(head.clone().applyMatrix4(getPlayAreaMatrix()), head, "the user doesn't move");
+
+  push(0, 0);
+  runFrames(1);
+  push(1, 0);
+  runFrames(1);
+  assertTurnedBy(-Math.PI / 3, 'another step once the stick has been let go of');
+
+  teleport(new Vector3(3, 0, 4));
+  assertVectorClose(
+    new Vector3().setFromMatrixPosition(getPlayAreaMatrix()), new Vector3(3, 0, 4), 'teleported'
+  );
+  assertTurnedBy(-Math.PI / 3, 'still facing the same way');
+  await exitXR();
+});
+
+test("thumbsticks don't walk out of the scene's bounds", async () => {
+  const room = await loadScene(EmptyRoom);
+  room.bounds.push(new Box3(new Vector3(-2, -1, -2), new Vector3(2, 1, 2)));
+  // Rooms keep the way the user was turned in the last one
+  XR.setOffsetMatrix(new Matrix4());
+  const session = await enterXR('immersive-vr');
+  const push = addThumbstick(session, 'none');
+  const { speed } = locomotion;
+  locomotion.speed = 10000;
+  try {
+    push(0, -1);
+    runFrames(1);
+  } finally {
+    locomotion.speed = speed;
+  }
+  assertVectorClose(
+    new Vector3().setFromMatrixPosition(getPlayAreaMatrix()), new Vector3(0, 0, -2),
+    'at the edge of the bounds'
+  );
+  await exitXR();
+});
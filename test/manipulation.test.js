@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  Mesh, BoxBufferGeometry, MeshBasicMaterial, Vector3, Quaternion, Matrix4
+} from 'three';
+import XrScene from '../src/scripts/scenes/xr-scene';
+import { DragInteraction } from '../src/scripts/interactions';
+import { startManipulation, manipulate } from '../src/scripts/manipulation';
+import {
+  loadScene, enterXR, exitXR, runFrames, pointAtPoint
+} from './support/harness';
+
+class EmptyRoom extends XrScene {}
+
+function assertVectorClose(actual, expected, message) {
+  assert.ok(actual.distanceTo(expected) < 1e-4, `${message}: ${actual.toArray()}`);
+}
+
+// A 2 wide box 5 in front of the viewer, so each hand can hold one end of it
+async function holdBoxWithBothHands(options) {
+  const room = await loadScene(EmptyRoom);
+  const box = new Mesh(new BoxBufferGeometry(2, 1, 1), new MeshBasicMaterial());
+  box.position.set(0, 1.6, -5);
+  // Whether each drag of the box was with both hands or one
+  const drags = [];
+  box[DragInteraction] = {
+    ...options,
+    drag(matrix, { twoHanded }) {
+      drags.push(twoHanded);
+      box.matrix.copy(matrix);
+      box.updateMatrixWorld(true);
+    }
+  };
+  room.scene.add(box);
+
+  const session = await enterXR('immersive-vr');
+  const left = session.addInputSource({ handedness: 'left' });
+  const right = session.addInputSource({ handedness: 'right' });
+  // The hands point straight ahead, and grab the box half a unit either side of its center
+  const point = (inputSource, x, z = 0) => pointAtPoint(
+    inputSource, new Vector3(x, 1.6, z), new Vector3(x, 1.6, z - 5)
+  );
+  point(left, -0.5);
+  point(right, 0.5);
+  runFrames(1);
+  session.selectStart(left);
+  session.selectStart(right);
+  return {
+    box, drags, session, left, right, point
+  };
+}
+
+test('the point between the hands moves and turns what they hold', () => {
+  const start = startManipulation(
+    [new Vector3(-1, 0, 0), new Vector3(1, 0, 0)],
+    new Matrix4().makeTranslation(0, 0, -1),
+    { rotate: 'y', scale: { max: 1.5 } }
+  );
+  // The hands move up, turn and tilt, and get further apart
+  const matrix = manipulate(start, [new Vector3(0, 1, 2), new Vector3(0, 3, -2)]);
+  const position = new Vector3();
+  const quaternion = new Quaternion();
+  const scale = new Vector3();
+  matrix.decompose(position, quaternion, scale);
+
+  const turn = new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), Math.PI / 2);
+  assert.ok(Math.abs(quaternion.dot(turn)) > 1 - 1e-6, 'it only turns about the y axis');
+  assertVectorClose(scale, new Vector3(1.5, 1.5, 1.5), "it doesn't grow past its max scale");
+  assertVectorClose(position, new Vector3(-1.5, 2, 0), 'it turns about the point between the hands');
+});
+
+test('an object held with both hands follows both of them', async () => {
+  const {
+    box, drags, session, left, right, point
+  } = await holdBoxWithBothHands({});
+
+  // The left hand goes half a unit forwards and the right hand half a unit back
+  point(left, 0, 0.5);
+  point(right, 0, -0.5);
+  runFrames(1);
+  assert.deepStrictEqual(new Set(drags), new Set([true]));
+  const position = new Vector3();
+  const quaternion = new Quaternion();
+  box.matrix.decompose(position, quaternion, new Vector3());
+  assertVectorClose(position, new Vector3(-0.5, 1.6, -4.5), 'it turns about the midpoint');
+  const turn = new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), Math.PI / 2);
+  assert.ok(Math.abs(quaternion.dot(turn)) > 1 - 1e-6, 'it turns a quarter turn');
+
+  // Letting go with one hand leaves the box in the other, where it was
+  session.selectEnd(left);
+  drags.length = 0;
+  runFrames(1);
+  assert.deepStrictEqual(new Set(drags), new Set([false]));
+  box.matrix.decompose(position, quaternion, new Vector3());
+  assertVectorClose(position, new Vector3(-0.5, 1.6, -4.5), "it doesn't jump");
+
+  point(right, 1, -0.5);
+  runFrames(1);
+  box.matrix.decompose(position, quaternion, new Vector3());
+  assertVectorClose(position, new Vector3(0.5, 1.6, -4.5), 'it moves with the right hand');
+
+  session.selectEnd(right);
+  assert.strictEqual(box.matrixAutoUpdate, true);
+  await exitXR();
+});
+
+test("objects that can't be held with both hands stay in the first hand", async () => {
+  const {
+    box, drags, session, left, right, point
+  } = await holdBoxWithBothHands({ twoHanded: false });
+
+  point(right, 2);
+  runFrames(1);
+  assert.deepStrictEqual(new Set(drags), new Set([false]), 'the right hand does nothing');
+
+  session.selectEnd(right);
+  assert.strictEqual(box.matrixAutoUpdate, false, 'the left hand still holds it');
+  point(left, 1);
+  runFrames(1);
+  assertVectorClose(
+    new Vector3().setFromMatrixPosition(box.matrix), new Vector3(1.5, 1.6, -5),
+    'it follows the left hand'
+  );
+  session.selectEnd(left);
+  await exitXR();
+});
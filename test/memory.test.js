@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Vector3 } from 'three';
+import { getMemoryStats, showMemoryStats, hideMemoryStats } from '../src/scripts/memoryStats';
+import { visit, runFrames } from './support/harness';
+
+// The stub renderer only counts what three.js tells it to upload and to dispose, so this
+// shows that every room disposes what it uploaded, not that a real GPU's memory is freed
+test('leaving a room frees its geometries and textures', async () => {
+  const home = await visit('/home');
+  runFrames(1);
+  const baseline = getMemoryStats();
+  assert.ok(baseline.geometries > 0, 'the home room is counted');
+
+  const rooms = [];
+  for (const path of ['/planets', '/kinematics', '/pendulums', '/lasers', '/home']) {
+    rooms.push(await visit(path)); // eslint-disable-line no-await-in-loop
+    runFrames(1);
+  }
+
+  assert.deepStrictEqual(getMemoryStats(), baseline);
+  for (const room of [home, ...rooms.slice(0, -1)]) {
+    assert.ok(room.disposed);
+    assert.strictEqual(room.world.bodies.length, 0, 'the physics world is emptied');
+  }
+});
+
+test('resetting the laser room frees the mirrors it takes away', async () => {
+  const lasers = await visit('/lasers');
+  runFrames(1);
+  const baseline = getMemoryStats();
+  lasers._addMirrors(new Vector3(4, -5, -6));
+  // Like turning the mirror does
+  const [, angleLabel] = lasers.mirrors.children[0].children;
+  angleLabel.setText('45');
+  runFrames(1);
+  assert.ok(getMemoryStats().textures > baseline.textures, "the mirror's angle is drawn");
+
+  lasers._reset();
+  runFrames(1);
+  assert.deepStrictEqual(getMemoryStats(), baseline);
+});
+
+test('the ?debug counter stops updating once it is hidden', () => {
+  showMemoryStats();
+  assert.ok(document.getElementById('memory-stats'));
+  hideMemoryStats();
+  assert.strictEqual(document.getElementById('memory-stats'), null);
+});
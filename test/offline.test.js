@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { precacheScenes } from '../src/scripts/offline';
+import { getSceneEntries, loadSceneClass } from '../src/scripts/scenes';
+import { getTranscoderWasmUrl } from '../src/scripts/loaders/ktx2';
+
+// Just enough of Cache Storage for precacheScenes(), with urls that fail to fetch like the network is down
+function installCaches(failing = []) {
+  const urls = new Set();
+  const cache = {
+    urls,
+    match: url => Promise.resolve(urls.has(url) ? {} : undefined),
+    add: (url) => {
+      if (failing.includes(url)) {
+        return Promise.reject(new TypeError('Failed to fetch'));
+      }
+      urls.add(url);
+      return Promise.resolve();
+    }
+  };
+  window.caches = { open: () => Promise.resolve(cache) };
+  return cache;
+}
+
+// Every url in a room's manifest, including the fallbacks, which is what the room loads
+function manifestUrls(SceneClass) {
+  const urls = SceneClass.assets.map(({ url, options = {} }) => [url, options.fallback]);
+  return [].concat(...[].concat(...urls)).filter(Boolean);
+}
+
+function offlineStatuses() {
+  const statuses = {};
+  for (const item of document.querySelectorAll('#scene-links li')) {
+    statuses[item.dataset.path] = item.querySelector('.offline-status').textContent;
+  }
+  return statuses;
+}
+
+test('every room is saved for offline use', async () => {
+  const cache = installCaches();
+  const available = await precacheScenes();
+
+  assert.ok(Object.values(available).every(Boolean));
+  assert.ok(cache.urls.has('/'));
+  assert.ok(cache.urls.has(getTranscoderWasmUrl()), "the KTX2 transcoder's wasm is saved");
+  for (const entry of getSceneEntries()) {
+    const SceneClass = await loadSceneClass(entry.path); // eslint-disable-line no-await-in-loop
+    for (const url of manifestUrls(SceneClass)) {
+      assert.ok(cache.urls.has(url), `${entry.path} saves ${url}`);
+    }
+  }
+  assert.deepStrictEqual(offlineStatuses(), {
+    '/planets': 'Available offline',
+    '/kinematics': 'Available offline',
+    '/pendulums': 'Available offline',
+    '/lasers': 'Available offline'
+  });
+});
+
+test('a room with an asset that could not be saved needs a connection', async () => {
+  const planets = await loadSceneClass('/planets');
+  const [marsMap] = manifestUrls(planets).filter(url => /marsmap/.test(url));
+  installCaches([marsMap]);
+  const available = await precacheScenes();
+
+  assert.strictEqual(available['/planets'], false);
+  assert.strictEqual(available['/lasers'], true);
+  assert.strictEqual(offlineStatuses()['/planets'], 'Needs a connection');
+});
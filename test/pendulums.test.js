@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Matrix4, Vector3 } from 'three';
+import PendulumScene from '../src/scripts/scenes/pendulums';
+import {
+  loadScene, enterXR, exitXR, runFrames, pointAtPoint
+} from './support/harness';
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('dragging a pendulum swing stops its motion until drag_end', async () => {
+  const pendulums = await loadScene(PendulumScene);
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  const swing = pendulums.scene.getObjectByName('Pendulum_Swing');
+
+  // Stand in front of the short pendulum and point at its bob
+  const eye = new Vector3(-1.38, -1.2, -5);
+  pointAtPoint(controller, eye, new Vector3(-1.38, -1.2, -7.93));
+  runFrames(2);
+  const hanging = new Matrix4().copy(swing.matrix);
+  session.selectStart(controller);
+
+  // Pull the bob to the side
+  pointAtPoint(controller, eye, new Vector3(-0.9, -1.1, -7.93));
+  runFrames(1);
+  const pulled = new Matrix4().copy(swing.matrix);
+  assert.ok(!pulled.equals(hanging), 'the swing was pulled');
+  await wait(50);
+  runFrames(1);
+  assert.ok(swing.matrix.equals(pulled), 'the swing stays where it is held');
+
+  session.selectEnd(controller);
+  const released = new Matrix4().copy(swing.matrix);
+  await wait(50);
+  runFrames(1);
+  assert.ok(!swing.matrix.equals(released), 'the swing moves on its own again');
+  await exitXR();
+});
+
+test('a pendulum swing pointed at with both controllers turns back once neither is', async () => {
+  const pendulums = await loadScene(PendulumScene);
+  const session = await enterXR('immersive-vr');
+  const left = session.addInputSource({ handedness: 'left' });
+  const right = session.addInputSource({ handedness: 'right' });
+  const swing = pendulums.scene.getObjectByName('Pendulum_Swing');
+  const { material } = swing;
+
+  const eye = new Vector3(-1.38, -1.2, -5);
+  const bob = new Vector3(-1.38, -1.2, -7.93);
+  const away = new Vector3(-1.38, 5, -5);
+  pointAtPoint(left, eye, bob);
+  pointAtPoint(right, eye, bob);
+  runFrames(2);
+  assert.notStrictEqual(swing.material, material, 'it turns yellow');
+
+  pointAtPoint(left, eye, away);
+  runFrames(2);
+  assert.notStrictEqual(swing.material, material, 'the other controller still points at it');
+
+  pointAtPoint(right, eye, away);
+  runFrames(2);
+  assert.strictEqual(swing.material, material);
+  await exitXR();
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Vector3 } from 'three';
+import { visit, settle } from './support/harness';
+import { getCurrentScene } from '../src/scripts/currentScene';
+
+const PENDULUMS_KEY = 'webxr-physics:room:/pendulums';
+
+async function nextScene(previous) {
+  for (let i = 0; i < 100; i++) {
+    await settle(); // eslint-disable-line no-await-in-loop
+    const scene = getCurrentScene();
+    if (scene !== previous && scene.frame) {
+      return scene;
+    }
+  }
+  throw new Error('The room didn\'t load again');
+}
+
+test('rooms are the way they were left after a reload', async () => {
+  // Like a previous visit left it
+  window.localStorage.setItem(PENDULUMS_KEY, JSON.stringify({ version: 1, state: { surface: 'Moon' } }));
+  const pendulums = await visit('/pendulums');
+  assert.strictEqual(pendulums.currentSurface, 'Moon');
+
+  pendulums.loadSurface('Mars');
+  pendulums.stateChanged();
+  assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(PENDULUMS_KEY)), {
+    version: 1, state: { surface: 'Mars' }
+  });
+});
+
+test('saved states that can\'t be used are ignored', async () => {
+  // Leaving a room saves it, so leave before changing what's saved
+  await visit('/home');
+  window.localStorage.setItem(PENDULUMS_KEY, JSON.stringify({ version: 0, state: { surface: 'Moon' } }));
+  assert.strictEqual((await visit('/pendulums')).currentSurface, 'Earth', 'from an older version');
+
+  await visit('/home');
+  window.localStorage.setItem(PENDULUMS_KEY, '{not json');
+  assert.strictEqual((await visit('/pendulums')).currentSurface, 'Earth');
+});
+
+test('gravity in the kinematics room is kept', async () => {
+  const kinematics = await visit('/kinematics?gravity=0,-20,0');
+  assert.strictEqual(kinematics.world.gravity.y, -20);
+  assert.strictEqual(kinematics.gravitySlider.value, 20, 'the slider shows the stronger gravity');
+
+  kinematics.toggleGravity();
+  assert.strictEqual(window.location.search, '?gravity=0%2C0.001%2C0');
+  kinematics.reverseGravity();
+  assert.strictEqual(window.location.search, '');
+});
+
+test('Reset this room starts the room fresh', async () => {
+  const lasers = await visit('/lasers');
+  lasers._addMirrors(new Vector3(4, -5, -6));
+  assert.match(window.location.search, /mirrors=/);
+
+  lasers.scene.getObjectByName('Reset Room Button').select();
+  const fresh = await nextScene(lasers);
+  assert.strictEqual(fresh.mirrors.children.length, 0);
+  assert.doesNotMatch(window.location.search, /mirrors=/);
+  assert.doesNotMatch(window.localStorage.getItem('webxr-physics:room:/lasers'), /mirrors/);
+});
+
+test('every room can be reset from the welcome page', async () => {
+  const pendulums = await visit('/pendulums');
+  pendulums.loadSurface('Moon');
+  pendulums.stateChanged();
+
+  await visit('/');
+  document.getElementById('reset-rooms').click();
+  assert.strictEqual(window.localStorage.getItem(PENDULUMS_KEY), null);
+  assert.strictEqual((await visit('/pendulums')).currentSurface, 'Earth');
+});
@@ -0,0 +1,268 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import XrScene from '../src/scripts/scenes/xr-scene';
+import LobbyScene from '../src/scripts/scenes/lobby';
+import { registerScene } from '../src/scripts/scenes';
+import { navigate, prefetchScene } from '../src/scripts/router';
+import { getCurrentScene } from '../src/scripts/currentScene';
+import { getAssetRefCount, isAssetLoaded } from '../src/scripts/assetCache';
+import '../src/scripts/links';
+import { settle } from './support/harness';
+
+class FirstRoom extends XrScene {}
+
+class SecondRoom extends XrScene {}
+
+test('a room is only fetched the first time it is navigated to', async () => {
+  await settle();
+  let loads = 0;
+  registerScene({
+    path: '/first',
+    title: 'First Room',
+    load: () => {
+      loads += 1;
+      return Promise.resolve({ default: FirstRoom });
+    }
+  });
+
+  navigate('/first');
+  await settle();
+  assert.ok(getCurrentScene() instanceof FirstRoom);
+
+  navigate('/');
+  await settle();
+  navigate('/first');
+  await settle();
+  assert.ok(getCurrentScene() instanceof FirstRoom);
+  assert.strictEqual(loads, 1);
+});
+
+test('a room that finishes loading after leaving it is not shown', async () => {
+  let finishLoading;
+  registerScene({
+    path: '/second',
+    title: 'Second Room',
+    load: () => new Promise((resolve) => {
+      finishLoading = () => resolve({ default: SecondRoom });
+    })
+  });
+
+  navigate('/second');
+  await settle();
+  navigate('/first');
+  await settle();
+  finishLoading();
+  await settle();
+  assert.ok(getCurrentScene() instanceof FirstRoom);
+});
+
+test('the welcome page links to every room with a door', () => {
+  const links = [...document.querySelectorAll('#scene-links a')].map(link => link.getAttribute('href'));
+  assert.deepStrictEqual(links, ['/planets', '/kinematics', '/pendulums', '/lasers']);
+});
+
+let brokenRooms = 0;
+
+class BrokenRoom extends XrScene {
+  constructor(renderer, camera) {
+    super(renderer, camera);
+    brokenRooms += 1;
+    this.loader.retries = 0;
+    this.loader.addToQueue((url, onLoad, onProgress, onError) => {
+      setTimeout(() => onError(new Error('404')), 0);
+    }, 'missing.png', 'missing-texture');
+  }
+}
+
+test('a room whose assets fail to load shows an error screen that can retry', async () => {
+  registerScene({
+    path: '/broken',
+    title: 'Broken Room',
+    load: () => Promise.resolve({ default: BrokenRoom })
+  });
+
+  navigate('/broken');
+  await settle();
+  await settle();
+  assert.strictEqual(document.getElementById('loading-error').style.display, 'block');
+  assert.match(document.getElementById('loading-error-message').textContent, /missing-texture/);
+  assert.strictEqual(brokenRooms, 1);
+
+  document.getElementById('loading-retry').click();
+  await settle();
+  await settle();
+  assert.strictEqual(brokenRooms, 2, 'the room is created again');
+  assert.strictEqual(window.location.pathname, '/broken');
+});
+
+test('inside a headset the lobby shows the error with panels to retry or go home', async () => {
+  navigate('/broken');
+  await settle();
+  await settle();
+  const lobby = getCurrentScene();
+  assert.ok(lobby instanceof LobbyScene, "the lobby is shown in the room's place");
+  assert.match(lobby.scene.getObjectByName('Loading Error').text, /missing-texture/);
+  assert.ok(lobby.frame, 'and rendered');
+
+  const created = brokenRooms;
+  lobby.scene.getObjectByName('Retry Panel').select();
+  await settle();
+  await settle();
+  assert.ok(lobby.disposed);
+  assert.strictEqual(brokenRooms, created + 1, 'retrying creates the room again');
+
+  getCurrentScene().scene.getObjectByName('Back to Home Panel').select();
+  assert.strictEqual(window.location.pathname, '/home');
+  await settle();
+});
+
+const prefetchedUrl = 'src/assets/textures/fullscreen.png';
+
+class PrefetchedRoom extends XrScene {
+  static assets = [{ id: 'icon', url: prefetchedUrl, type: 'texture' }];
+}
+
+test('a prefetched room\'s assets are ready before it is created', async () => {
+  let created = 0;
+  registerScene({
+    path: '/prefetched',
+    title: 'Prefetched Room',
+    load: () => Promise.resolve({
+      default: class extends PrefetchedRoom {
+        constructor(renderer, camera) {
+          super(renderer, camera);
+          created += 1;
+        }
+      }
+    })
+  });
+
+  await prefetchScene('/prefetched');
+  assert.strictEqual(created, 0);
+  assert.strictEqual(getAssetRefCount(prefetchedUrl), 1);
+
+  navigate('/prefetched');
+  await settle();
+  await settle();
+  assert.strictEqual(created, 1);
+  // The room took over the prefetched texture, it wasn't loaded a second time
+  assert.strictEqual(getAssetRefCount(prefetchedUrl), 1);
+});
+
+class MisspelledRoom extends XrScene {
+  static assets = [{ id: 'icon', url: prefetchedUrl, type: 'texture' }];
+
+  onAssetsLoaded(cache) {
+    return cache.icno;
+  }
+}
+
+test('a room using an asset that isn\'t in its manifest shows the error', async () => {
+  registerScene({
+    path: '/misspelled',
+    title: 'Misspelled Room',
+    load: () => Promise.resolve({ default: MisspelledRoom })
+  });
+
+  navigate('/misspelled');
+  await settle();
+  await settle();
+  assert.strictEqual(document.getElementById('loading-error').style.display, 'block');
+  assert.match(document.getElementById('loading-error-message').textContent, /"icno"/);
+});
+
+const backgroundUrl = 'src/assets/textures/Skybox/sky_nz.png';
+
+class BackgroundRoom extends XrScene {
+  static assets = [{ id: 'sky', url: backgroundUrl, type: 'texture' }];
+}
+
+test('a room prefetched in the background opens without showing its progress', async () => {
+  registerScene({
+    path: '/background',
+    title: 'Background Room',
+    load: () => Promise.resolve({ default: BackgroundRoom })
+  });
+
+  window.dispatchEvent(new CustomEvent('prefetchRoom', { detail: { path: '/background' } }));
+  for (let i = 0; i < 20 && !isAssetLoaded(backgroundUrl); i++) {
+    await settle(); // eslint-disable-line no-await-in-loop
+  }
+  assert.ok(isAssetLoaded(backgroundUrl));
+
+  navigate('/background');
+  await settle();
+  assert.ok(getCurrentScene() instanceof BackgroundRoom);
+  assert.ok(getCurrentScene().frame, 'the room has started');
+  assert.strictEqual(document.getElementById('loading-details').textContent, '');
+});
+
+const unvisitedUrl = 'src/assets/textures/Skybox/sky_px.png';
+
+class UnvisitedRoom extends XrScene {
+  static assets = [{ id: 'sky', url: unvisitedUrl, type: 'texture' }];
+}
+
+test('what was prefetched for a room that isn\'t visited is freed on the next navigation', async () => {
+  registerScene({
+    path: '/unvisited',
+    title: 'Unvisited Room',
+    load: () => Promise.resolve({ default: UnvisitedRoom })
+  });
+
+  await prefetchScene('/unvisited');
+  assert.ok(isAssetLoaded(unvisitedUrl));
+
+  navigate('/first');
+  await settle();
+  assert.ok(getCurrentScene() instanceof FirstRoom);
+  assert.strictEqual(getAssetRefCount(unvisitedUrl), 0);
+  assert.ok(!isAssetLoaded(unvisitedUrl), 'and evicted');
+});
+
+class LinkedRoom extends XrScene {
+  restoreState(state) {
+    this.restored = state;
+  }
+}
+
+test('links open rooms with the state in their query, unless they open a new tab', async () => {
+  registerScene({
+    path: '/linked',
+    title: 'Linked Room',
+    load: () => Promise.resolve({ default: LinkedRoom })
+  });
+  navigate('/first');
+  await settle();
+  const link = document.createElement('a');
+  link.href = '/linked?color=red';
+  document.body.appendChild(link);
+  // Clicks the links don't handle reach the window, where jsdom is kept from following them
+  const leftAlone = [];
+  const onClick = (event) => {
+    leftAlone.push(event.defaultPrevented);
+    event.preventDefault();
+  };
+  window.addEventListener('click', onClick);
+  const click = options => link.dispatchEvent(new window.MouseEvent('click', {
+    bubbles: true, cancelable: true, ...options
+  }));
+  try {
+    click({ ctrlKey: true });
+    click({ button: 1 });
+    link.target = '_blank';
+    click();
+    link.removeAttribute('target');
+    assert.deepStrictEqual(leftAlone, [false, false, false], 'the links left those alone');
+    assert.strictEqual(window.location.pathname, '/first');
+
+    click();
+    await settle();
+  } finally {
+    window.removeEventListener('click', onClick);
+    link.remove();
+  }
+  assert.strictEqual(leftAlone.length, 3);
+  assert.ok(getCurrentScene() instanceof LinkedRoom);
+  assert.deepStrictEqual(getCurrentScene().restored, { color: 'red' });
+});
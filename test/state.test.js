@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Vector3 } from 'three';
+import { visit } from './support/harness';
+
+test('a shared link opens a room in the configuration it was shared in', async () => {
+  const pendulums = await visit('/pendulums?surface=Mars');
+  assert.strictEqual(pendulums.currentSurface, 'Mars');
+  assert.strictEqual(window.location.search, '?surface=Mars');
+
+  const planets = await visit('/planets?focus=jupiter');
+  assert.strictEqual(planets.currentPlanet.name, 'Jupiter');
+  assert.strictEqual(window.location.search, '?focus=Jupiter', 'the url is tidied up');
+});
+
+test('anything in a link that doesn\'t make sense is ignored', async () => {
+  const pendulums = await visit('/pendulums?surface=Pluto');
+  assert.strictEqual(pendulums.currentSurface, 'Earth');
+  assert.strictEqual(window.location.search, '');
+
+  const lasers = await visit('/lasers?mirrors=1,2;a,b,c');
+  assert.strictEqual(lasers.mirrors.children.length, 0);
+});
+
+test('a laser layout from an edited link stays on the floor', async () => {
+  const mirrors = Array.from({ length: 500 }, () => '1e9,-1e9,0').join(';');
+  const lasers = await visit(`/lasers?goal=-1e9,2,0&mirrors=${mirrors}`);
+  assert.ok(lasers.scene.getObjectByName('group').position.equals(new Vector3(-30.5, -5, 2)));
+  assert.strictEqual(lasers.mirrors.children.length, 100, 'only so many mirrors are added');
+  assert.ok(lasers.mirrors.children[0].position.equals(new Vector3(30.5, -5, -30.5)));
+  lasers._reset();
+});
+
+test('a link is migrated from the state version it was shared with', async () => {
+  const { default: PendulumScene } = await import('../src/scripts/scenes/pendulums');
+  const versions = [];
+  const { migrateState } = PendulumScene;
+  PendulumScene.migrateState = function recordVersion(state, version) {
+    versions.push(version);
+    return migrateState.call(this, state, version);
+  };
+  try {
+    assert.strictEqual((await visit('/pendulums?surface=Mars')).currentSurface, 'Mars');
+    assert.strictEqual((await visit('/pendulums?surface=Moon&v=0')).currentSurface, 'Earth', 'an older state is thrown away by default');
+    assert.deepStrictEqual(versions, [1, 0]);
+  } finally {
+    PendulumScene.migrateState = migrateState;
+  }
+});
+
+test('a laser layout is kept in the url and can be opened again from it', async () => {
+  const lasers = await visit('/lasers');
+  lasers._addMirrors(new Vector3(4, -5, -6), Math.PI * 0.75);
+  lasers._addMirrors(new Vector3(-10, -5, 3));
+  const link = `${window.location.pathname}${window.location.search}`;
+  assert.match(link, /mirrors=4%2C-6%2C135%3B-10%2C3%2C45/);
+  const goal = lasers.scene.getObjectByName('group').position.clone();
+
+  await visit('/home');
+  const shared = await visit(link);
+  assert.strictEqual(shared.mirrors.children.length, 2);
+  assert.ok(shared.mirrors.children[0].position.equals(new Vector3(4, -5, -6)));
+  assert.ok(shared.scene.getObjectByName('group').position.equals(goal), 'the goal is where it was');
+  assert.strictEqual(`${window.location.pathname}${window.location.search}`, link);
+});
+
+test('going back to a room puts it back how it was left', async () => {
+  const pendulums = await visit('/pendulums');
+  pendulums.loadSurface('Moon');
+  pendulums.stateChanged();
+  assert.strictEqual(window.location.search, '?surface=Moon');
+
+  await visit('/home');
+  const again = await visit('/pendulums');
+  assert.strictEqual(again.currentSurface, 'Moon');
+});
@@ -0,0 +1,35 @@
+/**
+ * window.requestAnimationFrame for tests. Frames only run when a test asks for one,
+ * so the scene's render loop doesn't keep node busy in the background.
+ */
+
+const callbacks = new Map();
+let nextId = 1;
+
+export function install(window) {
+  window.requestAnimationFrame = (callback) => {
+    const id = nextId;
+    nextId += 1;
+    callbacks.set(id, callback);
+    return id;
+  };
+  window.cancelAnimationFrame = (id) => {
+    callbacks.delete(id);
+  };
+  global.requestAnimationFrame = window.requestAnimationFrame;
+  global.cancelAnimationFrame = window.cancelAnimationFrame;
+}
+
+/**
+ * Runs the callbacks waiting for the next (non XR) animation frame
+ * @param {number} timestamp
+ * @returns {number} how many callbacks were run
+ */
+export function runAnimationFrame(timestamp = performance.now()) {
+  const waiting = [...callbacks.values()];
+  callbacks.clear();
+  for (const callback of waiting) {
+    callback(timestamp);
+  }
+  return waiting.length;
+}
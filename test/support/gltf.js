@@ -0,0 +1,147 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import MeshoptEncoder from 'meshoptimizer/meshopt_encoder';
+import DracoEncoderModule from 'three/examples/js/libs/draco/gltf/draco_encoder';
+import { writeGlb } from '../../src/scripts/loaders/gltf';
+
+/**
+ * Builds small GLB files with compressed geometry to load in tests.
+ * The loaders read from disk in tests, so the files are written to a temporary folder.
+ */
+
+export const TRIANGLE_POSITIONS = [0, 0, 0, 1, 0, 0, 0, 1, 0];
+export const TRIANGLE_INDICES = [0, 1, 2];
+
+const FLOAT = 5126;
+const UNSIGNED_SHORT = 5123;
+
+const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'gltf-'));
+
+function writeFile(name, data) {
+  const file = path.join(folder, name);
+  fs.writeFileSync(file, Buffer.from(data));
+  return file;
+}
+
+function align4(length) {
+  return Math.ceil(length / 4) * 4;
+}
+
+function triangleJson(primitive, extension) {
+  return {
+    asset: { version: '2.0' },
+    extensionsUsed: [extension],
+    extensionsRequired: [extension],
+    accessors: [
+      {
+        bufferView: 0, componentType: FLOAT, count: 3, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0]
+      },
+      {
+        bufferView: 1, componentType: UNSIGNED_SHORT, count: 3, type: 'SCALAR'
+      }
+    ],
+    meshes: [{ primitives: [Object.assign({ attributes: { POSITION: 0 }, indices: 1 }, primitive)] }],
+    nodes: [{ mesh: 0, name: 'Triangle' }],
+    scenes: [{ nodes: [0] }],
+    scene: 0
+  };
+}
+
+/**
+ * @param {string} name file name
+ * @returns {string} path of a GLB with a triangle compressed with EXT_meshopt_compression
+ */
+export async function writeMeshoptTriangle(name) {
+  await MeshoptEncoder.ready;
+  const positions = new Uint8Array(new Float32Array(TRIANGLE_POSITIONS).buffer);
+  const indices = new Uint8Array(new Uint16Array(TRIANGLE_INDICES).buffer);
+  const encodedPositions = MeshoptEncoder.encodeGltfBuffer(positions, 3, 12, 'ATTRIBUTES');
+  const encodedIndices = MeshoptEncoder.encodeGltfBuffer(indices, 3, 2, 'TRIANGLES');
+
+  const indicesOffset = align4(encodedPositions.byteLength);
+  const bin = new Uint8Array(indicesOffset + encodedIndices.byteLength);
+  bin.set(encodedPositions);
+  bin.set(encodedIndices, indicesOffset);
+
+  const json = triangleJson({}, 'EXT_meshopt_compression');
+  json.buffers = [
+    { byteLength: bin.byteLength },
+    { byteLength: 44, extensions: { EXT_meshopt_compression: { fallback: true } } }
+  ];
+  json.bufferViews = [
+    {
+      buffer: 1,
+      byteLength: 36,
+      byteStride: 12,
+      extensions: {
+        EXT_meshopt_compression: {
+          buffer: 0, byteLength: encodedPositions.byteLength, byteStride: 12, count: 3, mode: 'ATTRIBUTES'
+        }
+      }
+    },
+    {
+      buffer: 1,
+      byteOffset: 36,
+      byteLength: 6,
+      extensions: {
+        EXT_meshopt_compression: {
+          buffer: 0,
+          byteOffset: indicesOffset,
+          byteLength: encodedIndices.byteLength,
+          byteStride: 2,
+          count: 3,
+          mode: 'TRIANGLES'
+        }
+      }
+    }
+  ];
+  return writeFile(name, writeGlb(json, bin));
+}
+
+/**
+ * @param {string} name file name
+ * @returns {string} path of a GLB with a triangle compressed with KHR_draco_mesh_compression
+ */
+export async function writeDracoTriangle(name) {
+  // The module is a thenable, so it's wrapped to not be resolved as a promise
+  const { draco } = await new Promise((resolve) => {
+    DracoEncoderModule({ onModuleLoaded: module => resolve({ draco: module }) });
+  });
+  const encoder = new draco.Encoder();
+  const builder = new draco.MeshBuilder();
+  const mesh = new draco.Mesh();
+  builder.AddFacesToMesh(mesh, 1, new Uint32Array(TRIANGLE_INDICES));
+  const positionId = builder.AddFloatAttributeToMesh(
+    mesh, draco.POSITION, 3, 3, new Float32Array(TRIANGLE_POSITIONS)
+  );
+  encoder.SetEncodingMethod(draco.MESH_SEQUENTIAL_ENCODING);
+  const encoded = new draco.DracoInt8Array();
+  const byteLength = encoder.EncodeMeshToDracoBuffer(mesh, encoded);
+  const bin = new Uint8Array(byteLength);
+  for (let i = 0; i < byteLength; i++) {
+    bin[i] = encoded.GetValue(i);
+  }
+  [encoded, mesh, builder, encoder].forEach(object => draco.destroy(object));
+
+  const json = triangleJson({
+    extensions: {
+      KHR_draco_mesh_compression: { bufferView: 0, attributes: { POSITION: positionId } }
+    }
+  }, 'KHR_draco_mesh_compression');
+  delete json.accessors[0].bufferView;
+  delete json.accessors[1].bufferView;
+  json.buffers = [{ byteLength: bin.byteLength }];
+  json.bufferViews = [{ buffer: 0, byteLength: bin.byteLength }];
+  return writeFile(name, writeGlb(json, bin));
+}
+
+/**
+ * @param {string} name file name
+ * @returns {string} path of a .gltf that needs EXT_meshopt_compression, which is only
+ * decoded in .glb files
+ */
+export function writeMeshoptGltf(name) {
+  const json = triangleJson({}, 'EXT_meshopt_compression');
+  return writeFile(name, new TextEncoder().encode(JSON.stringify(json)));
+}
@@ -0,0 +1,132 @@
+import { Box3, Vector3 } from 'three';
+import { renderer } from '../../src/scripts/renderer';
+import { camera } from '../../src/scripts/renderer/camera';
+import { getCurrentScene, setCurrentScene } from '../../src/scripts/currentScene';
+import { navigate } from '../../src/scripts/router';
+import { XR } from '../../src/scripts/xrController';
+import { runAnimationFrame } from './animation-frames';
+
+/**
+ * Helpers for driving scenes through the mock WebXR runtime the way a user would.
+ */
+
+const sessionButtons = {
+  'immersive-vr': 'vr-toggle',
+  'immersive-ar': 'ar-toggle'
+};
+
+// Lets pending promises and timers run, like the browser would between frames
+export function settle() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Creates a scene the same way the router does, waits for its assets and starts it.
+ * @param {Function} SceneClass a subclass of XrScene
+ * @returns {Promise<XrScene>}
+ */
+export async function loadScene(SceneClass) {
+  const scene = new SceneClass(renderer, camera);
+  setCurrentScene(scene);
+  const cache = await scene.loader.waitForCache();
+  scene.onAssetsLoaded(cache);
+  scene.startAnimation();
+  return scene;
+}
+
+/**
+ * Navigates to a room through the router, like following a link or a door.
+ * @param {String} path
+ * @returns {Promise<XrScene>} resolves once the room has loaded and rendered its first frame
+ */
+export async function visit(path) {
+  const previous = getCurrentScene();
+  navigate(path);
+  // Loading the room's code and assets takes a few turns of the event loop
+  for (let i = 0; i < 100; i++) {
+    await settle(); // eslint-disable-line no-await-in-loop
+    const scene = getCurrentScene();
+    if (scene !== previous && scene.frame) {
+      return scene;
+    }
+  }
+  throw new Error(`${path} didn't finish loading`);
+}
+
+/**
+ * Plugs in a device that supports the given mode and presses its 'Enter VR' / 'Enter AR' button.
+ * @param {String} mode 'immersive-vr' or 'immersive-ar'
+ * @returns {Promise<MockXRSession>} resolves once the app has set up the session
+ */
+export async function enterXR(mode = 'immersive-vr') {
+  const { xr } = navigator;
+  if (!xr.modes.includes(mode)) {
+    xr.setModes([...xr.modes, mode]);
+    await settle();
+  }
+
+  const started = new Promise(resolve => window.addEventListener('xrAnimate', resolve, { once: true }));
+  document.getElementById(sessionButtons[mode]).click();
+  await started;
+  return xr.immersiveSession;
+}
+
+/**
+ * Ends the immersive session like the user taking off the headset.
+ * @returns {Promise} resolves once the app has gone back to rendering outside of XR
+ */
+export async function exitXR() {
+  const ended = new Promise(resolve => window.addEventListener('xrAnimate', resolve, { once: true }));
+  navigator.xr.immersiveSession.end();
+  await ended;
+}
+
+/**
+ * Runs animation frames in the active session, or outside of XR if there isn't one.
+ * @param {number} count
+ */
+export function runFrames(count = 1) {
+  for (let i = 0; i < count; i++) {
+    const { session } = XR;
+    if (session) {
+      session.runFrame();
+    } else {
+      runAnimationFrame();
+    }
+  }
+}
+
+/**
+ * Converts a point in the scene into the device's tracking space, which is where
+ * the mock runtime places the viewer and input sources.
+ * @param {Vector3} point
+ * @returns {Vector3}
+ */
+export function sceneToTracking(point) {
+  return point.clone()
+    .divideScalar(XR.scale)
+    .applyMatrix4(XR.refSpace._nativeMatrix());
+}
+
+/**
+ * Points an input source from a position in the scene at the center of an object
+ * @param {MockXRInputSource} inputSource
+ * @param {THREE.Object3D} object
+ * @param {Vector3} from
+ */
+export function pointAtObject(inputSource, object, from = new Vector3(0, 1.6, 0)) {
+  object.updateMatrixWorld(true);
+  const target = new Box3().setFromObject(object)
+    .getCenter(new Vector3());
+  inputSource.pointAt(sceneToTracking(from), sceneToTracking(target));
+}
+
+/**
+ * Points an input source from a position in the scene at another position in the scene
+ * @param {MockXRInputSource} inputSource
+ * @param {Vector3} from
+ * @param {Vector3} target
+ */
+export function pointAtPoint(inputSource, from, target) {
+  inputSource.pointAt(sceneToTracking(from), sceneToTracking(target));
+}
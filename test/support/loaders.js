@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  FileLoader, TextureLoader, CubeTextureLoader, Texture, CubeTexture
+} from 'three';
+
+/**
+ * Replaces the network and image loading of three's loaders, since assets are
+ * imported as file paths in tests (see setup.js).
+ * Files are read straight from disk, and images become empty 1x1 textures.
+ * window.fetch() reads urls on the page's origin from the repository, with `~` for its root
+ * like in Parcel, which is how index.html links to files in node_modules.
+ */
+
+const root = path.resolve(__dirname, '../..');
+
+function fetchFile(url) {
+  const { pathname } = new URL(url, window.location.href);
+  const file = path.join(root, decodeURIComponent(pathname).replace(/^\/~\//, '/'));
+  const type = path.extname(file) === '.wasm' ? 'application/wasm' : 'application/octet-stream';
+  return fs.promises.readFile(file).then(
+    body => new Response(body, { headers: { 'Content-Type': type } }),
+    () => new Response(null, { status: 404 })
+  );
+}
+
+function later(callback) {
+  setTimeout(callback, 0);
+}
+
+export function install() {
+  window.fetch = fetchFile;
+
+  FileLoader.prototype.load = function (url, onLoad, onProgress, onError) {
+    fs.readFile(url, (err, buffer) => {
+      if (err) {
+        if (onError) onError(err);
+        return;
+      }
+      const data = this.responseType === 'arraybuffer'
+        ? buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+        : buffer.toString('utf8');
+      if (onLoad) onLoad(data);
+    });
+  };
+
+  TextureLoader.prototype.load = function (url, onLoad) {
+    const texture = new Texture({ width: 1, height: 1, src: url });
+    later(() => {
+      texture.needsUpdate = true;
+      if (onLoad) onLoad(texture);
+    });
+    return texture;
+  };
+
+  CubeTextureLoader.prototype.load = function (urls, onLoad) {
+    const texture = new CubeTexture(urls.map(src => ({ width: 1, height: 1, src })));
+    later(() => {
+      texture.needsUpdate = true;
+      if (onLoad) onLoad(texture);
+    });
+    return texture;
+  };
+}
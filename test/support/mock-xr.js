@@ -0,0 +1,468 @@
+import {
+  Matrix4, Vector3, Quaternion, PerspectiveCamera
+} from 'three';
+
+/**
+ * A scriptable stand-in for the WebXR Device API, so the app can be driven from node.
+ * It only implements the parts of the API the app uses:
+ * { https://immersive-web.github.io/webxr/ }
+ *
+ * Every space has a pose in the device's tracking space (its "native" matrix).
+ * Tests move the viewer and the input sources around in that tracking space and
+ * then run frames or fire select events on the session.
+ */
+
+export class MockDOMPoint {
+  constructor(x = 0, y = 0, z = 0, w = 1) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+  }
+}
+
+// Only implements the parts of EventTarget the app uses, events are plain objects
+class MockEventTarget {
+  _listeners = {};
+
+  addEventListener(type, listener, options = {}) {
+    if (!listener) {
+      return;
+    }
+    if (!this._listeners[type]) {
+      this._listeners[type] = [];
+    }
+    this._listeners[type].push({ listener, once: Boolean(options.once) });
+  }
+
+  removeEventListener(type, listener) {
+    if (this._listeners[type]) {
+      this._listeners[type] = this._listeners[type].filter(entry => entry.listener !== listener);
+    }
+  }
+
+  dispatchEvent(event) {
+    for (const entry of [...(this._listeners[event.type] || [])]) {
+      if (entry.once) {
+        this.removeEventListener(event.type, entry.listener);
+      }
+      entry.listener.call(this, event);
+    }
+    return true;
+  }
+}
+
+export class MockXRRigidTransform {
+  /**
+   * @param {DOMPoint} position
+   * @param {DOMPoint} orientation
+   */
+  constructor(position = new MockDOMPoint(), orientation = new MockDOMPoint()) {
+    this.position = new MockDOMPoint(position.x, position.y, position.z, 1);
+    this.orientation = new MockDOMPoint(
+      orientation.x, orientation.y, orientation.z, orientation.w
+    );
+    this.matrix = new Float32Array(new Matrix4().compose(
+      new Vector3(position.x, position.y, position.z),
+      new Quaternion(orientation.x, orientation.y, orientation.z, orientation.w),
+      new Vector3(1, 1, 1)
+    ).elements);
+  }
+
+  get inverse() {
+    return transformFromMatrix(new Matrix4().getInverse(new Matrix4().fromArray(this.matrix)));
+  }
+}
+
+/**
+ * @param {Matrix4} matrix a rigid transform
+ * @returns {MockXRRigidTransform}
+ */
+function transformFromMatrix(matrix) {
+  const position = new Vector3();
+  const orientation = new Quaternion();
+  matrix.decompose(position, orientation, new Vector3());
+  return new MockXRRigidTransform(
+    new MockDOMPoint(position.x, position.y, position.z, 1),
+    new MockDOMPoint(orientation.x, orientation.y, orientation.z, orientation.w)
+  );
+}
+
+export class MockXRSpace extends MockEventTarget {
+  /**
+   * @param {Function} getNativeMatrix returns the space's pose in tracking space
+   */
+  constructor(getNativeMatrix) {
+    super();
+    this._getNativeMatrix = getNativeMatrix;
+  }
+
+  _nativeMatrix() {
+    return new Matrix4().copy(this._getNativeMatrix());
+  }
+}
+
+export class MockXRReferenceSpace extends MockXRSpace {
+  /**
+   * @param {String} type
+   * @param {Matrix4} originMatrix where the origin of this space is in tracking space
+   */
+  constructor(type, originMatrix = new Matrix4()) {
+    super(() => originMatrix);
+    this.type = type;
+  }
+
+  getOffsetReferenceSpace(originOffset) {
+    const origin = this._nativeMatrix().multiply(new Matrix4().fromArray(originOffset.matrix));
+    return new MockXRReferenceSpace(this.type, origin);
+  }
+}
+
+export class MockXRInputSource {
+  gamepad = null;
+
+  /**
+   * @param {Object} options
+   * @param {String} options.handedness 'none', 'left' or 'right'
+   * @param {String} options.targetRayMode 'gaze', 'tracked-pointer' or 'screen'
+   * @param {String[]} options.profiles
+   */
+  constructor({ handedness = 'right', targetRayMode = 'tracked-pointer', profiles = [] } = {}) {
+    this.handedness = handedness;
+    this.targetRayMode = targetRayMode;
+    this.profiles = profiles;
+    this.pointerMatrix = new Matrix4();
+    this.targetRaySpace = new MockXRSpace(() => this.pointerMatrix);
+    this.gripSpace = targetRayMode === 'tracked-pointer'
+      ? new MockXRSpace(() => this.pointerMatrix)
+      : null;
+  }
+
+  /**
+   * Points the target ray from one point in tracking space at another
+   * @param {Vector3} origin
+   * @param {Vector3} target
+   */
+  pointAt(origin, target) {
+    this.pointerMatrix.lookAt(origin, target, new Vector3(0, 1, 0));
+    this.pointerMatrix.setPosition(origin);
+  }
+}
+
+class MockXRView {
+  constructor(eye, transform, projectionMatrix) {
+    this.eye = eye;
+    this.transform = transform;
+    this.projectionMatrix = projectionMatrix;
+  }
+}
+
+class MockXRPose {
+  emulatedPosition = false;
+
+  constructor(transform) {
+    this.transform = transform;
+  }
+}
+
+class MockXRViewerPose extends MockXRPose {
+  constructor(transform, views) {
+    super(transform);
+    this.views = views;
+  }
+}
+
+export class MockXRFrame {
+  active = true;
+
+  constructor(session) {
+    this.session = session;
+  }
+
+  _checkActive() {
+    if (!this.active) {
+      throw new DOMException('The frame is no longer active', 'InvalidStateError');
+    }
+  }
+
+  /**
+   * @param {MockXRSpace} space
+   * @param {MockXRSpace} baseSpace
+   * @returns {MockXRPose}
+   */
+  getPose(space, baseSpace) {
+    this._checkActive();
+    const base = new Matrix4().getInverse(baseSpace._nativeMatrix());
+    return new MockXRPose(transformFromMatrix(base.multiply(space._nativeMatrix())));
+  }
+
+  /**
+   * @param {MockXRReferenceSpace} refSpace
+   * @returns {MockXRViewerPose}
+   */
+  getViewerPose(refSpace) {
+    const { transform } = this.getPose(this.session._viewerSpace, refSpace);
+    const eyes = this.session.mode === 'inline' ? ['none'] : ['left', 'right'];
+    const views = eyes.map(eye => new MockXRView(eye, transform, this.session._projectionMatrix));
+    return new MockXRViewerPose(transform, views);
+  }
+
+  getHitTestResults(hitTestSource) {
+    this._checkActive();
+    if (!hitTestSource || !this.session._hitMatrix) {
+      return [];
+    }
+    const hitSpace = new MockXRSpace(() => this.session._hitMatrix);
+    return [{ getPose: baseSpace => this.getPose(hitSpace, baseSpace) }];
+  }
+}
+
+export class MockXRWebGLLayer {
+  framebuffer = null;
+
+  framebufferWidth = 1920;
+
+  framebufferHeight = 1080;
+
+  constructor(session, context) {
+    this.session = session;
+    this.context = context;
+  }
+
+  getViewport(view) {
+    const width = view.eye === 'none' ? this.framebufferWidth : this.framebufferWidth / 2;
+    return {
+      x: view.eye === 'right' ? width : 0,
+      y: 0,
+      width,
+      height: this.framebufferHeight
+    };
+  }
+}
+
+export class MockXRSession extends MockEventTarget {
+  inputSources = [];
+
+  renderState = { depthNear: 0.1, depthFar: 1000, baseLayer: null };
+
+  ended = false;
+
+  _callbacks = new Map();
+
+  _nextCallbackId = 1;
+
+  _viewerMatrix = new Matrix4();
+
+  _hitMatrix = null;
+
+  /**
+   * @param {MockXRSystem} system
+   * @param {String} mode
+   * @param {String[]} features the features enabled for this session
+   */
+  constructor(system, mode, features) {
+    super();
+    this.system = system;
+    this.mode = mode;
+    this.features = features;
+    this._viewerSpace = new MockXRSpace(() => this._viewerMatrix);
+
+    const camera = new PerspectiveCamera(90, 1, 0.1, 1000);
+    this._projectionMatrix = new Float32Array(camera.projectionMatrix.elements);
+  }
+
+  updateRenderState(state) {
+    Object.assign(this.renderState, state);
+  }
+
+  requestReferenceSpace(type) {
+    if (type === 'viewer') {
+      return Promise.resolve(this._viewerSpace);
+    }
+    if (this.ended || !this.features.includes(type)) {
+      return Promise.reject(new DOMException(`${type} is not supported`, 'NotSupportedError'));
+    }
+    return Promise.resolve(new MockXRReferenceSpace(type));
+  }
+
+  requestHitTestSource({ space }) {
+    if (!this.features.includes('hit-test')) {
+      return Promise.reject(new DOMException('hit-test was not enabled', 'NotSupportedError'));
+    }
+    return Promise.resolve({ space, cancel() {} });
+  }
+
+  requestAnimationFrame(callback) {
+    const id = this._nextCallbackId;
+    this._nextCallbackId += 1;
+    this._callbacks.set(id, callback);
+    return id;
+  }
+
+  cancelAnimationFrame(id) {
+    this._callbacks.delete(id);
+  }
+
+  end() {
+    if (!this.ended) {
+      this.ended = true;
+      this._callbacks.clear();
+      this.system._removeSession(this);
+      this.dispatchEvent({ type: 'end', session: this });
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Runs the animation frame callbacks that are waiting for the next frame
+   * @param {number} timestamp
+   * @returns {number} how many callbacks were run
+   */
+  runFrame(timestamp = performance.now()) {
+    const callbacks = [...this._callbacks.values()];
+    this._callbacks.clear();
+    const frame = new MockXRFrame(this);
+    for (const callback of callbacks) {
+      callback(timestamp, frame);
+    }
+    frame.active = false;
+    return callbacks.length;
+  }
+
+  /**
+   * Moves the user's head, which moves every view
+   * @param {Matrix4} matrix the viewer's pose in tracking space
+   */
+  setViewerMatrix(matrix) {
+    this._viewerMatrix.copy(matrix);
+  }
+
+  /**
+   * Sets where hit tests find a surface, or null if they find nothing
+   * @param {Matrix4} matrix the surface's pose in tracking space
+   */
+  setHitTestMatrix(matrix) {
+    this._hitMatrix = matrix ? new Matrix4().copy(matrix) : null;
+  }
+
+  /**
+   * Connects a new input source
+   * @param {Object} options see MockXRInputSource
+   * @returns {MockXRInputSource}
+   */
+  addInputSource(options) {
+    const inputSource = new MockXRInputSource(options);
+    this.inputSources = [...this.inputSources, inputSource];
+    this.dispatchEvent({
+      type: 'inputsourceschange', session: this, added: [inputSource], removed: []
+    });
+    return inputSource;
+  }
+
+  removeInputSource(inputSource) {
+    this.inputSources = this.inputSources.filter(source => source !== inputSource);
+    this.dispatchEvent({
+      type: 'inputsourceschange', session: this, added: [], removed: [inputSource]
+    });
+  }
+
+  _dispatchInputSourceEvent(type, inputSource) {
+    const frame = new MockXRFrame(this);
+    this.dispatchEvent({ type, frame, inputSource });
+    frame.active = false;
+  }
+
+  // Presses the input source's primary button
+  selectStart(inputSource) {
+    this._dispatchInputSourceEvent('selectstart', inputSource);
+  }
+
+  // Releases the input source's primary button
+  selectEnd(inputSource) {
+    this._dispatchInputSourceEvent('select', inputSource);
+    this._dispatchInputSourceEvent('selectend', inputSource);
+  }
+
+  // Presses and releases the input source's primary button
+  select(inputSource) {
+    this.selectStart(inputSource);
+    this.selectEnd(inputSource);
+  }
+}
+
+export class MockXRSystem extends MockEventTarget {
+  sessions = [];
+
+  /**
+   * @param {Object} options
+   * @param {String[]} options.modes session modes the device supports. Leaving out
+   *   'inline' means the device can't track itself for a magic window.
+   * @param {String[]} options.features features the device supports, including reference spaces
+   */
+  constructor({ modes = [], features = ['local', 'local-floor', 'hit-test'] } = {}) {
+    super();
+    this.modes = modes;
+    this.features = features;
+  }
+
+  get immersiveSession() {
+    return this.sessions.find(session => session.mode !== 'inline') || null;
+  }
+
+  get inlineSession() {
+    return this.sessions.find(session => session.mode === 'inline') || null;
+  }
+
+  /**
+   * Changes which session modes are supported, as if another device was plugged in
+   * @param {String[]} modes
+   */
+  setModes(modes) {
+    this.modes = modes;
+    this.dispatchEvent({ type: 'devicechange' });
+  }
+
+  isSessionSupported(mode) {
+    return Promise.resolve(this.modes.includes(mode));
+  }
+
+  requestSession(mode, { requiredFeatures = [], optionalFeatures = [] } = {}) {
+    if (!this.modes.includes(mode)) {
+      return Promise.reject(new DOMException(`${mode} is not supported`, 'NotSupportedError'));
+    }
+    if (mode !== 'inline' && this.immersiveSession) {
+      return Promise.reject(new DOMException('An immersive session is already active', 'InvalidStateError'));
+    }
+    const missing = requiredFeatures.filter(feature => !this.features.includes(feature));
+    if (missing.length) {
+      return Promise.reject(new DOMException(`${missing.join()} is not supported`, 'NotSupportedError'));
+    }
+
+    const features = [...requiredFeatures, ...optionalFeatures]
+      .filter(feature => this.features.includes(feature));
+    const session = new MockXRSession(this, mode, features);
+    this.sessions.push(session);
+    return Promise.resolve(session);
+  }
+
+  _removeSession(session) {
+    this.sessions = this.sessions.filter(other => other !== session);
+  }
+}
+
+/**
+ * Puts a MockXRSystem in navigator.xr along with the globals the app expects
+ * @param {Window} window
+ * @param {Object} options see MockXRSystem
+ * @returns {MockXRSystem}
+ */
+export function installMockXR(window, options) {
+  const xr = new MockXRSystem(options);
+  window.navigator.xr = xr;
+  global.XRRigidTransform = MockXRRigidTransform;
+  global.XRWebGLLayer = MockXRWebGLLayer;
+  if (!global.DOMPoint) {
+    global.DOMPoint = MockDOMPoint;
+  }
+  return xr;
+}
@@ -0,0 +1,92 @@
+import { canvas } from '../../src/scripts/renderer/canvas';
+
+/**
+ * Stands in for src/scripts/renderer in tests, since there is no WebGL in node.
+ * Rendering only updates the scene's matrices, the same way WebGLRenderer does
+ * before drawing, counts the calls, and keeps track of the geometries and textures
+ * that would be on the GPU for renderer.info.memory.
+ */
+
+const geometries = new Set();
+const textures = new Set();
+
+// Like WebGLRenderer, a resource counts until it is disposed
+function track(resources, resource) {
+  if (resources.has(resource)) {
+    return;
+  }
+  resources.add(resource);
+  resource.addEventListener('dispose', function onDispose() {
+    resource.removeEventListener('dispose', onDispose);
+    resources.delete(resource);
+  });
+}
+
+// Including the textures in a ShaderMaterial's uniforms
+function trackMaterial(material) {
+  const uniforms = Object.values(material.uniforms || {}).map(uniform => uniform.value);
+  for (const value of [...Object.values(material), ...uniforms]) {
+    if (value && value.isTexture) {
+      track(textures, value);
+    }
+  }
+}
+
+function trackObject(object) {
+  if (object.geometry) {
+    track(geometries, object.geometry);
+  }
+  if (Array.isArray(object.material)) {
+    object.material.forEach(trackMaterial);
+  } else if (object.material) {
+    trackMaterial(object.material);
+  }
+}
+
+const context = {
+  FRAMEBUFFER: 0x8D40,
+  viewport() {},
+  bindFramebuffer() {},
+  makeXRCompatible() {
+    return Promise.resolve();
+  }
+};
+
+export const renderer = {
+  context,
+  domElement: canvas,
+  autoClear: true,
+  renderCount: 0,
+  // Like a GPU without any compressed texture formats
+  extensions: {
+    get: () => null
+  },
+  info: {
+    memory: {
+      get geometries() {
+        return geometries.size;
+      },
+      get textures() {
+        return textures.size;
+      }
+    }
+  },
+  setSize() {},
+  setPixelRatio() {},
+  setClearAlpha() {},
+  clear() {},
+  clearDepth() {},
+  render(scene, camera) {
+    if (scene.autoUpdate) {
+      scene.updateMatrixWorld();
+    }
+    if (!camera.parent) {
+      camera.updateMatrixWorld();
+    }
+    scene.traverseVisible(trackObject);
+    if (scene.background && scene.background.isTexture) {
+      track(textures, scene.background);
+    }
+    this.renderCount += 1;
+  }
+};
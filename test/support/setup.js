@@ -0,0 +1,108 @@
+/**
+ * Loaded with `node --require` before every test file.
+ * Lets the app's modules run in node: they are compiled with babel, get a DOM from
+ * jsdom, a mock WebXR runtime in navigator.xr, and a stub renderer instead of WebGL.
+ */
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const { JSDOM } = require('jsdom');
+
+const root = path.resolve(__dirname, '../..');
+
+// The .babelrc is written for parcel's babel, so the options are repeated here for node
+require('@babel/register')({
+  babelrc: false,
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+  // Parcel splits dynamic imports into their own bundles, node just needs them turned into requires
+  plugins: ['@babel/plugin-proposal-class-properties', 'dynamic-import-node'],
+  only: [path.join(root, 'src'), path.join(root, 'test')]
+});
+
+// Parcel turns asset imports into urls, here they are the file paths the stubbed loaders read
+const assetExtensions = ['.glb', '.gltf', '.obj', '.jpg', '.jpeg', '.png', '.ktx2'];
+for (const extension of assetExtensions) {
+  require.extensions[extension] = (module, filename) => {
+    module.exports = filename; // eslint-disable-line no-param-reassign
+  };
+}
+
+// There is no WebGL in node, so every import of the renderer gets the stub
+const rendererPath = path.join(root, 'src/scripts/renderer/index.js');
+const stubRendererPath = path.join(__dirname, 'renderer.js');
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, parent, ...rest) {
+  let filename;
+  try {
+    // Parcel resolves ~ to the project root
+    const resolved = request.startsWith('~/') ? path.join(root, request.slice(2)) : request;
+    filename = resolveFilename.call(this, resolved, parent, ...rest);
+  } catch (err) {
+    // Assets missing from the checkout only fail once something tries to load them
+    if (!assetExtensions.includes(path.extname(request)) || !parent) {
+      throw err;
+    }
+    filename = path.resolve(path.dirname(parent.filename), request);
+  }
+  return filename === rendererPath ? stubRendererPath : filename;
+};
+
+// The page without its script, the tests import the modules they need themselves
+const html = fs.readFileSync(path.join(root, 'src/index.html'), 'utf8')
+  .replace(/<script[^>]*><\/script>/g, '');
+const { window } = new JSDOM(html, { url: 'http://localhost/' });
+
+global.window = window;
+for (const name of [
+  'document', 'navigator', 'location', 'history',
+  'Event', 'CustomEvent', 'HTMLElement', 'HTMLCanvasElement'
+]) {
+  global[name] = window[name];
+}
+// three's example scripts expect a global THREE, which src/scripts/three.js puts on window,
+// and DRACOLoader looks for the decoder that src/scripts/loaders/gltf.js puts there
+for (const name of ['THREE', 'DracoDecoderModule']) {
+  Object.defineProperty(global, name, { get: () => window[name] });
+}
+
+// jsdom can't draw, but text labels still need a 2d context to measure and fill
+window.HTMLCanvasElement.prototype.getContext = function (type) {
+  if (type !== '2d') {
+    return null;
+  }
+  return {
+    canvas: this,
+    measureText: text => ({ width: text.length * 80 }),
+    fillRect() {},
+    clearRect() {},
+    fillText() {},
+    strokeText() {},
+    getImageData: (x, y, width, height) => ({
+      width, height, data: new Uint8ClampedArray(width * height * 4)
+    }),
+    putImageData() {},
+    beginPath() {},
+    closePath() {},
+    moveTo() {},
+    lineTo() {},
+    arc() {},
+    fill() {},
+    stroke() {}
+  };
+};
+
+// The app logs a lot as it runs, set DEBUG to see it. That includes its warnings and errors,
+// like the fallbacks and retries the tests make it go through.
+if (!process.env.DEBUG) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+require('./animation-frames').install(window);
+require('./loaders').install();
+// No immersive sessions and no magic window until a test asks for them
+require('./mock-xr').installMockXR(window, { modes: [] });
+
+// Switch rooms without fading, since time only passes in tests when they wait for it
+require('../../src/scripts/transition').transitionSettings.duration = 0;
@@ -0,0 +1,193 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  Mesh, PlaneBufferGeometry, BoxBufferGeometry, MeshBasicMaterial, BackSide, Vector3, Matrix4,
+  Box3
+} from 'three';
+import XrScene from '../src/scripts/scenes/xr-scene';
+import Teleporter from '../src/scripts/controls/teleport';
+import { getPlayAreaMatrix } from '../src/scripts/controls/locomotion';
+import { getTransitionCoverage } from '../src/scripts/transition';
+import { XR } from '../src/scripts/xrController';
+import { SelectInteraction } from '../src/scripts/interactions';
+import {
+  loadScene, enterXR, exitXR, runFrames, pointAtPoint
+} from './support/harness';
+
+// A floor 8 below the play area, seen from its back like the rooms' floors, and a wall
+class TeleportRoom extends XrScene {
+  constructor(...args) {
+    super(...args);
+    this.floor = new Mesh(
+      new PlaneBufferGeometry(100, 100), new MeshBasicMaterial({ side: BackSide })
+    );
+    this.floor.rotateX(Math.PI / 2);
+    this.floor.position.y = -8;
+    this.wall = new Mesh(new BoxBufferGeometry(10, 20, 1), new MeshBasicMaterial());
+    this.wall.position.set(0, 0, 10);
+    // Something selectable, in front of the user
+    this.button = new Mesh(new BoxBufferGeometry(1, 1, 1), new MeshBasicMaterial());
+    this.button.position.set(0, 1.6, -3);
+    this.button[SelectInteraction] = { start: () => { this.button.selected = true; } };
+    this.scene.add(this.floor, this.wall, this.button);
+    this.teleporter = new Teleporter(this);
+    this.teleporter.addSurface(this.floor);
+  }
+}
+
+function playAreaPosition() {
+  return new Vector3().setFromMatrixPosition(getPlayAreaMatrix());
+}
+
+async function aimFromMiddle(target) {
+  const room = await loadScene(TeleportRoom);
+  XR.setOffsetMatrix(new Matrix4());
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  const aim = point => pointAtPoint(controller, new Vector3(0, 1.6, 0), point);
+  aim(target);
+  runFrames(1);
+  session.selectStart(controller);
+  runFrames(1);
+  return {
+    room, session, controller, aim
+  };
+}
+
+test('the arc shows where the user lands and takes them there', async () => {
+  const { room, session, controller } = await aimFromMiddle(new Vector3(3, -8, -3));
+  const { arc, reticle, target } = room.teleporter.getPointer(controller);
+  assert.ok(arc.visible && reticle.visible, 'the arc and reticle are shown');
+  assert.ok(target.x > 0 && target.x < 3, 'the arc falls short of where the ray points');
+  assert.ok(Math.abs(target.x + target.z) < 1e-6, 'straight on from the controller');
+  assert.ok(Math.abs(reticle.position.y + 8) < 0.1, 'the reticle is on the floor');
+  assert.strictEqual(playAreaPosition().length(), 0, "the user doesn't move while aiming");
+
+  session.selectEnd(controller);
+  assert.ok(playAreaPosition().distanceTo(target) < 1e-6, 'they land where the arc does');
+  assert.strictEqual(playAreaPosition().y, 0, 'the floor stays under their feet');
+  assert.ok(getTransitionCoverage() > 0, 'the view fades back in');
+  assert.ok(!arc.visible && !reticle.visible);
+  await exitXR();
+});
+
+test("walls, far away floors and floors out of bounds can't be teleported to", async () => {
+  const {
+    room, session, controller, aim
+  } = await aimFromMiddle(new Vector3(0, -8, 3));
+  const pointer = room.teleporter.getPointer(controller);
+  assert.ok(pointer.target, 'the floor in front of the wall is fine');
+
+  aim(new Vector3(0, 1.6, 9));
+  runFrames(1);
+  assert.strictEqual(pointer.target, null, 'the wall is hit');
+  assert.ok(pointer.arc.visible && !pointer.reticle.visible);
+  assert.strictEqual(pointer.arc.material.color.getHex(), 0xdd2222, 'the arc turns red');
+
+  aim(new Vector3(-10, -8, 0));
+  runFrames(1);
+  assert.ok(pointer.target, 'the floor to the side is fine');
+  room.bounds.push(new Box3(new Vector3(-5, -1, -5), new Vector3(5, 1, 5)));
+  runFrames(1);
+  assert.strictEqual(pointer.target, null, "until it's out of bounds");
+  room.bounds.length = 0;
+
+  // Pointing a little up, the arc lands about 24 away
+  aim(new Vector3(-10, 4, 0));
+  runFrames(1);
+  assert.strictEqual(pointer.target, null, 'too far');
+
+  session.selectEnd(controller);
+  assert.strictEqual(playAreaPosition().length(), 0, "the user doesn't go anywhere");
+  await exitXR();
+});
+
+test('the arc is previewed while pointing at the floor, without teleporting', async () => {
+  const room = await loadScene(TeleportRoom);
+  XR.setOffsetMatrix(new Matrix4());
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  const aim = point => pointAtPoint(controller, new Vector3(0, 1.6, 0), point);
+  const pointer = room.teleporter.getPointer(controller);
+
+  aim(new Vector3(3, -8, -3));
+  runFrames(1);
+  assert.ok(pointer.arc.visible && pointer.reticle.visible, 'the arc is shown');
+  aim(new Vector3(0, 1.6, 9));
+  runFrames(1);
+  assert.ok(!pointer.arc.visible, 'and hidden once the floor is no longer pointed at');
+  assert.strictEqual(playAreaPosition().length(), 0);
+  await exitXR();
+});
+
+test('the arc can be aimed past the ray after pressing on what can\'t be selected', async () => {
+  const room = await loadScene(TeleportRoom);
+  XR.setOffsetMatrix(new Matrix4());
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  const aim = point => pointAtPoint(controller, new Vector3(0, 1.6, 0), point);
+  const pointer = room.teleporter.getPointer(controller);
+
+  aim(new Vector3(0, 1.6, -3));
+  runFrames(1);
+  session.selectStart(controller);
+  runFrames(1);
+  assert.ok(room.button.selected);
+  assert.ok(!pointer.arc.visible, 'selecting the button does not aim');
+  session.selectEnd(controller);
+
+  aim(new Vector3(0, 1.6, 9));
+  runFrames(1);
+  session.selectStart(controller);
+  runFrames(1);
+  assert.ok(pointer.arc.visible && !pointer.target, 'pressing on the wall aims');
+
+  // Level with the controller the ray doesn't hit anything, but the arc comes down on the floor
+  aim(new Vector3(-10, 1.6, 0));
+  runFrames(1);
+  const { target } = pointer;
+  assert.ok(target && target.x < -10, 'the arc lands beyond where the ray points');
+  session.selectEnd(controller);
+  assert.ok(playAreaPosition().distanceTo(target) < 1e-6);
+  await exitXR();
+});
+
+test('two controllers aim and preview by themselves', async () => {
+  const room = await loadScene(TeleportRoom);
+  XR.setOffsetMatrix(new Matrix4());
+  const session = await enterXR('immersive-vr');
+  const left = session.addInputSource({ handedness: 'left' });
+  const right = session.addInputSource({ handedness: 'right' });
+  const from = new Vector3(0, 1.6, 0);
+  const leftPointer = room.teleporter.getPointer(left);
+  const rightPointer = room.teleporter.getPointer(right);
+
+  pointAtPoint(left, from, new Vector3(-3, -8, -3));
+  pointAtPoint(right, from, new Vector3(3, -8, -3));
+  runFrames(1);
+  assert.ok(leftPointer.arc.visible && rightPointer.arc.visible, 'both arcs are previewed');
+  pointAtPoint(right, from, new Vector3(0, 1.6, 9));
+  runFrames(1);
+  assert.ok(leftPointer.arc.visible && !rightPointer.arc.visible, 'each is hidden by itself');
+
+  pointAtPoint(right, from, new Vector3(3, -8, -3));
+  runFrames(1);
+  session.selectStart(left);
+  session.selectStart(right);
+  runFrames(1);
+  assert.ok(leftPointer.aiming && rightPointer.aiming, 'both hold the select button to aim');
+  assert.ok(leftPointer.target.x < 0 && rightPointer.target.x > 0, 'each at their own spot');
+
+  session.selectEnd(right);
+  const landed = playAreaPosition();
+  assert.ok(landed.x > 0, 'letting go of one teleports to where it aims');
+  assert.ok(leftPointer.aiming && leftPointer.arc.visible, 'the other keeps aiming');
+  assert.ok(!rightPointer.arc.visible);
+
+  runFrames(1);
+  const { target } = leftPointer;
+  session.selectEnd(left);
+  assert.ok(playAreaPosition().distanceTo(target) < 1e-6, 'and then goes where the other aims');
+  assert.ok(playAreaPosition().x < landed.x);
+  await exitXR();
+});
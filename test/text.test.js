@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { ShaderMaterial } from 'three';
+import { Text, wrapText } from '../src/scripts/text';
+import { drawSignedDistances } from '../src/scripts/text/sdf';
+import { createTextPlane } from '../src/scripts/scenes/planets/text';
+import { disposeObject } from '../src/scripts/dispose';
+
+// Geometry attributes are 32 bit floats
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, message || `${actual} is close to ${expected}`);
+}
+
+// Records what's drawn on canvases while the callback runs
+function recordFillText(callback) {
+  const { getContext } = window.HTMLCanvasElement.prototype;
+  const calls = [];
+  window.HTMLCanvasElement.prototype.getContext = function (type) {
+    const context = getContext.call(this, type);
+    context.fillText = (text, x, y) => calls.push({ text, x, y });
+    return context;
+  };
+  try {
+    callback();
+  } finally {
+    window.HTMLCanvasElement.prototype.getContext = getContext;
+  }
+  return calls;
+}
+
+test('text is wrapped between words to fit a width', () => {
+  const measure = text => text.length;
+  assert.deepStrictEqual(
+    wrapText('the quick   brown fox\njumps', 10, measure),
+    ['the quick', 'brown fox', 'jumps']
+  );
+  assert.deepStrictEqual(
+    wrapText('a\n\nextraordinarily long', 5, measure),
+    ['a', '', 'extraordinarily', 'long'],
+    'blank lines are kept and long words get a line of their own'
+  );
+  assert.deepStrictEqual(wrapText('one line', Infinity, measure), ['one line']);
+});
+
+test('createTextPlane() is as big as it has always been', () => {
+  // The canvas stub measures every character as 80 pixels wide
+  const plane = createTextPlane('abc\nde', 'white', 'black');
+  assert.strictEqual(plane.width, (240 + 200) / 160);
+  assert.strictEqual(plane.height, (320 + 200) / 160);
+  assert.ok(plane.isTriggerObject, 'it can still be pointed at');
+});
+
+test('setText() redraws on the same canvas, texture and geometry', () => {
+  const text = new Text('12.5', { fontSize: 0.5 });
+  const {
+    canvas, texture, geometry, material
+  } = text;
+  const { version } = texture;
+  const canvasWidth = canvas.width;
+
+  text.setText('9');
+  assert.strictEqual(text.canvas, canvas);
+  assert.strictEqual(text.texture, texture);
+  assert.strictEqual(text.geometry, geometry);
+  assert.strictEqual(text.material, material);
+  assert.ok(texture.version > version, 'the texture is uploaded again');
+  assert.strictEqual(canvas.width, canvasWidth, "the canvas doesn't shrink");
+
+  // The plane fits the shorter text and shows only the part of the canvas it's drawn on
+  const padding = 0.5 * 0.625;
+  assert.strictEqual(text.width, 80 / 320 + padding * 2);
+  const { position, uv } = geometry.attributes;
+  assertClose(position.getX(1) - position.getX(0), text.width);
+  assertClose(uv.getX(1), (80 + 200) / canvasWidth);
+  geometry.computeBoundingBox();
+  assertClose(geometry.boundingBox.max.x, text.width / 2);
+
+  const same = texture.version;
+  text.setText('9');
+  assert.strictEqual(texture.version, same, "the same text isn't drawn again");
+});
+
+test('long text is wrapped and aligned', () => {
+  let text;
+  const calls = recordFillText(() => {
+    text = new Text('left center right', { maxWidth: 11 / 2, align: 'right' });
+  });
+  // 80 pixels a character and 160 pixels a unit, so half a unit a character
+  assert.deepStrictEqual(text.lines, ['left center', 'right']);
+  assert.strictEqual(text.width, 11 / 2 + 1.25);
+  assert.strictEqual(text.height, 2 + 1.25);
+  const right = 11 * 80 + 100;
+  assert.deepStrictEqual(calls, [
+    { text: 'left center', x: right, y: 100 },
+    { text: 'right', x: right, y: 260 }
+  ]);
+});
+
+test('signed distance fields are 0.5 on the edge of the letters', () => {
+  // A 4 pixel wide bar down the middle of a 12 pixel wide image
+  const width = 12;
+  const height = 3;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 4; x < 8; x += 1) {
+      data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  let drawn = null;
+  const context = {
+    getImageData: () => ({ width, height, data }),
+    putImageData: (image) => { drawn = image.data; }
+  };
+  drawSignedDistances(context, width, height, 4);
+
+  const alpha = x => drawn[(width + x) * 4 + 3] / 255;
+  assert.ok(alpha(5) > alpha(4), 'more inside the bar is further in');
+  assert.ok(alpha(4) > 0.5 && alpha(3) < 0.5, 'the edge is between the pixels');
+  assert.ok(alpha(3) > alpha(2), 'further away is further out');
+  assert.strictEqual(alpha(0), Math.round(255 * (0.5 - 4 / 8)) / 255);
+  assert.strictEqual(drawn[(width + 2) * 4], 255, 'the colour is white');
+});
+
+test('text can be drawn as a signed distance field', () => {
+  const text = new Text('sharp', { sdf: true, textColor: 'orange', backgroundColor: 'black' });
+  assert.ok(text.material instanceof ShaderMaterial);
+  assert.strictEqual(text.material.uniforms.map.value, text.texture);
+  assert.strictEqual(text.material.uniforms.textColor.value.getHexString(), 'ffa500');
+  assert.strictEqual(text.material.uniforms.backgroundOpacity.value, 1);
+
+  let disposed = false;
+  text.texture.addEventListener('dispose', () => { disposed = true; });
+  disposeObject(text);
+  assert.ok(disposed, "the texture in the material's uniforms is freed");
+});
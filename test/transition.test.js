@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import XrScene from '../src/scripts/scenes/xr-scene';
+import { registerScene } from '../src/scripts/scenes';
+import { navigate } from '../src/scripts/router';
+import { renderer } from '../src/scripts/renderer';
+import { getCurrentScene } from '../src/scripts/currentScene';
+import { transitionSettings, getTransitionCoverage } from '../src/scripts/transition';
+import {
+  visit, enterXR, exitXR, runFrames, settle
+} from './support/harness';
+
+test('a room keeps rendering until it has faded out', async () => {
+  const home = await visit('/home');
+  transitionSettings.duration = 30;
+  try {
+    navigate('/lasers');
+    await settle();
+    const coverage = getTransitionCoverage();
+    assert.ok(coverage > 0 && coverage < 1, 'the room is fading out');
+    assert.ok(!home.disposed);
+    const renders = renderer.renderCount;
+    runFrames(1);
+    assert.ok(renderer.renderCount > renders, 'the fading room is still drawn');
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.ok(home.disposed);
+    const lasers = await visit('/lasers');
+    assert.strictEqual(getCurrentScene(), lasers);
+    assert.ok(getTransitionCoverage() < 1, 'the new room is fading in');
+  } finally {
+    transitionSettings.duration = 0;
+  }
+});
+
+class SlowRoom extends XrScene {
+  constructor(...args) {
+    super(...args);
+    this.loader.depend(new Promise((resolve) => {
+      SlowRoom.finishLoading = resolve;
+    }));
+  }
+}
+
+test('the headset is shown the loading layer while the next room loads', async () => {
+  registerScene({
+    path: '/slow',
+    title: 'Slow Room',
+    load: () => Promise.resolve({ default: SlowRoom })
+  });
+  await visit('/home');
+  await enterXR('immersive-vr');
+
+  navigate('/slow');
+  await settle();
+  assert.ok(getCurrentScene() instanceof SlowRoom);
+  assert.strictEqual(getCurrentScene().frame, null, 'the room hasn\'t started');
+  const renders = renderer.renderCount;
+  runFrames(2);
+  assert.ok(renderer.renderCount > renders, 'frames are still drawn');
+  assert.strictEqual(getTransitionCoverage(), 1);
+
+  SlowRoom.finishLoading();
+  await settle();
+  assert.ok(getCurrentScene().frame, 'the room has started');
+  assert.strictEqual(getTransitionCoverage(), 0);
+  await exitXR();
+});
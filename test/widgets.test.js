@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { Vector3, Matrix4 } from 'three';
+import KinematicsScene from '../src/scripts/scenes/kinematics';
+import LaserScene from '../src/scripts/scenes/laser';
+import {
+  Button, Dial, Panel, ToggleGroup
+} from '../src/scripts/widgets';
+import { DragInteraction } from '../src/scripts/interactions';
+import {
+  loadScene, enterXR, exitXR, runFrames, pointAtObject, pointAtPoint
+} from './support/harness';
+
+function findWidget(scene, WidgetClass) {
+  let found = null;
+  scene.traverse((object) => {
+    if (!found && object instanceof WidgetClass) {
+      found = object;
+    }
+  });
+  return found;
+}
+
+test('panels line widgets up and can be put in each other', () => {
+  const row = new Panel({ spacing: 1 });
+  row.add(new Button('A', { width: 2 }), new Button('B', { width: 4 }));
+  assert.deepStrictEqual(row.widgets.map(widget => widget.position.x), [-2.5, 1.5]);
+  assert.strictEqual(row.width, 7);
+  assert.strictEqual(row.height, 3);
+
+  const column = new Panel({ direction: 'column', spacing: 0.5 });
+  column.add(row);
+  column.add(new Button('C', { height: 1 }));
+  assert.deepStrictEqual(column.widgets.map(widget => widget.position.y), [0.75, -1.75]);
+  assert.strictEqual(column.width, 7);
+});
+
+test('the laser room\'s modes are a toggle group', async () => {
+  const lasers = await loadScene(LaserScene);
+  const modes = findWidget(lasers.scene, ToggleGroup);
+  const changes = [];
+  modes.addEventListener('change', ({ value }) => changes.push(value));
+  assert.strictEqual(modes.value, 'select');
+
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  const deleteButton = modes.buttons.get('delete');
+  pointAtObject(controller, deleteButton.body);
+  runFrames(2);
+  assert.ok(deleteButton.hovered);
+
+  session.selectStart(controller);
+  assert.deepStrictEqual(changes, ['delete']);
+  assert.ok(deleteButton.body.position.z < 0, 'the button is pressed in');
+  session.selectEnd(controller);
+  assert.ok(deleteButton.active, 'and stays in');
+  assert.ok(!modes.buttons.get('select').active, 'the other buttons come out');
+
+  // Pressing the button that's already on doesn't change anything
+  session.select(controller);
+  assert.deepStrictEqual(changes, ['delete']);
+  await exitXR();
+});
+
+test('the gravity slider changes gravity as it\'s dragged', async () => {
+  const kinematics = await loadScene(KinematicsScene);
+  const slider = kinematics.gravitySlider;
+  const { label } = slider;
+  const inputs = [];
+  slider.addEventListener('input', ({ value }) => inputs.push(value));
+
+  const session = await enterXR('immersive-vr');
+  const controller = session.addInputSource({ handedness: 'right' });
+  const eye = new Vector3(0, 1.6, 0);
+  const handle = slider.handle.getWorldPosition(new Vector3());
+  pointAtPoint(controller, eye, handle);
+  runFrames(2);
+  session.selectStart(controller);
+
+  // Drag the handle two units to the right, which is 8 m/s² stronger
+  pointAtPoint(controller, eye, handle.clone().add(new Vector3(2, 0, 0)));
+  runFrames(1);
+  session.selectEnd(controller);
+
+  assert.ok(Math.abs(slider.value - 17.8) < 0.2, `${slider.value} is about 17.8`);
+  assert.ok(Math.abs(kinematics.world.gravity.y + slider.value) < 1e-6, 'gravity points down');
+  assert.ok(inputs.length > 0);
+  assert.strictEqual(slider.label, label, 'the label is changed instead of replaced');
+  assert.strictEqual(label.text, String(slider.value));
+  assert.match(window.location.search, /gravity=/, 'the new gravity is saved once it\'s let go of');
+  await exitXR();
+});
+
+test('a dial is turned by dragging around it', () => {
+  const dial = new Dial({
+    min: 0, max: 100, value: 50, sweep: Math.PI
+  });
+  dial.updateMatrixWorld(true);
+  const values = [];
+  dial.addEventListener('change', ({ value }) => values.push(value));
+
+  // Grab the knob at the top and drag it a quarter turn clockwise, to its right
+  const drag = dial.knob[DragInteraction];
+  const pointer = new Matrix4();
+  const { transformMatrix } = drag.start({ point: new Vector3(0, 1, 0) }, pointer);
+  const moved = new Matrix4().makeTranslation(1, -1, 0);
+  drag.drag(moved.multiply(transformMatrix));
+  drag.end();
+
+  assert.deepStrictEqual(values, [100]);
+  assert.strictEqual(dial.label.text, '100');
+  assert.ok(Math.abs(dial.pointer.rotation.z + Math.PI / 2) < 1e-6, 'the pointer points right');
+});